@@ -0,0 +1,123 @@
+// Headless balance runs: plays endless runs with src/config/simulation.js and
+// prints what each one came to. The game's modules are loaded through Vite,
+// the same way the dev server resolves them.
+//
+//   npm run simulate -- --level zombie-survival --bot kite --runs 20 --seconds 180
+//   npm run simulate -- --types balance.json --runs 10
+//
+// Options
+//   --level <id|file.json>   Built-in level id or a game definition file (default: classic)
+//   --seed <text>            Seed; several runs use <seed>-1, <seed>-2, ... (default: SIM)
+//   --runs <n>               Runs per variant (default: 1)
+//   --seconds <n>            Game seconds to play at most (default: 120)
+//   --bot <idle|turret|kite> Built-in player (default: kite)
+//   --script <file.json>     Scripted input instead of a bot: [{ "at": seconds, ...input frame }]
+//   --difficulty <id>        Difficulty preset (default: normal)
+//   --weapon <id>            Projectile type the player fires
+//   --types <file.json>      Enemy stat tables to compare: { "variant": { "<type id>": { stat overrides } } }
+//   --json                   Print every report as JSON instead of a summary table
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createServer } from 'vite';
+
+const { values: args } = parseArgs({
+  options: {
+    level: { type: 'string', default: 'classic' },
+    seed: { type: 'string', default: 'SIM' },
+    runs: { type: 'string', default: '1' },
+    seconds: { type: 'string', default: '120' },
+    bot: { type: 'string', default: 'kite' },
+    script: { type: 'string' },
+    difficulty: { type: 'string', default: 'normal' },
+    weapon: { type: 'string' },
+    types: { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+const readJson = async (path) => JSON.parse(await readFile(path, 'utf8'));
+
+// Apply one variant's per-type stat overrides to a level definition
+const withTypeOverrides = (definition, baseTypes, overrides) => {
+  const unknown = Object.keys(overrides).filter((id) => !baseTypes.some((type) => type.id === id));
+  if (unknown.length > 0) throw new Error(`Unknown enemy types in --types: ${unknown.join(', ')}`);
+  return {
+    ...definition,
+    enemies: {
+      ...definition.enemies,
+      types: baseTypes.map((type) => ({ ...type, ...overrides[type.id] })),
+    },
+  };
+};
+
+const average = (reports, key) => reports.reduce((sum, report) => sum + report[key], 0) / reports.length;
+
+const summarize = (variant, reports) => ({
+  variant,
+  runs: reports.length,
+  deaths: reports.filter((report) => report.outcome !== 'survived').length,
+  timeSurvived: Number(average(reports, 'timeSurvived').toFixed(1)),
+  kills: Number(average(reports, 'kills').toFixed(1)),
+  score: Math.round(average(reports, 'score')),
+  damageTaken: Math.round(average(reports, 'damageTaken')),
+  damageDealt: Math.round(average(reports, 'damageDealt')),
+});
+
+const server = await createServer({
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  // Only plain modules are loaded, so there is nothing to pre-bundle
+  optimizeDeps: { noDiscovery: true },
+  logLevel: 'error',
+});
+
+try {
+  const { createSimulation, createScriptedInput, simulationBots } = await server.ssrLoadModule('/src/config/simulation.js');
+  const { buildGameConfig } = await server.ssrLoadModule('/src/config/configLoader.js');
+  const { getBuiltInLevel } = await server.ssrLoadModule('/src/data/levels/index.js');
+  const { gameConfig } = await server.ssrLoadModule('/src/config/gameConfig.js');
+
+  const definition = getBuiltInLevel(args.level) || await readJson(args.level);
+  const levelId = definition.id || args.level;
+  const baseTypes = definition.enemies?.types || gameConfig.enemies.types;
+
+  let input;
+  if (args.script) {
+    input = createScriptedInput(await readJson(args.script));
+  } else {
+    input = simulationBots[args.bot];
+    if (!input) throw new Error(`Unknown bot '${args.bot}' (bots: ${Object.keys(simulationBots).join(', ')})`);
+  }
+
+  const variants = args.types ? await readJson(args.types) : { [levelId]: {} };
+  const runs = Math.max(1, Number(args.runs) || 1);
+  const seconds = Number(args.seconds) || 120;
+
+  const results = Object.entries(variants).map(([variant, overrides]) => {
+    const config = buildGameConfig(withTypeOverrides(definition, baseTypes, overrides), levelId);
+    const reports = Array.from({ length: runs }, (_, i) => {
+      const seed = runs > 1 ? `${args.seed}-${i + 1}` : args.seed;
+      const simulation = createSimulation({
+        config,
+        seed,
+        difficulty: args.difficulty,
+        projectileType: args.weapon,
+        input,
+      });
+      return { variant, ...simulation.run(seconds) };
+    });
+    return { variant, reports };
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(results.flatMap(({ reports }) => reports), null, 2));
+  } else {
+    console.log(`${levelId}, ${args.difficulty}, ${args.script ? `script ${args.script}` : `${args.bot} bot`}, up to ${seconds}s`);
+    console.table(results.map(({ variant, reports }) => summarize(variant, reports)));
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await server.close();
+}
@@ -3,7 +3,9 @@ import { Provider } from 'jotai';
 import Scene from './components/Scene';
 import StartScreen from './components/StartScreen';
 import GameOverScreen from './components/GameOverScreen';
+import PauseScreen from './components/PauseScreen';
 import SettingsScreen from './components/SettingsScreen';
+import ConfigErrorOverlay from './components/ConfigErrorOverlay';
 import './App.css';
 
 function App() {
@@ -12,8 +14,10 @@ function App() {
       <div className="game-canvas">
         <Scene />
         <StartScreen />
+        <PauseScreen />
         <GameOverScreen />
         <SettingsScreen />
+        <ConfigErrorOverlay />
       </div>
     </Provider>
   );
@@ -0,0 +1,46 @@
+import React, { useMemo, useState } from 'react';
+import { useAtom } from 'jotai';
+import { configErrorsAtom } from '../config/atoms';
+import { validateBundledConfigs } from '../config/configValidation';
+import { getEnemyComponentIds } from './enemies/enemyComponents';
+
+// Development-only report of every config that failed validation
+const ConfigErrorOverlay = () => {
+  const [loadErrors, setLoadErrors] = useAtom(configErrorsAtom);
+  // Production builds skip the check; the test suite runs it on the bundled configs too
+  const bundledErrors = useMemo(() => (
+    import.meta.env.DEV ? validateBundledConfigs(getEnemyComponentIds()) : []
+  ), []);
+  // The load errors the overlay was dismissed with; any new report brings it back
+  const [dismissedErrors, setDismissedErrors] = useState(null);
+
+  const reports = [...bundledErrors, ...loadErrors];
+  if (!import.meta.env.DEV || dismissedErrors === loadErrors || reports.length === 0) return null;
+
+  const handleDismiss = () => {
+    const cleared = [];
+    setDismissedErrors(cleared);
+    setLoadErrors(cleared);
+  };
+
+  return (
+    <div className="config-error-overlay">
+      <h2>Config validation failed</h2>
+      {reports.map((report, index) => (
+        <div className="config-error-report" key={`${report.source}-${index}`}>
+          <h3>{report.source}</h3>
+          <ul>
+            {report.errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+      <button className="game-button secondary compact" onClick={handleDismiss}>
+        DISMISS
+      </button>
+    </div>
+  );
+};
+
+export default ConfigErrorOverlay;
@@ -1,70 +1,52 @@
 import { useAtom } from "jotai";
-import { FastEnemy } from "./enemies/FastEnemy";
-import { TankEnemy } from "./enemies/TankEnemy";
-import { gameConfig } from "../config/gameConfig";
-import { deactivateEnemy, enemySpeedMultiplierAtom } from "../config/atoms";
-
-const EnemyComponents = {
-  fast: FastEnemy,
-  tank: TankEnemy,
-};
-
-const Enemies = ({
-  enemies,
-  setEnemies,
-  playerPosition,
-  setPlayerHealth,
-  gameState,
-  setGameState
-}) => {
-  const [enemySpeedMultiplier] = useAtom(enemySpeedMultiplierAtom);
-
-  const removeEnemy = (id) => {
-    setEnemies((prev) => deactivateEnemy(prev, id));
-  };
-
-  const handlePlayerDamage = (damage) => {
-    setPlayerHealth((h) => {
-      const newHealth = h - damage;
-      if (newHealth <= 0) setGameState("gameOver");
-      return newHealth;
-    });
-  };
+import { EnemyComponents } from "./enemies/enemyComponents";
+import InstancedEnemies from "./enemies/InstancedEnemies";
+import { difficultyPresetAtom, gameConfigAtom } from "../config/atoms";
+import { useEntities } from "../hooks/useWorld";
+import { getEnemyConfigs, isInstancedType } from "../config/enemyTypes";
+import { world } from "../config/world";
+
+/**
+ * Draws the world's enemies. Gameplay (src/config/gameplay.js) moves them;
+ * mesh types get their component, instanced types are drawn by InstancedEnemies.
+ * @param {Array<number>} playerPosition - Player position, for the instanced enemies to face
+ */
+const Enemies = ({ playerPosition }) => {
+  const [config] = useAtom(gameConfigAtom);
+  const [difficultyPreset] = useAtom(difficultyPresetAtom);
+  const activeEnemies = useEntities(world.enemies);
 
   // Store configs in a map for quick lookup
-  const enemyConfigs = gameConfig.enemies.types.reduce((acc, type) => {
-    acc[type.id] = type;
-    return acc;
-  }, {});
-
-  const activeEnemies = enemies.filter(e => e.active);
+  const enemyConfigs = getEnemyConfigs(config, difficultyPreset);
 
   return (
     <>
       {activeEnemies.map((enemy) => {
-        const EnemyComponent = EnemyComponents[enemy.type];
-        if (!EnemyComponent) {
-          console.warn(`No component found for enemy type: ${enemy.type}`);
+        const enemyConfig = enemyConfigs[enemy.type];
+        if (!enemyConfig) {
+          console.warn(`No config found for enemy type: ${enemy.type}`);
           return null;
         }
-        const config = enemyConfigs[enemy.type];
-        if (!config) {
-          console.warn(`No config found for enemy type: ${enemy.type}`);
+        // Data-defined types can reuse a registered renderer via `component`
+        const EnemyComponent = EnemyComponents[enemyConfig.component || enemy.type];
+        if (!EnemyComponent) {
+          console.warn(`No component found for enemy type: ${enemy.type}`);
           return null;
         }
+        if (isInstancedType(enemyConfig)) return null;
         return (
           <EnemyComponent
             key={enemy.id}
-            {...enemy}
-            {...config}
-            speed={config.speed * enemySpeedMultiplier}
-            onRemove={removeEnemy}
-            playerPosition={playerPosition}
-            gameState={gameState}
-            onPlayerDamage={handlePlayerDamage}
+            {...enemyConfig}
+            entity={enemy}
           />
         );
       })}
+      <InstancedEnemies
+        enemies={activeEnemies}
+        enemyConfigs={enemyConfigs}
+        playerPosition={playerPosition}
+      />
     </>
   );
 };
@@ -0,0 +1,46 @@
+import React from 'react';
+import { world } from '../config/world';
+import { useEntities } from '../hooks/useWorld';
+import InstancedEntities from './InstancedEntities';
+
+// Hostile shots default to red, and all of them get a halo the player's rounds don't have
+const HOSTILE_COLOR = '#FF1744';
+
+// Layers of every enemy bullet: a white core, the colored shot and a faint halo
+const bulletLayers = [
+  { key: 'core', scale: 0.6, opacity: 1, getColor: () => '#FFFFFF' },
+  { key: 'shot', scale: 1, opacity: 0.55, getColor: (p) => p.color || HOSTILE_COLOR },
+  { key: 'halo', scale: 1.8, opacity: 0.15, getColor: (p) => p.color || HOSTILE_COLOR },
+];
+
+/**
+ * Bullets fired by enemies. They fly straight and only hit the player, so they
+ * have no physics bodies: gameplay moves them all each step (stepEnemyProjectile)
+ * and each layer is drawn in one instanced mesh.
+ */
+const EnemyProjectiles = () => {
+  const activeProjectiles = useEntities(world.enemyProjectiles);
+
+  return (
+    <>
+      {bulletLayers.map(layer => (
+        <InstancedEntities
+          key={layer.key}
+          items={activeProjectiles}
+          getColor={layer.getColor}
+          getScale={p => p.size * layer.scale}
+        >
+          <sphereGeometry args={[1, 12, 8]} />
+          <meshBasicMaterial
+            color="#FFFFFF"
+            transparent={layer.opacity < 1}
+            opacity={layer.opacity}
+            depthWrite={layer.opacity === 1}
+          />
+        </InstancedEntities>
+      ))}
+    </>
+  );
+};
+
+export default EnemyProjectiles;
@@ -1,16 +1,18 @@
 import React from 'react';
 import { usePlane } from '@react-three/cannon';
 import { MeshReflectorMaterial } from '@react-three/drei';
-import { gameConfig } from '../config/gameConfig';
+import { useAtom } from 'jotai';
+import { gameConfigAtom } from '../config/atoms';
 
 const Floor = () => {
+  const [config] = useAtom(gameConfigAtom);
   const [ref] = usePlane(() => ({ 
     rotation: [-Math.PI / 2, 0, 0], 
     position: [0, 0, 0],
     type: 'Static'
   }));
   
-  const worldSize = gameConfig.world.size;
+  const worldSize = config.world.size;
 
   return (
     <mesh 
@@ -20,7 +22,7 @@ const Floor = () => {
     >
       <planeGeometry args={[worldSize * 2, worldSize * 2]} />
       <MeshReflectorMaterial
-        color={gameConfig.world.floorColor}
+        color={config.world.floorColor}
         roughness={0.7}
         blur={[1000, 1000]}
         mixBlur={30}
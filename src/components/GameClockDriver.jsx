@@ -0,0 +1,9 @@
+import { useGameClockDriver } from "../hooks/useGameClock";
+
+// Ticks the shared game clock; rendered once inside the Canvas
+const GameClockDriver = () => {
+  useGameClockDriver();
+  return null;
+};
+
+export default GameClockDriver;
@@ -1,7 +1,24 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { useAtom } from "jotai";
-import { gameStateAtom, resetGameAtom, scoreAtom, enemiesKilledAtom } from "../config/atoms";
+import {
+  gameStateAtom,
+  resetGameAtom,
+  scoreAtom,
+  enemiesKilledAtom,
+  runSeedAtom,
+  seedSettingAtom,
+  replayAtom,
+  lastReplayAtom,
+  finishRecordingAtom,
+  startReplayAtom,
+  exitReplayAtom,
+  waveStateAtom,
+} from "../config/atoms";
+import { getRunShareUrl, isDailySeed } from "../config/random";
+import { getBuiltInLevel } from "../data/levels";
+import { downloadReplay } from "../config/replay";
 import { useSettingsNavigation } from "../hooks/useSettingsNavigation";
+import { useGamepadMenuNavigation } from "../hooks/useGamepadMenuNavigation";
 import ScreenHeader from "./ui/ScreenHeader";
 import StatsPanel from "./ui/StatsPanel";
 
@@ -10,22 +27,100 @@ const GameOverScreen = () => {
   const [, resetGame] = useAtom(resetGameAtom);
   const [score] = useAtom(scoreAtom);
   const [enemiesKilled] = useAtom(enemiesKilledAtom);
+  const [runSeed] = useAtom(runSeedAtom);
+  const [seedSetting, setSeedSetting] = useAtom(seedSettingAtom);
+  const [replay] = useAtom(replayAtom);
+  const [lastReplay] = useAtom(lastReplayAtom);
+  const [waveState] = useAtom(waveStateAtom);
+  const [, finishRecording] = useAtom(finishRecordingAtom);
+  const [, startReplay] = useAtom(startReplayAtom);
+  const [, exitReplay] = useAtom(exitReplayAtom);
+  const [copyMessage, setCopyMessage] = useState(null);
   const { goToSettings } = useSettingsNavigation();
+  const menuRef = useGamepadMenuNavigation(gameState === "gameOver");
+
+  useEffect(() => {
+    if (gameState === "gameOver") finishRecording();
+  }, [gameState, finishRecording]);
 
   if (gameState !== "gameOver") return null;
 
-  const handleRestart = () => resetGame();
-  const handleMainMenu = () => setGameState("menu");
+  const victory = waveState?.phase === "complete";
+  const waveStats = waveState
+    ? [{ label: "WAVE REACHED:", value: `${waveState.wave + 1} / ${waveState.totalWaves}` }]
+    : [];
+
+  if (replay) {
+    return (
+      <div className="game-screen game-over-screen" ref={menuRef}>
+        <div className="screen-content">
+          <ScreenHeader title="REPLAY FINISHED" />
+
+          <StatsPanel
+            stats={[
+              { label: "SCORE:", value: score },
+              { label: "ENEMIES DESTROYED:", value: enemiesKilled },
+              ...waveStats,
+              { label: "SEED:", value: runSeed },
+            ]}
+          />
+
+          <div className="buttons-container">
+            <button className="game-button" onClick={() => startReplay(replay)}>
+              WATCH AGAIN
+            </button>
+            <button className="game-button secondary" onClick={exitReplay}>
+              EXIT REPLAY
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const handleRestart = () => {
+    setCopyMessage(null);
+    resetGame();
+  };
+  const handleMainMenu = () => {
+    setCopyMessage(null);
+    setGameState("menu");
+  };
+
+  // Lock the seed in so the next run replays the same one
+  const handleRetrySeed = () => {
+    setSeedSetting(runSeed);
+    handleRestart();
+  };
+
+  // The link sets up the run as it started: the recording holds its level, mode and difficulty
+  const handleCopySeed = async () => {
+    const levelId = lastReplay?.config.id;
+    const url = getRunShareUrl({
+      seed: runSeed,
+      level: getBuiltInLevel(levelId) ? levelId : null,
+      mode: lastReplay?.mode,
+      difficulty: lastReplay?.settings.difficultyPreset,
+    });
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopyMessage("Challenge link copied");
+    } catch {
+      setCopyMessage(url);
+    }
+  };
 
   return (
-    <div className="game-screen game-over-screen">
+    <div className="game-screen game-over-screen" ref={menuRef}>
       <div className="screen-content">
-        <ScreenHeader title="GAME OVER" />
+        <ScreenHeader title={victory ? "VICTORY" : "GAME OVER"} />
 
         <StatsPanel
           stats={[
             { label: "SCORE:", value: score },
             { label: "ENEMIES DESTROYED:", value: enemiesKilled },
+            ...waveStats,
+            { label: isDailySeed(runSeed) ? "DAILY SEED:" : "SEED:", value: runSeed },
           ]}
         />
 
@@ -33,6 +128,19 @@ const GameOverScreen = () => {
           <button className="game-button" onClick={handleRestart}>
             PLAY AGAIN
           </button>
+          {seedSetting !== runSeed && (
+            <button className="game-button secondary" onClick={handleRetrySeed}>
+              RETRY THIS SEED
+            </button>
+          )}
+          <button className="game-button secondary" onClick={handleCopySeed}>
+            COPY CHALLENGE LINK
+          </button>
+          {lastReplay && (
+            <button className="game-button secondary" onClick={() => downloadReplay(lastReplay)}>
+              DOWNLOAD REPLAY
+            </button>
+          )}
           <button className="game-button secondary" onClick={handleMainMenu}>
             MAIN MENU
           </button>
@@ -40,6 +148,7 @@ const GameOverScreen = () => {
             SETTINGS
           </button>
         </div>
+        {copyMessage && <div className="seed-share-message">{copyMessage}</div>}
       </div>
     </div>
   );
@@ -1,11 +1,29 @@
 
 import { useAtom } from "jotai";
-import { playerHealthSettingAtom } from "../config/atoms";
+import {
+  playerHealthSettingAtom,
+  currentProjectileTypeAtom,
+  weaponAmmoAtom,
+  weaponReloadAtom,
+  settingAtoms,
+  replayAtom,
+  waveStateAtom,
+  gameConfigAtom
+} from "../config/atoms";
+import { shouldUseTouchControls } from "../config/touchInput";
+import { getLoadoutIdForProjectileType } from "../data/customProjectileConfigs";
 import { useSettingsNavigation } from "../hooks/useSettingsNavigation";
 
 import HealthBar from "./ui/HealthBar";
 import ScoreDisplay from "./ui/ScoreDisplay";
 import EnemiesKilledDisplay from "./ui/EnemyKilledDisplay";
+import WeaponDisplay from "./ui/WeaponDisplay";
+import AmmoDisplay from "./ui/AmmoDisplay";
+import TouchControls from "./ui/TouchControls";
+import ReplayControls from "./ui/ReplayControls";
+import WaveBanner from "./ui/WaveBanner";
+import BossHealthBar from "./ui/BossHealthBar";
+import PoolStatsOverlay from "./ui/PoolStatsOverlay";
 
 const HUD = ({
   playerHealth,
@@ -15,19 +33,60 @@ const HUD = ({
   gameState
 }) => {
   const [maxPlayerHealth] = useAtom(playerHealthSettingAtom);
+  const [currentProjectileType] = useAtom(currentProjectileTypeAtom);
+  const [weaponAmmo] = useAtom(weaponAmmoAtom);
+  const [weaponReload] = useAtom(weaponReloadAtom);
+  const [touchMode] = useAtom(settingAtoms.touch.mode);
+  const [showPoolStats] = useAtom(settingAtoms.display.showPoolStats);
+  const [replay] = useAtom(replayAtom);
+  const [waveState] = useAtom(waveStateAtom);
+  const [config] = useAtom(gameConfigAtom);
   const { goToSettings } = useSettingsNavigation();
 
-  if (!showHUD) return null;
+  const playing = gameState === "playing";
+  const touchControls = playing && !replay && shouldUseTouchControls(touchMode) ? <TouchControls /> : null;
+  const replayControls = playing && replay ? <ReplayControls /> : null;
+
+  // A debug aid, so it stays up with the HUD hidden
+  const poolStats = playing && showPoolStats ? <PoolStatsOverlay /> : null;
+
+  if (!showHUD) {
+    return (
+      <>
+        {touchControls || replayControls}
+        {poolStats}
+      </>
+    );
+  }
+
+  const loadoutId = getLoadoutIdForProjectileType(currentProjectileType, config);
+  const loadout = config.weapons[loadoutId];
+  const ammo = weaponAmmo[loadoutId] || { magazine: loadout.magazineSize, reserve: loadout.reserveAmmo };
+  const reload = weaponReload?.loadoutId === loadoutId ? weaponReload : null;
 
   return (
     <div className="game-hud">
+      {touchControls}
+      {replayControls}
+      {poolStats}
+      {waveState && gameState === "playing" && <WaveBanner waveState={waveState} />}
+      {playing && <BossHealthBar />}
+
       {/* Consolidated stats container on the left */}
       <div className="stats-container">
         <HealthBar current={playerHealth} max={maxPlayerHealth} />
         <div className="stats-row">
           <ScoreDisplay score={score} />
           <EnemiesKilledDisplay count={enemiesKilled} />
+          <AmmoDisplay
+            magazine={ammo.magazine}
+            magazineSize={loadout.magazineSize}
+            reserve={ammo.reserve}
+            reload={reload}
+            hint={touchControls ? "TAP ↻ TO RELOAD" : undefined}
+          />
         </div>
+        <WeaponDisplay currentTypeId={currentProjectileType} />
       </div>
 
       {/* Settings button on the right */}
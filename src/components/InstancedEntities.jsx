@@ -0,0 +1,77 @@
+import React, { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Color, Object3D } from 'three';
+
+// Instance buffers grow in powers of two, so a growing horde only reallocates a few times
+const MIN_CAPACITY = 64;
+const getCapacity = (count) => {
+  let capacity = MIN_CAPACITY;
+  while (capacity < count) capacity *= 2;
+  return capacity;
+};
+
+const FLASH_COLOR = new Color('#FFFFFF');
+
+/**
+ * Draws many entities of one kind through a single InstancedMesh. Transforms are
+ * read every frame from each item's live `position` array (moved in place by
+ * the gameplay hooks), so the entities' own components don't render anything.
+ * @param {Array<Object>} items - Entities with a live position [x, y, z]
+ * @param {React.ReactNode} children - Geometry and material shared by every instance
+ * @param {Function} getColor - item -> color string
+ * @param {Function} getScale - item -> uniform scale
+ * @param {Function} getYaw - item -> rotation around y in radians (optional)
+ * @param {Function} getFlash - item -> 0..1 blend toward white, for hit flashes (optional)
+ * @param {boolean} castShadow
+ */
+const InstancedEntities = ({ items, children, getColor, getScale, getYaw, getFlash, castShadow = false }) => {
+  const capacity = getCapacity(items.length);
+  const mesh = useRef();
+  const dummy = useMemo(() => new Object3D(), []);
+  const color = useMemo(() => new Color(), []);
+
+  useFrame(() => {
+    const instances = mesh.current;
+    if (!instances) return;
+
+    let count = 0;
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      // Removed from the world since the last render
+      if (item.active === false) continue;
+
+      dummy.position.set(item.position[0], item.position[1], item.position[2]);
+      dummy.rotation.set(0, getYaw ? getYaw(item) : 0, 0);
+      dummy.scale.setScalar(getScale(item));
+      dummy.updateMatrix();
+      instances.setMatrixAt(count, dummy.matrix);
+
+      color.set(getColor(item));
+      const flash = getFlash ? getFlash(item) : 0;
+      if (flash > 0) color.lerp(FLASH_COLOR, flash);
+      instances.setColorAt(count, color);
+      count += 1;
+    }
+
+    instances.count = count;
+    instances.instanceMatrix.needsUpdate = true;
+    if (instances.instanceColor) instances.instanceColor.needsUpdate = true;
+  });
+
+  return (
+    <instancedMesh
+      // Keyed on capacity so a bigger buffer means a fresh mesh
+      key={capacity}
+      ref={mesh}
+      args={[undefined, undefined, capacity]}
+      count={0}
+      castShadow={castShadow}
+      receiveShadow
+      frustumCulled={false}
+    >
+      {children}
+    </instancedMesh>
+  );
+};
+
+export default InstancedEntities;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useBox, useCylinder } from '@react-three/cannon';
+import { useAtom } from 'jotai';
+import { obstaclesAtom } from '../config/atoms';
+
+const BoxObstacle = ({ x, z, halfWidth, halfDepth, height, color }) => {
+  const args = [halfWidth * 2, height, halfDepth * 2];
+  const [ref] = useBox(() => ({ type: 'Static', position: [x, height / 2, z], args }));
+
+  return (
+    <mesh ref={ref} castShadow receiveShadow>
+      <boxGeometry args={args} />
+      <meshStandardMaterial color={color} />
+    </mesh>
+  );
+};
+
+const CylinderObstacle = ({ x, z, radius, height, color }) => {
+  const args = [radius, radius, height, 24];
+  const [ref] = useCylinder(() => ({ type: 'Static', position: [x, height / 2, z], args }));
+
+  return (
+    <mesh ref={ref} castShadow receiveShadow>
+      <cylinderGeometry args={args} />
+      <meshStandardMaterial color={color} />
+    </mesh>
+  );
+};
+
+// Static colliders for the level's world.obstacles. Gameplay bodies are moved
+// by code, so the blocking itself happens in src/config/obstacles.js.
+const Obstacles = () => {
+  const [obstacles] = useAtom(obstaclesAtom);
+
+  return (
+    <>
+      {obstacles.map((obstacle, index) => (
+        obstacle.shape === 'cylinder'
+          ? <CylinderObstacle key={index} {...obstacle} />
+          : <BoxObstacle key={index} {...obstacle} />
+      ))}
+    </>
+  );
+};
+
+export default Obstacles;
@@ -0,0 +1,53 @@
+import React from "react";
+import { useAtom } from "jotai";
+import { gameStateAtom, scoreAtom, enemiesKilledAtom, replayAtom, exitReplayAtom } from "../config/atoms";
+import { useSettingsNavigation } from "../hooks/useSettingsNavigation";
+import { usePauseControls } from "../hooks/usePauseControls";
+import { useGamepadMenuNavigation } from "../hooks/useGamepadMenuNavigation";
+import ScreenHeader from "./ui/ScreenHeader";
+import StatsPanel from "./ui/StatsPanel";
+
+// Mounted for the whole app so the pause key and auto-pause work during play
+const PauseScreen = () => {
+  const [gameState, setGameState] = useAtom(gameStateAtom);
+  const [score] = useAtom(scoreAtom);
+  const [enemiesKilled] = useAtom(enemiesKilledAtom);
+  const [replay] = useAtom(replayAtom);
+  const [, exitReplay] = useAtom(exitReplayAtom);
+  const { goToSettings } = useSettingsNavigation();
+  const { resume } = usePauseControls();
+  const menuRef = useGamepadMenuNavigation(gameState === "paused", { onBack: resume });
+
+  if (gameState !== "paused") return null;
+
+  const handleQuit = () => (replay ? exitReplay() : setGameState("menu"));
+
+  return (
+    <div className="game-screen pause-screen" ref={menuRef}>
+      <div className="screen-content">
+        <ScreenHeader title="PAUSED" />
+
+        <StatsPanel
+          stats={[
+            { label: "SCORE:", value: score },
+            { label: "ENEMIES DESTROYED:", value: enemiesKilled },
+          ]}
+        />
+
+        <div className="buttons-container">
+          <button className="game-button" onClick={resume}>
+            RESUME
+          </button>
+          <button className="game-button secondary" onClick={goToSettings}>
+            SETTINGS
+          </button>
+          <button className="game-button secondary" onClick={handleQuit}>
+            {replay ? "EXIT REPLAY" : "QUIT TO MENU"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PauseScreen;
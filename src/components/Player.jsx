@@ -1,113 +1,77 @@
-import React, { useEffect } from "react";
+import React, { useCallback, useMemo } from "react";
 import { useBox } from "@react-three/cannon";
-import { useAtom } from "jotai";
+import { useFrame } from "@react-three/fiber";
+import { useAtom, useStore } from "jotai";
 import {
   playerPositionAtom,
-  playerRotationAtom,
-  playerHealthAtom,
   gameStateAtom,
-  projectilesAtom,
-  currentProjectileTypeAtom,
-  activateProjectile,
-  playerSpeedSettingAtom,
-  playerFireRateSettingAtom,
-  playerHealthSettingAtom,
+  gameConfigAtom,
+  gameplayAtom,
+  settingAtoms,
+  worldActiveAtom,
 } from "../config/atoms";
-import { getProjectileType, projectileTypes } from "../data/projectileTypes";
-import { gameConfig } from "../config/gameConfig";
-import { usePlayerMovement } from "../hooks/usePlayerMovement";
-import { usePlayerRotation } from "../hooks/usePlayerRotation";
-import { usePlayerShooting } from "../hooks/usePlayerShooting";
+import { usePlayerInput } from "../hooks/usePlayerInput";
+import { useGameplayStep } from "../hooks/useGameplayStep";
 import { usePlayerCamera } from "../hooks/usePlayerCamera";
-import { usePlayerHealth } from "../hooks/usePlayerHealth";
 import { BaseModel } from "./GltfLoader/BaseModel";
-import { BasePlayer } from "./player/basePlayer";
-
-const initialPosition = gameConfig.player.initialPosition;
-const initialRotation = gameConfig.player.initialRotation;
-const initialVelocity = gameConfig.player.initialVelocity; 
+import { BasePlayer } from "./player/BasePlayer";
+import { AimReticle } from "./player/AimReticle";
 
 export default function Player() {
-
+  const [config] = useAtom(gameConfigAtom);
+  const { initialPosition, initialRotation } = config.player;
 
   const [ref, api] = useBox(() => ({
     mass: 1,
     type: "Kinematic",
-    args: [gameConfig.player.size, gameConfig.player.size, gameConfig.player.size],
+    args: [config.player.size, config.player.size, config.player.size],
     position: initialPosition,
     name: "player",
   }));
 
-  const [playerPosition, setPlayerPosition] = useAtom(playerPositionAtom);
-  const [playerRotation, setPlayerRotation] = useAtom(playerRotationAtom);
-  const [playerHealth, setPlayerHealth] = useAtom(playerHealthAtom);
-  const [gameState, setGameState] = useAtom(gameStateAtom);
-  const [, setProjectiles] = useAtom(projectilesAtom);
-  const [, setCurrentProjectileType] = useAtom(currentProjectileTypeAtom);
-  const [playerSpeed] = useAtom(playerSpeedSettingAtom);
-  const [playerFireRate] = useAtom(playerFireRateSettingAtom);
-  const [playerHealthSetting] = useAtom(playerHealthSettingAtom);
-
-  // Sync position
-  useEffect(() => {
-      if(!initialPosition || !initialRotation || !initialVelocity) return;
-      if(gameState === "playing" || gameState === "settings") return;
-      console.log("Initial Position:", initialPosition);
-      api.position.set(...initialPosition);
-      api.rotation.set(...initialRotation);
-      api.velocity.set(...initialVelocity);
-  }, [gameState, api]);
+  const [playerPosition] = useAtom(playerPositionAtom);
+  const [gameState] = useAtom(gameStateAtom);
+  const [showCrosshair] = useAtom(settingAtoms.display.showCrosshair);
+  const store = useStore();
 
-  useEffect(() => {
-    const unsub = api.position.subscribe((pos) => setPlayerPosition(pos));
-    return unsub;
-  }, [api.position, setPlayerPosition]);
+  // The player of the run in progress (moved by gameplay), read from the store
+  // when needed rather than at render, so it is never a step behind
+  const getRunPlayer = useCallback(() => {
+    if (!store.get(worldActiveAtom)) return null;
+    return store.get(gameplayAtom)?.player || null;
+  }, [store]);
 
+  // Ref-shaped live position for the input hooks; the start position between runs
+  const livePosition = useMemo(() => ({
+    get current() {
+      return getRunPlayer()?.position || initialPosition;
+    },
+  }), [getRunPlayer, initialPosition]);
 
-  // Initialize projectile type
-  useEffect(() => {
-    const firstId = projectileTypes[0]?.id;
-    setCurrentProjectileType(firstId);
-  }, [setCurrentProjectileType]);
+  const { input, aimPoint } = usePlayerInput(livePosition, gameState);
+  useGameplayStep(input);
 
-  // Update player health when health setting changes
-  useEffect(() => {
-    setPlayerHealth((currentHealth) => {
-      // If current health is less than the new max, increase it
-      if (currentHealth < playerHealthSetting) {
-        return playerHealthSetting;
-      }
-      // If current health exceeds the new max, cap it
-      if (currentHealth > playerHealthSetting) {
-        return playerHealthSetting;
-      }
-      // Otherwise keep current health
-      return currentHealth;
-    });
-  }, [playerHealthSetting, setPlayerHealth]);
-  const selectedProjectileType = getProjectileType(projectileTypes[0]?.id);
-
-  // Game hooks
-  usePlayerMovement(api, playerPosition, gameState, () => setGameState("gameOver"), playerSpeed);
-  usePlayerRotation(api, gameState, setPlayerRotation);
-  usePlayerShooting(
-    playerPosition,
-    playerRotation,
-    gameState,
-    selectedProjectileType,
-    (projData) => setProjectiles((prev) => activateProjectile(prev, projData)),
-    playerFireRate
-  );
-  usePlayerHealth(ref, playerHealth, (h) => setPlayerHealth(h), () => setGameState("gameOver"));
-  usePlayerCamera(api, gameState, gameConfig.camera.offset);
+  // The body only follows the run's player, for the camera and the model
+  useFrame(() => {
+    const runPlayer = getRunPlayer();
+    const [x, y, z] = livePosition.current;
+    api.position.set(x, y, z);
+    api.rotation.set(0, runPlayer ? runPlayer.facing : initialRotation[1], 0);
+  });
+  usePlayerCamera(api, gameState, config.camera.offset);
   return (
-    <group ref={ref}>
-  <BaseModel 
-    url={null} 
-    fallbackComponent={BasePlayer} 
-    size={gameConfig.player.size} 
-    color={gameConfig.player.color} 
-  />
-</group>
+    <>
+      <group ref={ref}>
+        <BaseModel
+          url={null}
+          fallbackComponent={BasePlayer}
+          size={config.player.size}
+          color={config.player.color}
+        />
+      </group>
+      {showCrosshair && gameState === "playing" && (
+        <AimReticle aimPoint={aimPoint} playerPosition={playerPosition} />
+      )}
+    </>
   );
 }
@@ -1,71 +1,58 @@
 import React from 'react';
-import { gameConfig } from '../config/gameConfig';
 import { Bullet } from './projectiles/Bullet';
-import { deactivateProjectile, deactivateEnemy } from '../config/atoms';
+import { SpreadPellet } from './projectiles/SpreadPellet';
+import { RailSlug } from './projectiles/RailSlug';
+import { HomingMissile } from './projectiles/HomingMissile';
+import { Grenade } from './projectiles/Grenade';
+import InstancedEntities from './InstancedEntities';
+import { world } from '../config/world';
+import { useEntities } from '../hooks/useWorld';
 
 const ProjectileTypes = {
+  default: Bullet,
   bullet: Bullet,
+  spread: SpreadPellet,
+  rail: RailSlug,
+  homing: HomingMissile,
+  grenade: Grenade,
 };
 
-const Projectiles = ({
-  projectiles,
-  setProjectiles,
-  enemies,
-  setEnemies,
-  setScore,
-  setEnemiesKilled,
-  projectileConfig
-}) => {
+// Draws the player's shots; gameplay (src/config/gameplay.js) flies them and lands their hits
+const Projectiles = () => {
+  const activeProjectiles = useEntities(world.projectiles);
 
-  const handleHit = (projectileId, enemyId, damage) => {
-    setProjectiles(prev => deactivateProjectile(prev, projectileId));
-
-    if (!enemyId) return;
-
-    setEnemies(prevEnemies => {
-      const enemyIndex = prevEnemies.findIndex(e => e.id === enemyId);
-      if (enemyIndex === -1) return prevEnemies;
-
-      const enemy = prevEnemies[enemyIndex];
-      const newHealth = enemy.health - damage;
-
-      if (newHealth <= 0) {
-        const enemyType = gameConfig.enemies.types.find(t => t.id === enemy.type);
-        const points = enemyType ? enemyType.points : 10;
-        setScore(s => s + points * gameConfig.rules.scoreMultiplier);
-        setEnemiesKilled(k => k + 1);
-
-        return deactivateEnemy(prevEnemies, enemyId);
-      } else {
-        return prevEnemies.map(e =>
-          e.id === enemyId ? { ...e, health: newHealth } : e
-        );
-      }
-    });
-  };
-
-  const activeProjectiles = projectiles.filter(p => p.active);
+  // Instanced types (render: 'instanced') are drawn here, one mesh per type
+  const instancedByType = {};
+  activeProjectiles.forEach(proj => {
+    if (proj.render === 'instanced') (instancedByType[proj.type] ||= []).push(proj);
+  });
 
   return (
     <>
       {activeProjectiles.map(proj => {
-        const ProjectileComponent = ProjectileTypes[proj.type] || ProjectileTypes.bullet;
-        
+        if (proj.render === 'instanced') return null;
+        const ProjectileComponent = ProjectileTypes[proj.type] || ProjectileTypes.default;
+
         return (
           <ProjectileComponent
             key={proj.id}
             {...proj}
-            size={projectileConfig.size}
-            color={projectileConfig.color}
-            speed={projectileConfig.speed}
-            damage={projectileConfig.damage}
-            emissiveIntensity={projectileConfig.emissiveIntensity}
-            mass={projectileConfig.mass}
-            enemies={enemies}
-            onHit={handleHit}
+            entity={proj}
           />
         );
       })}
+      {Object.entries(instancedByType).map(([type, items]) => (
+        <InstancedEntities
+          key={type}
+          items={items}
+          getColor={proj => proj.color}
+          getScale={proj => proj.size}
+        >
+          <sphereGeometry args={[1, 12, 8]} />
+          {/* Unlit, so each instance shows its full color like the emissive mesh rounds */}
+          <meshBasicMaterial color="#FFFFFF" />
+        </InstancedEntities>
+      ))}
     </>
   );
 };
@@ -1,4 +1,4 @@
-import React, { Suspense } from 'react';
+import React, { Fragment, Suspense } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { Physics } from '@react-three/cannon';
 import { useAtom } from 'jotai';
@@ -6,36 +6,34 @@ import { Sky, Environment } from '@react-three/drei';
 
 import {
   gameStateAtom,
-  enemiesAtom,
-  projectilesAtom,
   playerPositionAtom,
   playerHealthAtom,
   scoreAtom,
   enemiesKilledAtom,
   showHUDAtom,
-  currentProjectileTypeAtom
+  gameConfigAtom,
+  worldActiveAtom,
+  runIdAtom
 } from '../config/atoms';
-import { gameConfig } from '../config/gameConfig';
-import { getProjectileType } from '../data/projectileTypes';
 import Player from './Player';
 import Floor from './Floor';
+import Obstacles from './Obstacles';
 import Enemies from './Enemies';
 import Projectiles from './Projectiles';
-import EnemySpawner from './enemies/EnemySpawner';
+import EnemyProjectiles from './EnemyProjectiles';
 import HUD from './HUD';
+import GameClockDriver from './GameClockDriver';
 
 const Scene = () => {
-  const [gameState, setGameState] = useAtom(gameStateAtom);
-  const [enemies, setEnemies] = useAtom(enemiesAtom);
-  const [projectiles, setProjectiles] = useAtom(projectilesAtom);
+  const [config] = useAtom(gameConfigAtom);
+  const [gameState] = useAtom(gameStateAtom);
   const [playerPosition] = useAtom(playerPositionAtom);
-  const [playerHealth, setPlayerHealth] = useAtom(playerHealthAtom);
-  const [score, setScore] = useAtom(scoreAtom);
-  const [enemiesKilled, setEnemiesKilled] = useAtom(enemiesKilledAtom);
+  const [playerHealth] = useAtom(playerHealthAtom);
+  const [score] = useAtom(scoreAtom);
+  const [enemiesKilled] = useAtom(enemiesKilledAtom);
   const [showHUD] = useAtom(showHUDAtom);
-  const [currentProjectileTypeId] = useAtom(currentProjectileTypeAtom);
-  
-  const projectileConfig = getProjectileType(currentProjectileTypeId);
+  const [worldActive] = useAtom(worldActiveAtom);
+  const [runId] = useAtom(runIdAtom);
 
   return (
     <>
@@ -46,8 +44,9 @@ const Scene = () => {
         near: 0.1,
         far: 1000 
       }}>
-      <color attach="background" args={[gameConfig.world.backgroundColor]} />
-      <fog attach="fog" args={[gameConfig.world.backgroundColor, 30, 100]} />
+      <GameClockDriver />
+      <color attach="background" args={[config.world.backgroundColor]} />
+      <fog attach="fog" args={[config.world.backgroundColor, 30, 100]} />
 
       <ambientLight intensity={0.5} />
       <directionalLight
@@ -65,42 +64,29 @@ const Scene = () => {
         <Environment preset="city" />
         <Sky sunPosition={[100, 10, 100]} />
 
+        {/* Keyed on the config so every body is rebuilt when a new level loads */}
         <Physics
-          gravity={gameConfig.physics.gravity}
+          key={config.id}
+          isPaused={worldActive && gameState !== 'playing'}
+          gravity={config.physics.gravity}
           defaultContactMaterial={{
-            friction: gameConfig.physics.friction,
-            restitution: gameConfig.physics.restitution
+            friction: config.physics.friction,
+            restitution: config.physics.restitution
           }}
         >
           <Player />
-          {gameState === 'playing' && (
-            <>
-              <EnemySpawner
-                enemies={enemies}
-                setEnemies={setEnemies}
-                playerPosition={playerPosition}
-                gameState={gameState}
-              />
-              <Enemies
-                enemies={enemies}
-                setEnemies={setEnemies}
-                playerPosition={playerPosition}
-                setPlayerHealth={setPlayerHealth}
-                gameState={gameState}
-                setGameState={setGameState}
-              />
-              <Projectiles
-                projectiles={projectiles}
-                setProjectiles={setProjectiles}
-                enemies={enemies}
-                setEnemies={setEnemies}
-                setScore={setScore}
-                setEnemiesKilled={setEnemiesKilled}
-                projectileConfig={projectileConfig}
-              />
-            </>
+          {/* The run's entities, drawn while it is active (paused included); keyed on
+              the run so a restart (or a replay seeking back) rebuilds their bodies.
+              The run itself is stepped by the Player's useGameplayStep. */}
+          {worldActive && (
+            <Fragment key={runId}>
+              <Enemies playerPosition={playerPosition} />
+              <EnemyProjectiles />
+              <Projectiles />
+            </Fragment>
           )}
           <Floor />
+          <Obstacles />
         </Physics>
       </Suspense>
     </Canvas>
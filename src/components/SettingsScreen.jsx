@@ -1,143 +1,102 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useAtom } from 'jotai';
 import {
   gameStateAtom,
-  playerHealthAtom,
-  playerSpeedSettingAtom,
-  playerHealthSettingAtom,
-  playerFireRateSettingAtom,
-  enemySpeedMultiplierAtom,
-  enemySpawnRateAtom,
-  difficultyMultiplierAtom,
-  maxEnemiesSettingAtom
+  difficultyPresetAtom,
+  difficultyCustomizedAtom,
+  applyDifficultyPresetAtom,
+  settingsSnapshotAtom,
+  resetSettingsAtom,
+  gameConfigAtom
 } from '../config/atoms';
-import { settingsConfig, getSettingLabel } from '../config/settingsConfig';
+import { getAllCategories, getCategorySettings, getCategoryLabel } from '../config/settingsConfig';
+import { isDifficultyPresetSetting } from '../data/customProjectileConfigs';
+import { useSettingsPersistence } from '../hooks/useSettingsPersistence';
+import { useSettingsNavigation } from '../hooks/useSettingsNavigation';
+import { useGamepadMenuNavigation } from '../hooks/useGamepadMenuNavigation';
+import DifficultyPicker from './ui/DifficultyPicker';
+import SettingControl from './ui/SettingControl';
+import SettingsProfileControls from './ui/SettingsProfileControls';
+
+const PROFILE_TAB = 'profile';
 
 const SettingsScreen = () => {
-  const [gameState, setGameState] = useAtom(gameStateAtom);
-  const [currentPlayerHealth, setCurrentPlayerHealth] = useAtom(playerHealthAtom);
-  const [playerSpeed, setPlayerSpeed] = useAtom(playerSpeedSettingAtom);
-  const [playerHealthSetting] = useAtom(playerHealthSettingAtom);
-  const [playerFireRate, setPlayerFireRate] = useAtom(playerFireRateSettingAtom);
-  const [enemySpeedMultiplier, setEnemySpeedMultiplier] = useAtom(enemySpeedMultiplierAtom);
-  const [enemySpawnRate, setEnemySpawnRate] = useAtom(enemySpawnRateAtom);
-  const [difficultyMultiplier, setDifficultyMultiplier] = useAtom(difficultyMultiplierAtom);
-  const [maxEnemies, setMaxEnemies] = useAtom(maxEnemiesSettingAtom);
+  const [gameState] = useAtom(gameStateAtom);
+  const [difficultyPreset] = useAtom(difficultyPresetAtom);
+  const [difficultyCustomized, setDifficultyCustomized] = useAtom(difficultyCustomizedAtom);
+  const [, applyDifficultyPreset] = useAtom(applyDifficultyPresetAtom);
+  const [settingsSnapshot, setSettingsSnapshot] = useAtom(settingsSnapshotAtom);
+  const [, resetSettings] = useAtom(resetSettingsAtom);
+  const [config] = useAtom(gameConfigAtom);
+  const categories = getAllCategories();
+  const [activeTab, setActiveTab] = useState(categories[0]);
+
+  useSettingsPersistence();
 
-  const handleBack = () => {
-    // Restore the previous game state (either 'playing' or 'menu')
-    const previousState = sessionStorage.getItem('previousGameState') || 'menu';
-    setGameState(previousState);
-    sessionStorage.removeItem('previousGameState');
+  // Changing a setting a preset controls switches the difficulty to "Custom"
+  const handleSettingChange = (category, key) => {
+    if (isDifficultyPresetSetting(category, key, config)) setDifficultyCustomized(true);
   };
 
+  // Back to whichever screen opened settings (menu, pause or game over)
+  const { goBackFromSettings: handleBack } = useSettingsNavigation();
+
+  const menuRef = useGamepadMenuNavigation(gameState === 'settings', { onBack: handleBack });
+
   return (
     <div
       className="game-screen settings-screen"
+      ref={menuRef}
       style={{ display: gameState !== 'settings' ? 'none' : 'flex' }}
     >
       <div className="screen-content compact">
         <h1>SETTINGS</h1>
 
-        <div className="settings-container scrollable">
-          <div className="setting-group compact">
-            <h3>Player</h3>
-
-            <div className="setting-item compact">
-              <label>{getSettingLabel('player', 'speed', playerSpeed)}</label>
-              <input
-                type="range"
-                min={settingsConfig.player.speed.min}
-                max={settingsConfig.player.speed.max}
-                step={settingsConfig.player.speed.step}
-                value={playerSpeed}
-                onChange={(e) => setPlayerSpeed(parseFloat(e.target.value))}
-              />
-            </div>
-
-            <div className="setting-item compact">
-              <label>{getSettingLabel('player', 'health', currentPlayerHealth)}/{playerHealthSetting}</label>
-              <input
-                type="range"
-                min={settingsConfig.player.health.min}
-                max={settingsConfig.player.health.max}
-                step={settingsConfig.player.health.step}
-                value={currentPlayerHealth}
-                onChange={(e) => {
-                  const newHealth = parseInt(e.target.value);
-                  setCurrentPlayerHealth(newHealth);
-                }}
-              />
-            </div>
-
-            <div className="setting-item compact">
-              <label>{getSettingLabel('player', 'fireRate', playerFireRate)}</label>
-              <input
-                type="range"
-                min={settingsConfig.player.fireRate.min}
-                max={settingsConfig.player.fireRate.max}
-                step={settingsConfig.player.fireRate.step}
-                value={playerFireRate}
-                onChange={(e) => setPlayerFireRate(parseFloat(e.target.value))}
-              />
-            </div>
-          </div>
-
-          <div className="setting-group compact">
-            <h3>Enemies</h3>
-
-            <div className="setting-item compact">
-              <label>{getSettingLabel('enemies', 'speedMultiplier', enemySpeedMultiplier)}</label>
-              <input
-                type="range"
-                min={settingsConfig.enemies.speedMultiplier.min}
-                max={settingsConfig.enemies.speedMultiplier.max}
-                step={settingsConfig.enemies.speedMultiplier.step}
-                value={enemySpeedMultiplier}
-                onChange={(e) => setEnemySpeedMultiplier(parseFloat(e.target.value))}
-              />
-            </div>
+        <div className="settings-tabs">
+          {[...categories, PROFILE_TAB].map((tab) => (
+            <button
+              key={tab}
+              className={`settings-tab${tab === activeTab ? ' active' : ''}`}
+              onClick={() => setActiveTab(tab)}
+            >
+              {getCategoryLabel(tab)}
+            </button>
+          ))}
+        </div>
 
-            <div className="setting-item compact">
-              <label>{getSettingLabel('enemies', 'spawnRate', enemySpawnRate)}</label>
-              <input
-                type="range"
-                min={settingsConfig.enemies.spawnRate.min}
-                max={settingsConfig.enemies.spawnRate.max}
-                step={settingsConfig.enemies.spawnRate.step}
-                value={enemySpawnRate}
-                onChange={(e) => setEnemySpawnRate(parseFloat(e.target.value))}
-              />
-            </div>
+        <div className="settings-container scrollable">
+          {activeTab === PROFILE_TAB ? (
+            <div className="setting-group compact">
+              <h3>Profile</h3>
 
-            <div className="setting-item compact">
-              <label>{getSettingLabel('enemies', 'maxCount', maxEnemies)}</label>
-              <input
-                type="range"
-                min={settingsConfig.enemies.maxCount.min}
-                max={settingsConfig.enemies.maxCount.max}
-                step={settingsConfig.enemies.maxCount.step}
-                value={maxEnemies}
-                onChange={(e) => setMaxEnemies(parseInt(e.target.value))}
+              <SettingsProfileControls
+                snapshot={settingsSnapshot}
+                onImport={setSettingsSnapshot}
+                onReset={resetSettings}
               />
             </div>
-          </div>
+          ) : (
+            <div className="setting-group compact">
+              <h3>{getCategoryLabel(activeTab)}</h3>
 
-          <div className="setting-group compact">
-            <h3>Difficulty</h3>
+              {activeTab === 'difficulty' && (
+                <DifficultyPicker
+                  selected={difficultyPreset}
+                  customized={difficultyCustomized}
+                  onSelect={applyDifficultyPreset}
+                />
+              )}
 
-            <div className="setting-item compact">
-              <label>{getSettingLabel('difficulty', 'multiplier', difficultyMultiplier)}</label>
-              <input
-                type="range"
-                min={settingsConfig.difficulty.multiplier.min}
-                max={settingsConfig.difficulty.multiplier.max}
-                step={settingsConfig.difficulty.multiplier.step}
-                value={difficultyMultiplier}
-                onChange={(e) => setDifficultyMultiplier(parseFloat(e.target.value))}
-              />
+              {Object.keys(getCategorySettings(activeTab)).map((key) => (
+                <SettingControl
+                  key={`${activeTab}.${key}`}
+                  category={activeTab}
+                  settingKey={key}
+                  onChange={handleSettingChange}
+                />
+              ))}
             </div>
-          </div>
+          )}
         </div>
 
         <div className="buttons-container compact">
@@ -150,4 +109,4 @@ const SettingsScreen = () => {
   );
 };
 
-export default SettingsScreen;
\ No newline at end of file
+export default SettingsScreen;
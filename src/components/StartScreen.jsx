@@ -1,12 +1,40 @@
 import React from 'react';
 import { useAtom } from 'jotai';
-import { gameStateAtom, resetGameAtom } from '../config/atoms';
+import {
+  gameStateAtom,
+  resetGameAtom,
+  difficultyPresetAtom,
+  difficultyCustomizedAtom,
+  applyDifficultyPresetAtom,
+  startReplayAtom,
+  gameModeAtom,
+  settingAtoms
+} from '../config/atoms';
+import { shouldUseTouchControls } from '../config/touchInput';
 import { useSettingsNavigation } from '../hooks/useSettingsNavigation';
+import { useGameConfigLoader } from '../hooks/useGameConfigLoader';
+import { useGamepadMenuNavigation } from '../hooks/useGamepadMenuNavigation';
+import { useRunSeed } from '../hooks/useRunSeed';
+import { isDailySeed } from '../config/random';
+import DifficultyPicker from './ui/DifficultyPicker';
+import LevelPicker from './ui/LevelPicker';
+import SeedPicker from './ui/SeedPicker';
+import ReplayPicker from './ui/ReplayPicker';
+import ModePicker from './ui/ModePicker';
 
 const StartScreen = () => {
   const [gameState] = useAtom(gameStateAtom);
   const [, resetGame] = useAtom(resetGameAtom);
+  const [difficultyPreset] = useAtom(difficultyPresetAtom);
+  const [difficultyCustomized] = useAtom(difficultyCustomizedAtom);
+  const [, applyDifficultyPreset] = useAtom(applyDifficultyPresetAtom);
+  const [, startReplay] = useAtom(startReplayAtom);
+  const [gameMode, setGameMode] = useAtom(gameModeAtom);
+  const [touchMode] = useAtom(settingAtoms.touch.mode);
   const { goToSettings } = useSettingsNavigation();
+  const { config, loading, error, loadBuiltIn, loadFromSource } = useGameConfigLoader();
+  const { seed, setSeed, chooseDailySeed, clearSeed } = useRunSeed(loadBuiltIn);
+  const menuRef = useGamepadMenuNavigation(gameState === 'menu');
   
   if (gameState !== 'menu') return null;
   
@@ -18,13 +46,38 @@ const StartScreen = () => {
     goToSettings();
   };
 
+  // A daily seed only counts on the daily level, mode and difficulty, so picking another drops it
+  const leavingDaily = (select, current) => (value) => {
+    if (value !== current && isDailySeed(seed)) clearSeed();
+    select(value);
+  };
+
   return (
-    <div className="game-screen start-screen">
+    <div className="game-screen start-screen" ref={menuRef}>
       <div className="screen-content">
-        <h1>TOP-DOWN SHOOTER</h1>
-        <p>Use WASD or arrow keys to move. Aim and shoot with mouse.</p>
+        <h1>{config.id === 'classic' ? 'TOP-DOWN SHOOTER' : config.name.toUpperCase()}</h1>
+        <p>
+          {shouldUseTouchControls(touchMode)
+            ? 'Drag the left side of the screen to move and the right side to aim and fire.'
+            : 'Use WASD or arrow keys to move, Shift to dash. Aim with mouse. Keys can be changed in Settings.'}
+        </p>
+        <LevelPicker
+          selected={config.id}
+          loading={loading}
+          error={error}
+          onSelect={leavingDaily(loadBuiltIn, config.id)}
+          onLoadFile={leavingDaily(loadFromSource, null)}
+        />
+        <ModePicker selected={gameMode} onSelect={leavingDaily(setGameMode, gameMode)} />
+        <DifficultyPicker
+          selected={difficultyPreset}
+          customized={difficultyCustomized}
+          onSelect={leavingDaily(applyDifficultyPreset, difficultyPreset)}
+        />
+        <SeedPicker seed={seed} onChange={setSeed} onDaily={chooseDailySeed} onClear={clearSeed} />
         <button className="game-button" onClick={handleStartGame}>START GAME</button>
         <button className="game-button secondary" onClick={handleSettings}>SETTINGS</button>
+        <ReplayPicker onLoad={startReplay} />
       </div>
     </div>
   );
@@ -1,46 +1,19 @@
-import React, { useEffect, useRef } from "react";
+import React from "react";
 import { useBox } from "@react-three/cannon";
-import { useEnemyChase } from "../../hooks/useEnemyChase";
-import { useEnemyAttack } from "../../hooks/useEnemyAttack";
-import { useEnemyCleanup } from "../../hooks/useEnemyCleanup";
+import { useEntityBody } from "../../hooks/useEntityBody";
 
-
-export const BaseEnemy = ({
-  id,
-  position,
-  size,
-  color,
-  speed,
-  damage,
-  onRemove,
-  playerPosition,
-  gameState,
-  onPlayerDamage,
-}) => {
-  const currentPosition = useRef(position);
-  
+// A chasing enemy's box; gameplay moves it (stepChase in src/config/enemyBehaviors.js)
+export const BaseEnemy = ({ entity, size, color }) => {
   const [ref, api] = useBox(() => ({
     mass: 1,
-    position,
+    position: entity.position,
     args: [size, size, size],
     linearDamping: 0.9,
     type: "Kinematic",
-    name: `enemy-${id}`,
+    name: `enemy-${entity.id}`,
   }));
 
-  useEffect(() => {
-    const unsubscribe = api.position.subscribe((pos) => {
-      currentPosition.current[0] = pos[0];
-      currentPosition.current[1] = pos[1];
-      currentPosition.current[2] = pos[2];
-    });
-    
-    return unsubscribe;
-  }, [api.position]);
-
-  useEnemyChase(api, currentPosition.current, speed, playerPosition, gameState);
-  useEnemyAttack(currentPosition.current, size, damage, playerPosition, gameState, onPlayerDamage);
-  useEnemyCleanup(currentPosition.current, id, onRemove);
+  useEntityBody(api, entity);
 
   return (
     <mesh ref={ref} castShadow receiveShadow>
@@ -0,0 +1,44 @@
+import React, { useRef, useState } from "react";
+import { useBox } from "@react-three/cannon";
+import { useFrame } from "@react-three/fiber";
+import { useEntityBody } from "../../hooks/useEntityBody";
+
+/**
+ * Boss enemy: a BaseEnemy-sized body whose movement and attacks come from the
+ * phase its health has reached (see the `boss` block of its enemy type).
+ * Gameplay runs it (stepBoss) and leaves phaseIndex and charge on the entity.
+ */
+export const BossEnemy = ({ entity, size, color, boss }) => {
+  const material = useRef();
+
+  const [ref, api] = useBox(() => ({
+    mass: 1,
+    position: entity.position,
+    args: [size, size, size],
+    type: "Kinematic",
+    name: `enemy-${entity.id}`,
+  }));
+
+  useEntityBody(api, entity);
+
+  // Only a new phase re-renders the boss
+  const [phaseIndex, setPhaseIndex] = useState(0);
+  useFrame(() => {
+    const next = entity.phaseIndex ?? 0;
+    if (next !== phaseIndex) setPhaseIndex(next);
+
+    // Glow while winding up a charge, as a warning
+    if (!material.current) return;
+    material.current.emissiveIntensity = entity.charge === "windup" ? 1.2 : 0.2;
+  });
+  const phase = boss.phases[phaseIndex];
+
+  const phaseColor = phase.color || color;
+
+  return (
+    <mesh ref={ref} castShadow receiveShadow>
+      <boxGeometry args={[size, size, size]} />
+      <meshStandardMaterial ref={material} color={phaseColor} emissive={phaseColor} emissiveIntensity={0.2} />
+    </mesh>
+  );
+};
@@ -0,0 +1,79 @@
+import React, { useRef } from "react";
+import InstancedEntities from "../InstancedEntities";
+import { getGameTime } from "../../config/gameClock";
+import { isInstancedType } from "../../config/enemyTypes";
+import { world } from "../../config/world";
+
+// How long an enemy shows white after taking damage, in game ms
+const HIT_FLASH_DURATION = 120;
+
+// Unit-size shapes scaled by each enemy's size, matching the mesh versions
+const EnemyGeometry = ({ component }) => (
+  component === "ranged"
+    ? <octahedronGeometry args={[0.7]} />
+    : <boxGeometry args={[1, 1, 1]} />
+);
+
+/**
+ * Draws every enemy of the instanced types (render: 'instanced'), one
+ * InstancedMesh per type. Their components only run behavior, so this is
+ * where color, size, facing and the hit flash come from.
+ * @param {Array<Object>} enemies - Active enemies
+ * @param {Object} enemyConfigs - Resolved enemy types by id
+ * @param {Array<number>} playerPosition - Live player position, to face toward
+ */
+const InstancedEnemies = ({ enemies, enemyConfigs, playerPosition }) => {
+  // id -> { health, until }: last seen health and when its flash ends
+  const flashes = useRef(new Map());
+
+  const byType = {};
+  enemies.forEach((enemy) => {
+    if (!isInstancedType(enemyConfigs[enemy.type])) return;
+    (byType[enemy.type] ||= []).push(enemy);
+  });
+
+  flashes.current.forEach((_, id) => {
+    if (!world.enemies.get(id)) flashes.current.delete(id);
+  });
+
+  const getFlash = (enemy) => {
+    const now = getGameTime();
+    const flash = flashes.current.get(enemy.id);
+    if (!flash) {
+      flashes.current.set(enemy.id, { health: enemy.health, until: 0 });
+      return 0;
+    }
+    if (enemy.health < flash.health) flash.until = now + HIT_FLASH_DURATION;
+    flash.health = enemy.health;
+    return flash.until > now ? (flash.until - now) / HIT_FLASH_DURATION : 0;
+  };
+
+  const getYaw = (enemy) => Math.atan2(
+    playerPosition[0] - enemy.position[0],
+    playerPosition[2] - enemy.position[2]
+  );
+
+  return (
+    <>
+      {Object.entries(byType).map(([typeId, items]) => {
+        const enemyConfig = enemyConfigs[typeId];
+        return (
+          <InstancedEntities
+            key={typeId}
+            items={items}
+            getColor={() => enemyConfig.color}
+            getScale={(enemy) => enemy.size}
+            getYaw={getYaw}
+            getFlash={getFlash}
+            castShadow
+          >
+            <EnemyGeometry component={enemyConfig.component || typeId} />
+            <meshStandardMaterial color="#FFFFFF" />
+          </InstancedEntities>
+        );
+      })}
+    </>
+  );
+};
+
+export default InstancedEnemies;
@@ -0,0 +1,33 @@
+import React from "react";
+import { useBox } from "@react-three/cannon";
+import { useEntityBody } from "../../hooks/useEntityBody";
+
+// Gameplay leaves the angle toward the player on the entity (stepRanged)
+const getFacing = (entity) => entity.facing;
+
+/**
+ * Enemy that keeps its distance and shoots (see the `ranged` block of its
+ * enemy type); the barrel shows which way it is facing
+ */
+export const RangedEnemy = ({ entity, size, color }) => {
+  const [ref, api] = useBox(() => ({
+    mass: 1,
+    position: entity.position,
+    args: [size, size, size],
+    type: "Kinematic",
+    name: `enemy-${entity.id}`,
+  }));
+
+  useEntityBody(api, entity, getFacing);
+
+  return (
+    <mesh ref={ref} castShadow receiveShadow>
+      <octahedronGeometry args={[size * 0.7]} />
+      <meshStandardMaterial color={color} />
+      <mesh position={[0, 0, size * 0.6]} rotation={[Math.PI / 2, 0, 0]}>
+        <cylinderGeometry args={[size * 0.12, size * 0.12, size * 0.6]} />
+        <meshStandardMaterial color="#222222" />
+      </mesh>
+    </mesh>
+  );
+};
@@ -0,0 +1,14 @@
+import { FastEnemy } from "./FastEnemy";
+import { TankEnemy } from "./TankEnemy";
+import { BossEnemy } from "./BossEnemy";
+import { RangedEnemy } from "./RangedEnemy";
+
+// Renderers for enemy types, keyed by type id (or a type's `component` field)
+export const EnemyComponents = {
+  fast: FastEnemy,
+  tank: TankEnemy,
+  boss: BossEnemy,
+  ranged: RangedEnemy,
+};
+
+export const getEnemyComponentIds = () => Object.keys(EnemyComponents);
@@ -0,0 +1,48 @@
+import React, { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+
+// Just above the floor so the reticle doesn't z-fight with it
+const FLOOR_OFFSET = 0.02;
+
+/**
+ * Ground crosshair at the aim point with a faint line back to the player
+ * @param {Object} aimPoint - Ref to the THREE.Vector3 from usePlayerInput
+ * @param {Array} playerPosition - Current [x, y, z] position
+ * @param {string} color - Reticle color
+ */
+export const AimReticle = ({ aimPoint, playerPosition, color = "#ffffff" }) => {
+  const reticle = useRef();
+  const line = useRef();
+
+  useFrame(() => {
+    if (!reticle.current || !line.current) return;
+
+    const { x, z } = aimPoint.current;
+    const [px, , pz] = playerPosition;
+    const length = Math.hypot(x - px, z - pz);
+
+    reticle.current.position.set(x, FLOOR_OFFSET, z);
+    line.current.position.set((x + px) / 2, FLOOR_OFFSET, (z + pz) / 2);
+    line.current.rotation.set(-Math.PI / 2, 0, Math.atan2(x - px, z - pz));
+    line.current.scale.set(1, length, 1);
+  });
+
+  return (
+    <>
+      <group ref={reticle}>
+        <mesh rotation={[-Math.PI / 2, 0, 0]}>
+          <ringGeometry args={[0.35, 0.45, 32]} />
+          <meshBasicMaterial color={color} transparent opacity={0.8} depthWrite={false} />
+        </mesh>
+        <mesh rotation={[-Math.PI / 2, 0, 0]}>
+          <circleGeometry args={[0.06, 12]} />
+          <meshBasicMaterial color={color} transparent opacity={0.8} depthWrite={false} />
+        </mesh>
+      </group>
+      <mesh ref={line}>
+        <planeGeometry args={[0.04, 1]} />
+        <meshBasicMaterial color={color} transparent opacity={0.25} depthWrite={false} />
+      </mesh>
+    </>
+  );
+};
@@ -0,0 +1,16 @@
+import React from 'react';
+import { BaseProjectile } from './BaseProjectile';
+
+export const Grenade = (props) => {
+  return (
+    <BaseProjectile {...props}>
+      <dodecahedronGeometry args={[props.size]} />
+      <meshStandardMaterial
+        color={props.color}
+        emissive={props.color}
+        emissiveIntensity={props.emissiveIntensity}
+        roughness={0.8}
+      />
+    </BaseProjectile>
+  );
+};
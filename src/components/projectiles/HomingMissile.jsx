@@ -0,0 +1,15 @@
+import React from 'react';
+import { BaseProjectile } from './BaseProjectile';
+
+export const HomingMissile = (props) => {
+  return (
+    <BaseProjectile {...props}>
+      <boxGeometry args={[props.size, props.size, props.size * 3]} />
+      <meshStandardMaterial
+        color={props.color}
+        emissive={props.color}
+        emissiveIntensity={props.emissiveIntensity}
+      />
+    </BaseProjectile>
+  );
+};
@@ -0,0 +1,10 @@
+import React from 'react';
+import { BaseProjectile } from './BaseProjectile';
+
+export const SpreadPellet = (props) => {
+  return (
+    <BaseProjectile 
+      {...props}
+    />
+  );
+};
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+import { getGameTime } from "../../config/gameClock";
+
+// Fills as the reload runs on game time, so it follows the game speed, pauses and slow motion
+const ReloadBar = ({ startedAt, duration }) => {
+  const fill = useRef(null);
+
+  // The clock moves outside React, so poll it once per animation frame
+  useEffect(() => {
+    let frame;
+    const update = () => {
+      const progress = Math.min(Math.max((getGameTime() - startedAt) / duration, 0), 1);
+      fill.current.style.width = `${progress * 100}%`;
+      frame = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frame);
+  }, [startedAt, duration]);
+
+  return (
+    <div className="reload-bar-container">
+      <div ref={fill} className="reload-bar-fill" />
+    </div>
+  );
+};
+
+const AmmoDisplay = ({ magazine, magazineSize, reserve, reload, hint = "R TO RELOAD" }) => {
+  return (
+    <div className="ammo-container">
+      <div className="ammo-label">AMMO</div>
+      <div className={`ammo-value${magazine === 0 ? " empty" : ""}`}>
+        {magazine}
+        <span className="ammo-magazine">/{magazineSize}</span>
+      </div>
+      <div className="ammo-reserve">{reserve === null ? "∞" : reserve}</div>
+      {reload && <ReloadBar startedAt={reload.startedAt} duration={reload.duration} />}
+      <div className="ammo-hint">{reload ? "RELOADING" : hint}</div>
+    </div>
+  );
+};
+
+export default AmmoDisplay;
@@ -0,0 +1,42 @@
+import { useAtom } from "jotai";
+import { gameConfigAtom } from "../../config/atoms";
+import { useEntityVersion } from "../../hooks/useWorld";
+import { world } from "../../config/world";
+
+/**
+ * Top-of-screen health bar for the boss currently in the arena, with a marker
+ * at each health threshold where it changes phase. Renders nothing without a boss.
+ */
+const BossHealthBar = () => {
+  // Boss health changes in place, so follow every change to the enemies; only this bar re-renders
+  useEntityVersion(world.enemies);
+  const [config] = useAtom(gameConfigAtom);
+
+  const enemy = world.enemies.find((e) => e.isBoss);
+  const enemyType = enemy && config.enemies.types.find((type) => type.id === enemy.type);
+  if (!enemyType?.boss) return null;
+
+  const { name, phases } = enemyType.boss;
+  const fraction = Math.max(enemy.health, 0) / enemy.maxHealth;
+  const phaseColor = phases.reduce(
+    (color, phase) => (fraction <= phase.health ? phase.color || color : color),
+    enemyType.color
+  );
+
+  return (
+    <div className="boss-health">
+      <div className="boss-health-name">{name}</div>
+      <div className="boss-health-bar">
+        <div
+          className="boss-health-fill"
+          style={{ width: `${fraction * 100}%`, backgroundColor: phaseColor }}
+        />
+        {phases.filter((phase) => phase.health < 1).map((phase) => (
+          <div key={phase.health} className="boss-health-marker" style={{ left: `${phase.health * 100}%` }} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BossHealthBar;
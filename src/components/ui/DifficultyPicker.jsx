@@ -0,0 +1,36 @@
+import { useAtom } from "jotai";
+import { gameConfigAtom } from "../../config/atoms";
+
+const DifficultyPicker = ({ selected, customized, onSelect }) => {
+  const [config] = useAtom(gameConfigAtom);
+  const presets = config.difficultyPresets;
+  const selectedPreset = presets[selected];
+
+  return (
+    <div className="difficulty-picker">
+      <div className="difficulty-label">DIFFICULTY</div>
+      <div className="difficulty-options">
+        {Object.entries(presets).map(([id, preset]) => (
+          <button
+            key={id}
+            className={`difficulty-option${id === selected && !customized ? " active" : ""}`}
+            onClick={() => onSelect(id)}
+            title={preset.description}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <span className={`difficulty-option custom${customized ? " active" : ""}`}>
+          Custom
+        </span>
+      </div>
+      <div className="difficulty-description">
+        {customized
+          ? `Sliders changed by hand, based on ${selectedPreset?.label || selected}`
+          : selectedPreset?.description}
+      </div>
+    </div>
+  );
+};
+
+export default DifficultyPicker;
@@ -0,0 +1,33 @@
+import { builtInLevels } from "../../data/levels";
+
+const LevelPicker = ({ selected, loading, error, onSelect, onLoadFile }) => {
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onLoadFile(file);
+    e.target.value = "";
+  };
+
+  return (
+    <div className="level-picker">
+      <div className="difficulty-label">LEVEL</div>
+      <div className="difficulty-options">
+        {builtInLevels.map((level) => (
+          <button
+            key={level.id}
+            className={`difficulty-option${level.id === selected ? " active" : ""}`}
+            onClick={() => onSelect(level.id)}
+          >
+            {level.name}
+          </button>
+        ))}
+        <label className="difficulty-option">
+          {loading ? "Loading..." : "Load JSON"}
+          <input type="file" accept=".json,application/json" hidden onChange={handleFileChange} />
+        </label>
+      </div>
+      {error && <div className="level-error">{error}</div>}
+    </div>
+  );
+};
+
+export default LevelPicker;
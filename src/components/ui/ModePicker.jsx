@@ -0,0 +1,36 @@
+import { campaigns, ENDLESS_MODE } from "../../data/waves";
+
+const ModePicker = ({ selected, onSelect }) => {
+  const selectedCampaign = campaigns[selected];
+
+  return (
+    <div className="mode-picker">
+      <div className="difficulty-label">MODE</div>
+      <div className="difficulty-options">
+        <button
+          className={`difficulty-option${selected === ENDLESS_MODE ? " active" : ""}`}
+          onClick={() => onSelect(ENDLESS_MODE)}
+        >
+          Endless
+        </button>
+        {Object.entries(campaigns).map(([id, campaign]) => (
+          <button
+            key={id}
+            className={`difficulty-option${id === selected ? " active" : ""}`}
+            onClick={() => onSelect(id)}
+            title={campaign.description}
+          >
+            {campaign.label}
+          </button>
+        ))}
+      </div>
+      <div className="difficulty-description">
+        {selectedCampaign
+          ? `${selectedCampaign.description} (${selectedCampaign.waves.length} waves)`
+          : "Enemies keep coming, faster every 30 seconds"}
+      </div>
+    </div>
+  );
+};
+
+export default ModePicker;
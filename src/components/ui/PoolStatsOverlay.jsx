@@ -0,0 +1,58 @@
+import { useEntityVersion } from "../../hooks/useWorld";
+import { world } from "../../config/world";
+
+const poolLabels = {
+  projectiles: "Shots",
+  enemies: "Enemies",
+  enemyProjectiles: "Enemy shots",
+};
+
+const formatPolicy = ({ policy, maxCapacity }) => {
+  return policy === "grow" && maxCapacity !== null ? `grow ≤${maxCapacity}` : policy;
+};
+
+/**
+ * Debug overlay (Settings → Display → Pool Stats) with each entity pool's
+ * usage since the run started, for tuning gameConfig.pools: active entities
+ * against the current capacity, the peak, and spawns dropped or recycled
+ */
+const PoolStatsOverlay = () => {
+  // Drops and recycles bump the version too, not just spawns and removals
+  useEntityVersion(world.enemies);
+  useEntityVersion(world.projectiles);
+  useEntityVersion(world.enemyProjectiles);
+  const metrics = world.getMetrics();
+
+  return (
+    <div className="pool-stats">
+      <table>
+        <thead>
+          <tr>
+            <th>Pool</th>
+            <th>Policy</th>
+            <th>Active</th>
+            <th>Peak</th>
+            <th>Dropped</th>
+            <th>Recycled</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(metrics).map(([name, pool]) => (
+            <tr key={name} className={pool.dropped > 0 ? "pool-stats-dropping" : undefined}>
+              <td>{poolLabels[name] || name}</td>
+              <td>{formatPolicy(pool)}</td>
+              <td>
+                {pool.active}/{pool.capacity === Infinity ? "∞" : pool.capacity}
+              </td>
+              <td>{pool.peak}</td>
+              <td>{pool.dropped}</td>
+              <td>{pool.recycled}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PoolStatsOverlay;
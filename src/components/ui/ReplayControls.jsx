@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react";
+import { useAtom } from "jotai";
+import {
+  replayAtom,
+  replayControlsAtom,
+  seekReplayAtom,
+  exitReplayAtom,
+} from "../../config/atoms";
+import { gameClock } from "../../config/gameClock";
+import { formatReplayTime } from "../../config/replay";
+
+const replaySpeeds = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Playback bar shown while watching a replay: pause, speed, a scrub slider
+ * over the run and a way out
+ */
+const ReplayControls = () => {
+  const [replay] = useAtom(replayAtom);
+  const [controls, setControls] = useAtom(replayControlsAtom);
+  const [, seekReplay] = useAtom(seekReplayAtom);
+  const [, exitReplay] = useAtom(exitReplayAtom);
+  const [step, setStep] = useState(0);
+  // Slider position while being dragged; the seek happens on release
+  const [scrubStep, setScrubStep] = useState(null);
+
+  // The clock moves outside React, so poll it once per animation frame
+  useEffect(() => {
+    let frame;
+    const update = () => {
+      setStep(gameClock.getStep());
+      frame = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frame);
+  }, []);
+
+  const commitScrub = () => {
+    if (scrubStep === null) return;
+    seekReplay(scrubStep);
+    setScrubStep(null);
+  };
+
+  const seeking = controls.seekStep !== null && controls.seekStep > step;
+
+  return (
+    <div className="replay-controls">
+      <span className="replay-label">{seeking ? "SEEKING..." : "REPLAY"}</span>
+      <button
+        className="difficulty-option"
+        onClick={() => setControls((prev) => ({ ...prev, paused: !prev.paused }))}
+      >
+        {controls.paused ? "▶" : "❚❚"}
+      </button>
+      <input
+        className="replay-scrub"
+        type="range"
+        min={0}
+        max={replay.steps}
+        value={scrubStep ?? step}
+        onChange={(e) => setScrubStep(Number(e.target.value))}
+        onPointerUp={commitScrub}
+        onKeyUp={commitScrub}
+      />
+      <span className="replay-time">
+        {formatReplayTime(scrubStep ?? step)} / {formatReplayTime(replay.steps)}
+      </span>
+      {replaySpeeds.map((speed) => (
+        <button
+          key={speed}
+          className={`difficulty-option${controls.speed === speed ? " active" : ""}`}
+          onClick={() => setControls((prev) => ({ ...prev, speed }))}
+        >
+          {speed}×
+        </button>
+      ))}
+      <button className="difficulty-option" onClick={exitReplay}>
+        EXIT
+      </button>
+    </div>
+  );
+};
+
+export default ReplayControls;
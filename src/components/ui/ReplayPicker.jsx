@@ -0,0 +1,31 @@
+import { useState } from "react";
+import { parseReplayFile } from "../../config/replay";
+
+const ReplayPicker = ({ onLoad }) => {
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      onLoad(await parseReplayFile(file));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  };
+
+  return (
+    <div className="replay-picker">
+      <label className="difficulty-option">
+        Watch replay
+        <input type="file" accept=".json,application/json" hidden onChange={handleFileChange} />
+      </label>
+      {error && <div className="level-error">{error}</div>}
+    </div>
+  );
+};
+
+export default ReplayPicker;
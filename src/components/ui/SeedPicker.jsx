@@ -0,0 +1,38 @@
+import { getDailySeed, isDailySeed, SEED_MAX_LENGTH } from "../../config/random";
+
+const SeedPicker = ({ seed, onChange, onDaily, onClear }) => {
+  const daily = isDailySeed(seed);
+  const isToday = seed === getDailySeed();
+
+  return (
+    <div className="seed-picker">
+      <div className="difficulty-label">SEED</div>
+      <div className="difficulty-options">
+        <input
+          className="seed-input"
+          type="text"
+          value={seed}
+          maxLength={SEED_MAX_LENGTH}
+          placeholder="Random"
+          spellCheck={false}
+          onChange={(e) => onChange(e.target.value)}
+        />
+        <button className={`difficulty-option${isToday ? " active" : ""}`} onClick={onDaily}>
+          Daily
+        </button>
+        <button className={`difficulty-option${seed === "" ? " active" : ""}`} onClick={onClear}>
+          Random
+        </button>
+      </div>
+      <div className="difficulty-description">
+        {daily
+          ? `Daily challenge for ${seed.slice(6)}: everyone gets the same run on Classic, Endless, Normal`
+          : seed
+            ? "Same seed, same enemies: share it to race a friend"
+            : "A new seed is picked for every run"}
+      </div>
+    </div>
+  );
+};
+
+export default SeedPicker;
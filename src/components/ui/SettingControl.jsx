@@ -0,0 +1,148 @@
+import { useEffect, useState } from "react";
+import { useAtom } from "jotai";
+import { keyBindingsAtom, settingAtoms } from "../../config/atoms";
+import { findBindingConflicts, formatKeyCode, getActionLabel, getWheelCode } from "../../config/inputBindings";
+import { getSettingConfig, getSettingLabel, getSettingType } from "../../config/settingsConfig";
+
+const RangeControl = ({ setting, value, onChange }) => (
+  <input
+    type="range"
+    min={setting.min}
+    max={setting.max}
+    step={setting.step}
+    value={value}
+    onChange={(e) => onChange(parseFloat(e.target.value))}
+  />
+);
+
+const ToggleControl = ({ value, onChange }) => (
+  <button
+    className={`setting-toggle${value ? " on" : ""}`}
+    onClick={() => onChange(!value)}
+  >
+    {value ? "ON" : "OFF"}
+  </button>
+);
+
+const SelectControl = ({ setting, value, onChange }) => (
+  <select className="setting-select" value={value} onChange={(e) => onChange(e.target.value)}>
+    {setting.options.map((option) => (
+      <option key={option.value} value={option.value}>
+        {option.label}
+      </option>
+    ))}
+  </select>
+);
+
+const ColorControl = ({ value, onChange }) => (
+  <input type="color" className="setting-color" value={value} onChange={(e) => onChange(e.target.value)} />
+);
+
+// Keys are stored as KeyboardEvent.code values, so layouts like AZERTY bind by position.
+// Any key or wheel direction can be bound while listening, Escape included; click again to cancel.
+const KeyBindingControl = ({ settingKey, value, onChange }) => {
+  const [listening, setListening] = useState(false);
+  const [bindings] = useAtom(keyBindingsAtom);
+  const conflicts = findBindingConflicts(bindings);
+
+  useEffect(() => {
+    if (!listening) return;
+
+    const bind = (code) => {
+      if (!value.includes(code)) onChange([...value, code]);
+      setListening(false);
+    };
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      bind(e.code);
+    };
+
+    // Not passive, so binding the wheel doesn't also scroll the settings list
+    const handleWheel = (e) => {
+      const code = getWheelCode(e.deltaY);
+      if (!code) return;
+      e.preventDefault();
+      e.stopPropagation();
+      bind(code);
+    };
+
+    window.addEventListener("keydown", handleKeyDown, { capture: true });
+    window.addEventListener("wheel", handleWheel, { capture: true, passive: false });
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown, { capture: true });
+      window.removeEventListener("wheel", handleWheel, { capture: true });
+    };
+  }, [listening, value, onChange]);
+
+  const removeKey = (code) => onChange(value.filter((key) => key !== code));
+
+  const conflictMessages = value
+    .filter((code) => conflicts[code])
+    .map((code) => {
+      const others = conflicts[code].filter((action) => action !== settingKey).map(getActionLabel);
+      return `${formatKeyCode(code)} is also bound to ${others.join(", ")}`;
+    });
+
+  return (
+    <div className="setting-keybinding">
+      <div className="keybinding-keys">
+        {value.map((code) => (
+          <span key={code} className={`keybinding-chip${conflicts[code] ? " conflict" : ""}`}>
+            {formatKeyCode(code)}
+            <button onClick={() => removeKey(code)} title={`Unbind ${formatKeyCode(code)}`}>
+              ×
+            </button>
+          </span>
+        ))}
+        {value.length === 0 && <span className="keybinding-unbound">Unbound</span>}
+        <button
+          className={`keybinding-add${listening ? " listening" : ""}`}
+          onClick={() => setListening(!listening)}
+        >
+          {listening ? "Press a key..." : "+ Add"}
+        </button>
+      </div>
+      {conflictMessages.map((message) => (
+        <div key={message} className="keybinding-conflict">
+          {message}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Controls = {
+  range: RangeControl,
+  toggle: ToggleControl,
+  select: SelectControl,
+  color: ColorControl,
+  keybinding: KeyBindingControl,
+};
+
+/**
+ * One settingsConfig entry rendered as its control and bound to its registered atom
+ */
+const SettingControl = ({ category, settingKey, onChange }) => {
+  const setting = getSettingConfig(category, settingKey);
+  const [value, setValue] = useAtom(settingAtoms[category][settingKey]);
+  const type = getSettingType(setting);
+  const Control = Controls[type] || RangeControl;
+
+  const handleChange = (newValue) => {
+    setValue(newValue);
+    if (onChange) onChange(category, settingKey, newValue);
+  };
+
+  return (
+    <div className={`setting-item compact setting-${type}`} title={setting.description}>
+      <label>
+        {type === "range" ? getSettingLabel(category, settingKey, value) : setting.label}
+      </label>
+      <Control setting={setting} settingKey={settingKey} value={value} onChange={handleChange} />
+    </div>
+  );
+};
+
+export default SettingControl;
@@ -0,0 +1,91 @@
+import { useState } from "react";
+import {
+  encodeShareCode,
+  decodeShareCode,
+  parseSettingsFile,
+  SETTINGS_VERSION
+} from "../../config/settingsStorage";
+
+const SettingsProfileControls = ({ snapshot, onImport, onReset }) => {
+  const [shareCode, setShareCode] = useState("");
+  const [message, setMessage] = useState(null);
+
+  const handleExportFile = () => {
+    const blob = new Blob(
+      [JSON.stringify({ ...snapshot, version: SETTINGS_VERSION }, null, 2)],
+      { type: "application/json" }
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "settings-profile.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      onImport(await parseSettingsFile(file));
+      setMessage(`Imported ${file.name}`);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const handleCopyCode = async () => {
+    const code = encodeShareCode(snapshot);
+    setShareCode(code);
+    try {
+      await navigator.clipboard.writeText(code);
+      setMessage("Share code copied to clipboard");
+    } catch {
+      setMessage("Copy the share code below");
+    }
+  };
+
+  const handleApplyCode = () => {
+    try {
+      onImport(decodeShareCode(shareCode));
+      setMessage("Share code applied");
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const handleReset = () => {
+    onReset();
+    setMessage("Settings reset to defaults");
+  };
+
+  return (
+    <div className="settings-profile">
+      <div className="settings-profile-buttons">
+        <button className="difficulty-option" onClick={handleReset}>Reset to defaults</button>
+        <button className="difficulty-option" onClick={handleExportFile}>Export file</button>
+        <label className="difficulty-option">
+          Import file
+          <input type="file" accept=".json,application/json" hidden onChange={handleImportFile} />
+        </label>
+        <button className="difficulty-option" onClick={handleCopyCode}>Copy share code</button>
+      </div>
+      <div className="settings-profile-code">
+        <input
+          type="text"
+          placeholder="Paste a share code"
+          value={shareCode}
+          onChange={(e) => setShareCode(e.target.value)}
+        />
+        <button className="difficulty-option" onClick={handleApplyCode} disabled={!shareCode.trim()}>
+          Apply
+        </button>
+      </div>
+      {message && <div className="difficulty-description">{message}</div>}
+    </div>
+  );
+};
+
+export default SettingsProfileControls;
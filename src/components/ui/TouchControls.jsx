@@ -0,0 +1,81 @@
+import { useEffect } from "react";
+import { useAtom } from "jotai";
+import { settingAtoms, touchActionsAtom } from "../../config/atoms";
+import { AUTO_FIRE_THRESHOLD, resetTouchSticks, touchSticks } from "../../config/touchInput";
+import VirtualJoystick from "./VirtualJoystick";
+
+// On-screen buttons, each holding an input action while pressed
+const touchButtons = [
+  { action: "dash", label: "DASH" },
+  { action: "reload", label: "↻" },
+  { action: "previousWeapon", label: "◀" },
+  { action: "nextWeapon", label: "▶" },
+];
+
+const TouchButton = ({ action, label, className = "" }) => {
+  const [, setTouchActions] = useAtom(touchActionsAtom);
+
+  const press = (e) => {
+    e.preventDefault();
+    setTouchActions((prev) => (prev.includes(action) ? prev : [...prev, action]));
+  };
+
+  const release = () => {
+    setTouchActions((prev) => prev.filter((held) => held !== action));
+  };
+
+  return (
+    <button
+      className={`touch-button ${className}`}
+      onPointerDown={press}
+      onPointerUp={release}
+      onPointerCancel={release}
+      onPointerLeave={release}
+    >
+      {label}
+    </button>
+  );
+};
+
+/**
+ * Twin virtual joysticks (move on the left, aim on the right) and action buttons
+ * for touch screens. Stick values go to touchSticks; buttons go to touchActionsAtom.
+ */
+const TouchControls = () => {
+  const [autoFire] = useAtom(settingAtoms.touch.autoFire);
+  const [radius] = useAtom(settingAtoms.touch.joystickSize);
+  const [, setTouchActions] = useAtom(touchActionsAtom);
+
+  // Nothing stays held once the controls are hidden (pause, game over)
+  useEffect(() => {
+    return () => {
+      resetTouchSticks();
+      setTouchActions([]);
+    };
+  }, [setTouchActions]);
+
+  const handleMove = (vector) => {
+    touchSticks.move = vector;
+  };
+
+  const handleAim = (vector) => {
+    touchSticks.aim = vector;
+    touchSticks.firing = autoFire && vector.magnitude >= AUTO_FIRE_THRESHOLD;
+  };
+
+  return (
+    <div className="touch-controls">
+      <VirtualJoystick side="left" label="MOVE" radius={radius} onChange={handleMove} />
+      <VirtualJoystick side="right" label={autoFire ? "AIM + FIRE" : "AIM"} radius={radius} onChange={handleAim} />
+
+      <div className="touch-buttons">
+        {!autoFire && <TouchButton action="fire" label="FIRE" className="fire" />}
+        {touchButtons.map((button) => (
+          <TouchButton key={button.action} {...button} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TouchControls;
@@ -0,0 +1,75 @@
+import { useRef, useState } from "react";
+import { getStickVector } from "../../config/touchInput";
+
+/**
+ * Floating on-screen joystick: the base appears wherever a finger lands in its
+ * zone and follows that one pointer, so two joysticks can be used at once.
+ * @param {string} side - "left" or "right" half of the screen
+ * @param {string} label - Hint shown while idle
+ * @param {number} radius - Pixels of travel for full deflection
+ * @param {Function} onChange - Called with { x, y, magnitude } on every move and with zeros on release
+ */
+const VirtualJoystick = ({ side, label, radius, onChange }) => {
+  const pointerId = useRef(null);
+  const [stick, setStick] = useState(null);
+
+  const handlePointerDown = (e) => {
+    if (pointerId.current !== null) return;
+
+    // Stops the browser from also sending mouse events, which would steal the aim
+    e.preventDefault();
+    pointerId.current = e.pointerId;
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const origin = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    setStick({ origin, knob: { x: 0, y: 0 } });
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.pointerId !== pointerId.current || !stick) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const vector = getStickVector(
+      e.clientX - rect.left - stick.origin.x,
+      e.clientY - rect.top - stick.origin.y,
+      radius
+    );
+    setStick({ ...stick, knob: { x: vector.x * radius, y: vector.y * radius } });
+    onChange(vector);
+  };
+
+  const handlePointerUp = (e) => {
+    if (e.pointerId !== pointerId.current) return;
+
+    pointerId.current = null;
+    setStick(null);
+    onChange(getStickVector(0, 0, radius));
+  };
+
+  return (
+    <div
+      className={`joystick-zone ${side}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {stick ? (
+        <div
+          className="joystick-base"
+          style={{ left: stick.origin.x, top: stick.origin.y, width: radius * 2, height: radius * 2 }}
+        >
+          <div
+            className="joystick-knob"
+            style={{ transform: `translate(calc(-50% + ${stick.knob.x}px), calc(-50% + ${stick.knob.y}px))` }}
+          />
+        </div>
+      ) : (
+        <div className="joystick-hint">{label}</div>
+      )}
+    </div>
+  );
+};
+
+export default VirtualJoystick;
@@ -0,0 +1,31 @@
+/**
+ * Wave progress for campaign runs: a banner with a countdown between waves,
+ * and a small counter while a wave is being fought
+ * @param {Object} waveState - Value of waveStateAtom
+ */
+const WaveBanner = ({ waveState }) => {
+  const { wave, totalWaves, name, phase, enemyCount, remaining, countdown } = waveState;
+  const title = `Wave ${wave + 1} – ${enemyCount} enemies`;
+
+  if (phase === "intermission") {
+    return (
+      <div className="wave-banner">
+        <div className="wave-banner-title">{title}</div>
+        {name !== `Wave ${wave + 1}` && <div className="wave-banner-name">{name}</div>}
+        <div className="wave-banner-countdown">{countdown > 0 ? `Starts in ${countdown}` : "Fight!"}</div>
+      </div>
+    );
+  }
+
+  if (phase === "active") {
+    return (
+      <div className="wave-counter">
+        WAVE {wave + 1}/{totalWaves} · {remaining} LEFT
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default WaveBanner;
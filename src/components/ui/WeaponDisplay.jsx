@@ -0,0 +1,24 @@
+import { projectileTypes } from "../../data/projectileTypes";
+
+const WeaponDisplay = ({ currentTypeId }) => {
+  return (
+    <div className="weapon-container">
+      <div className="weapon-label">WEAPON</div>
+      <div className="weapon-slots">
+        {projectileTypes.map((type, index) => (
+          <div
+            key={type.id}
+            className={`weapon-slot${type.id === currentTypeId ? " active" : ""}`}
+            style={{ borderColor: type.color }}
+            title={type.description}
+          >
+            <span className="weapon-slot-key">{index + 1}</span>
+            <span className="weapon-slot-name">{type.name}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WeaponDisplay;
@@ -1,8 +1,74 @@
 import { atom } from 'jotai';
 import { gameConfig } from './gameConfig';
+import { createInitialAmmo, getDifficultyModifier } from '../data/customProjectileConfigs';
+import { getDefaultSettingsValues } from './settingsStorage';
+import { settingsConfig } from './settingsConfig';
+import { gameClock } from './gameClock';
+import { gameRandom, generateSeed, normalizeSeed } from './random';
+import { createReplayPlayer, createReplayRecorder } from './replay';
+import { ENDLESS_MODE, getCampaign } from '../data/waves';
+import { resolveObstacles } from './obstacles';
+import { world } from './world';
+import { enemyGrid } from './spatialHash';
+import { createGameplay } from './gameplay';
 
 export const gameStateAtom = atom('menu');
 
+// Seed picked in the menu or from ?seed=; empty means a fresh random seed each run
+export const seedSettingAtom = atom('');
+// Seed of the current (or last) run, shown on the game over screen
+export const runSeedAtom = atom('');
+
+// 'endless' for the continuous spawner, or a campaign id (see data/waves.js)
+export const gameModeAtom = atom(ENDLESS_MODE);
+// Progress through the campaign's waves, shown by the HUD; null in endless mode.
+// { wave (index), totalWaves, name, phase ('intermission' | 'active' | 'complete'),
+//   enemyCount, remaining (enemies not yet killed), countdown (whole seconds to the next wave) }
+export const waveStateAtom = atom(null);
+
+// Counts runs; the world is keyed on it so a restart remounts spawners and entities
+export const runIdAtom = atom(0);
+
+// Replay being watched (parsed replay data), or null during normal play
+export const replayAtom = atom(null);
+// Reader of the replay being watched (createReplayPlayer result), or null
+export const replayPlayerAtom = atom((get) => {
+  const replay = get(replayAtom);
+  return replay ? createReplayPlayer(replay) : null;
+});
+// Recorder for the run in progress; null while watching a replay
+export const replayRecorderAtom = atom(null);
+// Replay of the last finished run, offered for download on the game over screen
+export const lastReplayAtom = atom(null);
+// Game mode, config and settings to put back when the viewer leaves a replay
+const replayRestoreAtom = atom(null);
+
+const defaultReplayControls = { paused: false, speed: 1, seekStep: null };
+// Playback controls: pause, speed multiplier and a game clock step to fast-forward to
+export const replayControlsAtom = atom(defaultReplayControls);
+
+// The run in progress (createGameplay result), stepped by stepGameplayAtom; null before the first run
+export const gameplayAtom = atom(null);
+
+// Screen to return to when the settings screen closes
+export const settingsReturnStateAtom = atom('menu');
+
+// True while a run is in progress, even if paused or in settings, so the
+// world stays mounted and only the simulation stops
+export const worldActiveAtom = atom((get) => {
+  const gameState = get(gameStateAtom);
+  const activeStates = ['playing', 'paused'];
+  if (gameState === 'settings') return activeStates.includes(get(settingsReturnStateAtom));
+  return activeStates.includes(gameState);
+});
+
+// Active game/level config; starts as the static gameConfig, replaced by applyGameConfigAtom
+export const gameConfigAtom = atom(gameConfig);
+// The level's world.obstacles with their kind's defaults filled in
+export const obstaclesAtom = atom((get) => resolveObstacles(get(gameConfigAtom).world.obstacles));
+// Validation reports ({ source, errors }) for configs rejected at load time
+export const configErrorsAtom = atom([]);
+
 export const playerHealthAtom = atom(gameConfig.player.health);
 export const playerPositionAtom = atom([0, 0, 0]);
 export const playerRotationAtom = atom(0);
@@ -10,85 +76,13 @@ export const playerRotationAtom = atom(0);
 export const scoreAtom = atom(gameConfig.rules.initialScore);
 export const enemiesKilledAtom = atom(0);
 
-export const enemiesAtom = atom([]);
-
-const createProjectilePool = (size = 15) => {
-  const pool = [];
-  for (let i = 0; i < size; i++) {
-    pool.push({
-      id: `proj-${i}`,
-      type: 'bullet',
-      position: [0, 0, 0],
-      direction: [0, 0, 1],
-      speed: 10,
-      size: 0.1,
-      damage: 10,
-      color: '#ffffff',
-      createdAt: 0,
-      active: false,
-    });
-  }
-  return pool;
-};
-
-export const projectilesAtom = atom(createProjectilePool());
-
-// Utility to get an inactive projectile and activate it
-export const activateProjectile = (projectiles, projectileData) => {
-  const inactiveIndex = projectiles.findIndex(p => !p.active);
-  if (inactiveIndex === -1) return projectiles; // No available projectiles
-
-  const now = Date.now();
-  const updatedProjectiles = [...projectiles];
-  updatedProjectiles[inactiveIndex] = {
-    ...updatedProjectiles[inactiveIndex],
-    ...projectileData,
-    id: `proj-${inactiveIndex}-${now}`,
-    createdAt: now,
-    active: true,
-  };
-  return updatedProjectiles;
-};
-
-// Utility to deactivate a projectile
-export const deactivateProjectile = (projectiles, id) => {
-  return projectiles.map(p => p.id === id ? { ...p, active: false } : p);
-};
-
-// Utility to activate or create an enemy
-export const activateEnemy = (enemies, enemyData) => {
-  const inactiveIndex = enemies.findIndex(e => !e.active);
-  if (inactiveIndex !== -1) {
-    // Reuse inactive enemy
-    const now = Date.now();
-    const updatedEnemies = [...enemies];
-    updatedEnemies[inactiveIndex] = {
-      ...updatedEnemies[inactiveIndex],
-      ...enemyData,
-      id: `enemy-${inactiveIndex}-${now}`,
-      active: true,
-    };
-    return updatedEnemies;
-  } else {
-    // Create new enemy
-    const now = Date.now();
-    return [
-      ...enemies,
-      {
-        ...enemyData,
-        id: `enemy-${enemies.length}-${now}`,
-        active: true,
-      },
-    ];
-  }
-};
-
-// Utility to deactivate an enemy
-export const deactivateEnemy = (enemies, id) => {
-  return enemies.map(e => e.id === id ? { ...e, active: false } : e);
-};
 export const currentProjectileTypeAtom = atom('default');
 
+// Magazine and reserve counts per weapon loadout id
+export const weaponAmmoAtom = atom(createInitialAmmo(gameConfig));
+// Active reload: { loadoutId, startedAt, duration } or null
+export const weaponReloadAtom = atom(null);
+
 export const runtimePlayerSpeedAtom = atom(gameConfig.player.speed);
 export const runtimeProjectileSpeedAtom = atom(gameConfig.player.projectileSpeed);
 export const runtimePlayerHealthAtom = atom(gameConfig.player.health);
@@ -104,17 +98,283 @@ export const enemySpawnRateAtom = atom(1.0);
 export const difficultyMultiplierAtom = atom(1.0);
 export const maxEnemiesSettingAtom = atom(gameConfig.enemies.maxOnScreen);
 
+// Atoms that existing game code reads directly, keyed like settingsConfig
+const namedSettingAtoms = {
+  player: {
+    speed: playerSpeedSettingAtom,
+    health: playerHealthSettingAtom,
+    fireRate: playerFireRateSettingAtom,
+  },
+  enemies: {
+    speedMultiplier: enemySpeedMultiplierAtom,
+    spawnRate: enemySpawnRateAtom,
+    maxCount: maxEnemiesSettingAtom,
+  },
+  difficulty: {
+    multiplier: difficultyMultiplierAtom,
+  },
+  display: {
+    showHUD: showHUDAtom,
+  },
+};
+
+// Registry of one atom per settingsConfig entry (category -> key). Settings
+// without a named atom get one created from their default, so adding a
+// setting to settingsConfig is enough to make it editable and persisted.
+export const settingAtoms = Object.fromEntries(
+  Object.entries(settingsConfig).map(([category, settings]) => [
+    category,
+    Object.fromEntries(
+      Object.entries(settings).map(([key, setting]) => [
+        key,
+        namedSettingAtoms[category]?.[key] || atom(setting.default),
+      ])
+    ),
+  ])
+);
+
+// Current key bindings, action -> array of KeyboardEvent.code values
+export const keyBindingsAtom = atom((get) => {
+  return Object.fromEntries(
+    Object.entries(settingAtoms.controls).map(([action, bindingAtom]) => [action, get(bindingAtom)])
+  );
+});
+
+// Actions held through the on-screen touch buttons, merged in by useInputActions
+export const touchActionsAtom = atom([]);
+
+// Selected difficulty preset id (see gameConfig.difficultyPresets)
+export const difficultyPresetAtom = atom('normal');
+// True once a slider has been moved by hand after picking a preset
+export const difficultyCustomizedAtom = atom(false);
+
+// Select a preset and push its slider overrides into the setting atoms
+export const applyDifficultyPresetAtom = atom(
+  null,
+  (get, set, presetId) => {
+    const preset = getDifficultyModifier(presetId, get(gameConfigAtom));
+    Object.entries(preset.settings || {}).forEach(([category, values]) => {
+      Object.entries(values).forEach(([key, value]) => {
+        const settingAtom = settingAtoms[category]?.[key];
+        if (settingAtom) set(settingAtom, value);
+      });
+    });
+    set(difficultyPresetAtom, presetId);
+    set(difficultyCustomizedAtom, false);
+  }
+);
+
+// Every setting value plus the difficulty preset, in the shape stored by settingsStorage
+export const settingsSnapshotAtom = atom(
+  (get) => {
+    const values = {};
+    Object.entries(settingAtoms).forEach(([category, atoms]) => {
+      values[category] = {};
+      Object.entries(atoms).forEach(([key, settingAtom]) => {
+        values[category][key] = get(settingAtom);
+      });
+    });
+    return {
+      values,
+      difficultyPreset: get(difficultyPresetAtom),
+      difficultyCustomized: get(difficultyCustomizedAtom),
+    };
+  },
+  (get, set, snapshot) => {
+    Object.entries(snapshot.values).forEach(([category, values]) => {
+      Object.entries(values).forEach(([key, value]) => {
+        const settingAtom = settingAtoms[category]?.[key];
+        if (settingAtom) set(settingAtom, value);
+      });
+    });
+    set(difficultyPresetAtom, snapshot.difficultyPreset);
+    set(difficultyCustomizedAtom, snapshot.difficultyCustomized);
+  }
+);
+
+// Put every setting back to its settingsConfig default
+export const resetSettingsAtom = atom(
+  null,
+  (get, set) => {
+    set(settingsSnapshotAtom, {
+      values: getDefaultSettingsValues(),
+      difficultyPreset: 'normal',
+      difficultyCustomized: false,
+    });
+  }
+);
+
+// The settings gameplay reads, in the shape createGameplay takes; the same object until one changes
+export const gameplaySettingsAtom = atom((get) => ({
+  playerSpeed: get(playerSpeedSettingAtom),
+  playerHealth: get(playerHealthSettingAtom),
+  fireRate: get(playerFireRateSettingAtom),
+  enemySpeedMultiplier: get(enemySpeedMultiplierAtom),
+  enemySpawnRate: get(enemySpawnRateAtom),
+  maxEnemies: get(maxEnemiesSettingAtom),
+  difficultyMultiplier: get(difficultyMultiplierAtom),
+  killCam: get(settingAtoms.display.killCam),
+}));
+
 export const resetGameAtom = atom(
   null,
   (get, set) => {
+    const replay = get(replayAtom);
+    const seed = replay ? replay.seed : normalizeSeed(get(seedSettingAtom)) || generateSeed();
+    gameRandom.reseed(seed);
+    set(runSeedAtom, seed);
+    set(runIdAtom, (id) => id + 1);
+    // Every run starts at game time 0, so its timers compare exactly the same way each time it is played
+    gameClock.reset();
+    set(waveStateAtom, null);
+    set(replayRecorderAtom, replay ? null : createReplayRecorder({
+      seed,
+      mode: get(gameModeAtom),
+      config: get(gameConfigAtom),
+      settings: get(settingsSnapshotAtom),
+    }));
+
+    world.reset(get(gameConfigAtom).pools);
+    enemyGrid.clear();
+    const gameplay = createGameplay({
+      config: get(gameConfigAtom),
+      world,
+      grid: enemyGrid,
+      random: gameRandom,
+      clock: gameClock,
+      difficulty: get(difficultyPresetAtom),
+      settings: get(gameplaySettingsAtom),
+      campaign: getCampaign(get(gameModeAtom)),
+    });
+    set(gameplayAtom, gameplay);
+
     set(gameStateAtom, 'playing');
-    set(playerHealthAtom, get(playerHealthSettingAtom));
-    set(playerPositionAtom, gameConfig.player.initialPosition);
-    set(playerRotationAtom, 0);
-    set(scoreAtom, gameConfig.rules.initialScore);
+    set(playerHealthAtom, gameplay.player.health);
+    set(playerPositionAtom, [...gameplay.player.position]);
+    set(playerRotationAtom, gameplay.player.facing);
+    set(scoreAtom, gameplay.stats.score);
     set(enemiesKilledAtom, 0);
-    set(enemiesAtom, (prev) => prev.map(e => ({ ...e, active: false })));
-    set(projectilesAtom, (prev) => prev.map(p => ({ ...p, active: false })));
-    set(currentProjectileTypeAtom, 'default');
+    set(currentProjectileTypeAtom, gameplay.player.weapon);
+    set(weaponAmmoAtom, gameplay.player.ammo);
+    set(weaponReloadAtom, null);
+  }
+);
+
+/**
+ * Run one game step of the run in progress with this step's input frame,
+ * then publish what changed to the atoms the HUD and scene render from.
+ * Gameplay never reads those atoms back, so they can lag without changing
+ * the run. Settings changed mid-run are recorded with the step they took
+ * effect; a replay being watched runs on its recorded settings instead of the
+ * viewer's. Ends the run (gameOver) when the player dies, leaves the arena or
+ * clears the campaign.
+ */
+export const stepGameplayAtom = atom(
+  null,
+  (get, set, frame, delta) => {
+    const gameplay = get(gameplayAtom);
+    if (!gameplay || get(gameStateAtom) !== 'playing') return;
+
+    const step = gameClock.getStep() - 1;
+    const recorded = get(replayPlayerAtom)?.settingsAt(step);
+    const settings = recorded ? recorded.settings : get(gameplaySettingsAtom);
+    const difficulty = recorded ? recorded.difficulty : get(difficultyPresetAtom);
+    get(replayRecorderAtom)?.recordSettings(step, settings, difficulty);
+    gameplay.setSettings(settings, difficulty);
+    const { player, stats } = gameplay;
+    gameplay.step(frame, delta);
+
+    // Equal values don't notify, so only what changed re-renders
+    set(playerHealthAtom, player.health);
+    set(playerRotationAtom, player.facing);
+    set(scoreAtom, stats.score);
+    set(enemiesKilledAtom, stats.kills);
+    set(currentProjectileTypeAtom, player.weapon);
+    set(weaponAmmoAtom, player.ammo);
+    set(weaponReloadAtom, player.reload);
+    set(waveStateAtom, gameplay.getWaveState());
+    const [x, y, z] = get(playerPositionAtom);
+    const position = player.position;
+    if (x !== position[0] || y !== position[1] || z !== position[2]) set(playerPositionAtom, [...position]);
+
+    if (gameplay.getOutcome()) set(gameStateAtom, 'gameOver');
+  }
+);
+
+// Switch to a loaded game/level config and reset the settings it provides defaults for
+export const applyGameConfigAtom = atom(
+  null,
+  (get, set, config) => {
+    set(gameConfigAtom, config);
+    set(playerSpeedSettingAtom, config.player.speed);
+    set(playerHealthSettingAtom, config.player.health);
+    set(playerFireRateSettingAtom, config.player.fireRate);
+    set(maxEnemiesSettingAtom, config.enemies.maxOnScreen);
+    set(playerHealthAtom, config.player.health);
+    world.reset(config.pools);
+  }
+);
+
+// Close the recording of the run that just ended and keep it as lastReplayAtom
+export const finishRecordingAtom = atom(
+  null,
+  (get, set) => {
+    const recorder = get(replayRecorderAtom);
+    if (!recorder) return;
+    set(lastReplayAtom, recorder.finish({
+      score: get(scoreAtom),
+      enemiesKilled: get(enemiesKilledAtom),
+    }));
+    set(replayRecorderAtom, null);
+  }
+);
+
+// Watch a replay: switch to its config and settings, then start its run
+export const startReplayAtom = atom(
+  null,
+  (get, set, replay) => {
+    if (!get(replayAtom)) {
+      set(replayRestoreAtom, {
+        mode: get(gameModeAtom),
+        config: get(gameConfigAtom),
+        settings: get(settingsSnapshotAtom),
+      });
+    }
+    set(gameModeAtom, replay.mode);
+    set(applyGameConfigAtom, replay.config);
+    set(settingsSnapshotAtom, replay.settings);
+    set(replayAtom, replay);
+    set(replayControlsAtom, defaultReplayControls);
+    set(resetGameAtom);
+  }
+);
+
+/**
+ * Jump to a step of the replay being watched. Going back restarts the run,
+ * since the simulation can only run forward; the clock driver then
+ * fast-forwards to the target.
+ */
+export const seekReplayAtom = atom(
+  null,
+  (get, set, targetStep) => {
+    if (targetStep < gameClock.getStep()) set(resetGameAtom);
+    set(replayControlsAtom, (controls) => ({ ...controls, seekStep: targetStep }));
+  }
+);
+
+// Leave replay playback for the menu, putting the viewer's own config and settings back
+export const exitReplayAtom = atom(
+  null,
+  (get, set) => {
+    const restore = get(replayRestoreAtom);
+    if (restore) {
+      set(gameModeAtom, restore.mode);
+      set(applyGameConfigAtom, restore.config);
+      set(settingsSnapshotAtom, restore.settings);
+    }
+    set(replayAtom, null);
+    set(replayRestoreAtom, null);
+    set(replayControlsAtom, defaultReplayControls);
+    set(gameStateAtom, 'menu');
   }
 );
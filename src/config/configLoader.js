@@ -0,0 +1,52 @@
+import { createCustomConfig } from './gameConfig';
+import { validateGameConfig, assertValidConfig } from './configValidation';
+
+/**
+ * Merge a parsed game/level definition over the base gameConfig
+ * @param {Object} definition - Partial config, shaped like gameConfig
+ * @param {string} source - Where it came from, used as the id when the definition has none
+ * @param {Object} options - { enemyComponentIds } passed through to validateGameConfig
+ * @returns {Object} - Complete game config
+ * @throws {ConfigValidationError} - When the merged config is invalid
+ */
+export const buildGameConfig = (definition, source = 'custom', options = {}) => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Game definition from '${source}' must be a JSON object`);
+  }
+
+  const config = createCustomConfig({ id: source, ...definition });
+  assertValidConfig(`game definition '${source}'`, validateGameConfig(config, options));
+  return config;
+};
+
+/**
+ * Load a game/level definition from a URL or a File picked by the user
+ * @param {string|File} source - URL to fetch, or a File/Blob containing JSON
+ * @param {Object} options - Passed through to buildGameConfig
+ * @returns {Promise<Object>} - Complete game config
+ */
+export const loadGameConfig = async (source, options = {}) => {
+  let text;
+  let name;
+
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Could not load game definition '${source}' (${response.status})`);
+    }
+    text = await response.text();
+    name = source;
+  } else {
+    text = await source.text();
+    name = source.name || 'custom';
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Game definition '${name}' is not valid JSON: ${error.message}`);
+  }
+
+  return buildGameConfig(definition, name, options);
+};
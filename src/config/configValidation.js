@@ -0,0 +1,577 @@
+import { settingsConfig } from './settingsConfig';
+import { gameConfig } from './gameConfig';
+import { projectileBehaviors, projectileRenderModes, projectileTypes } from '../data/projectileTypes';
+import { campaigns, spawnPatterns, waveLibrary } from '../data/waves';
+import { bossAttackTypes, bossMovements, enemyRenderModes } from './enemyTypes';
+import { steeringBehaviors } from './steering';
+import { obstacleKinds } from '../data/obstacles';
+import { poolPolicies, recyclablePools } from './world';
+
+/**
+ * Thrown when a config object fails validation
+ * `errors` holds one readable message per problem, prefixed with its path
+ */
+export class ConfigValidationError extends Error {
+  constructor(source, errors) {
+    super(`Invalid ${source}:\n- ${errors.join('\n- ')}`);
+    this.name = 'ConfigValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkNumber = (errors, path, value, { min = -Infinity, max = Infinity, integer = false, optional = false } = {}) => {
+  if (value === undefined && optional) return;
+
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    errors.push(`${path} must be a number (got ${JSON.stringify(value)})`);
+    return;
+  }
+  if (integer && !Number.isInteger(value)) {
+    errors.push(`${path} must be a whole number (got ${value})`);
+  }
+  if (value < min || value > max) {
+    errors.push(`${path} must be between ${min} and ${max} (got ${value})`);
+  }
+};
+
+// Range of a slider in settingsConfig, so data files can't ask for values the UI can't show
+const settingRange = (category, key) => {
+  const { min, max } = settingsConfig[category][key];
+  return { min, max };
+};
+
+const checkString = (errors, path, value, { optional = false } = {}) => {
+  if (value === undefined && optional) return;
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`${path} must be a non-empty string (got ${JSON.stringify(value)})`);
+  }
+};
+
+const checkVector = (errors, path, value, length = 3) => {
+  if (!Array.isArray(value) || value.length !== length || value.some(v => typeof v !== 'number')) {
+    errors.push(`${path} must be an array of ${length} numbers (got ${JSON.stringify(value)})`);
+  }
+};
+
+const checkUniqueIds = (errors, path, items) => {
+  const seen = new Set();
+  items.forEach((item, index) => {
+    if (!isObject(item) || typeof item.id !== 'string') return;
+    if (seen.has(item.id)) {
+      errors.push(`${path}[${index}].id '${item.id}' is used more than once`);
+    }
+    seen.add(item.id);
+  });
+};
+
+/**
+ * Validate one entry of gameConfig.enemies.types
+ * @param {Object} type - Enemy type definition
+ * @param {string} path - Path used in error messages
+ * @param {Array<string>} enemyComponentIds - Registered EnemyComponents keys; skipped when omitted
+ * @returns {Array<string>} - Error messages
+ */
+export const validateEnemyType = (type, path, enemyComponentIds) => {
+  const errors = [];
+  if (!isObject(type)) return [`${path} must be an object`];
+
+  checkString(errors, `${path}.id`, type.id);
+  checkString(errors, `${path}.color`, type.color);
+  checkString(errors, `${path}.component`, type.component, { optional: true });
+  checkNumber(errors, `${path}.speed`, type.speed, { min: 0 });
+  checkNumber(errors, `${path}.health`, type.health, { min: 1 });
+  checkNumber(errors, `${path}.size`, type.size, { min: 0.1, max: 10 });
+  checkNumber(errors, `${path}.damage`, type.damage, { min: 0 });
+  checkNumber(errors, `${path}.points`, type.points, { min: 0 });
+  checkNumber(errors, `${path}.spawnRate`, type.spawnRate, { min: 0 });
+  if (type.boss !== undefined) validateBoss(errors, `${path}.boss`, type.boss);
+  if (type.render !== undefined && !enemyRenderModes.includes(type.render)) {
+    errors.push(`${path}.render must be one of ${enemyRenderModes.join(', ')} (got ${JSON.stringify(type.render)})`);
+  }
+  // Bosses glow and change color by phase, which the shared instanced mesh can't show
+  if (type.render === 'instanced' && (type.boss !== undefined || type.component === 'boss')) {
+    errors.push(`${path}.render can't be 'instanced' for a boss`);
+  }
+  if (type.steering !== undefined) validateSteeringWeights(errors, `${path}.steering`, type.steering, { optional: true });
+  if (type.ranged !== undefined || type.component === 'ranged') {
+    validateRanged(errors, `${path}.ranged`, type.ranged);
+  }
+
+  const componentId = type.component || type.id;
+  if (enemyComponentIds && typeof componentId === 'string' && !enemyComponentIds.includes(componentId)) {
+    errors.push(
+      `${path} has no component registered for '${componentId}' in EnemyComponents ` +
+      `(registered: ${enemyComponentIds.join(', ')})`
+    );
+  }
+
+  return errors;
+};
+
+const validateBossAttack = (errors, path, attack) => {
+  if (!isObject(attack)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!bossAttackTypes.includes(attack.type)) {
+    errors.push(`${path}.type must be one of ${bossAttackTypes.join(', ')} (got ${JSON.stringify(attack.type)})`);
+    return;
+  }
+
+  checkNumber(errors, `${path}.interval`, attack.interval, { min: 0.1 });
+  checkNumber(errors, `${path}.count`, attack.count, { min: 1, integer: true });
+  if (attack.type === 'burst') {
+    checkNumber(errors, `${path}.speed`, attack.speed, { min: 0.1 });
+    checkNumber(errors, `${path}.damage`, attack.damage, { min: 0 });
+  } else {
+    checkString(errors, `${path}.enemyType`, attack.enemyType);
+  }
+};
+
+// The optional `boss` block that makes an enemy type a boss
+const validateBoss = (errors, path, boss) => {
+  if (!isObject(boss)) {
+    errors.push(`${path} must be an object with name and phases`);
+    return;
+  }
+
+  checkString(errors, `${path}.name`, boss.name);
+  if (!Array.isArray(boss.phases) || boss.phases.length === 0) {
+    errors.push(`${path}.phases must be a non-empty array`);
+    return;
+  }
+
+  boss.phases.forEach((phase, index) => {
+    const phasePath = `${path}.phases[${index}]`;
+    if (!isObject(phase)) {
+      errors.push(`${phasePath} must be an object`);
+      return;
+    }
+    checkNumber(errors, `${phasePath}.health`, phase.health, { min: 0.01, max: 1 });
+    if (index > 0 && phase.health >= boss.phases[index - 1].health) {
+      errors.push(`${phasePath}.health must be below the previous phase's threshold`);
+    }
+    if (!bossMovements.includes(phase.movement)) {
+      errors.push(`${phasePath}.movement must be one of ${bossMovements.join(', ')} (got ${JSON.stringify(phase.movement)})`);
+    }
+    checkNumber(errors, `${phasePath}.speedMultiplier`, phase.speedMultiplier, { min: 0, optional: true });
+    checkString(errors, `${phasePath}.color`, phase.color, { optional: true });
+    if (phase.attacks !== undefined && !Array.isArray(phase.attacks)) {
+      errors.push(`${phasePath}.attacks must be an array`);
+    } else {
+      (phase.attacks || []).forEach((attack, attackIndex) => {
+        validateBossAttack(errors, `${phasePath}.attacks[${attackIndex}]`, attack);
+      });
+    }
+  });
+};
+
+// Steering weights, from enemies.steering or a type's `steering` block
+const validateSteeringWeights = (errors, path, weights, { optional = false } = {}) => {
+  if (!isObject(weights)) {
+    errors.push(`${path} must be an object with ${steeringBehaviors.join(', ')} weights`);
+    return;
+  }
+  Object.keys(weights).forEach((key) => {
+    if (!steeringBehaviors.includes(key)) {
+      errors.push(`${path}.${key} is not a steering behavior (expected ${steeringBehaviors.join(', ')})`);
+    }
+  });
+  steeringBehaviors.forEach((key) => {
+    checkNumber(errors, `${path}.${key}`, weights[key], { min: 0, max: 10, optional });
+  });
+};
+
+// The `ranged` block of an enemy type that shoots
+const validateRanged = (errors, path, ranged) => {
+  if (!isObject(ranged)) {
+    errors.push(`${path} must be an object with preferredDistance, range, fireInterval and projectile settings`);
+    return;
+  }
+
+  checkNumber(errors, `${path}.preferredDistance`, ranged.preferredDistance, { min: 0 });
+  checkNumber(errors, `${path}.range`, ranged.range, { min: 1 });
+  checkNumber(errors, `${path}.strafeSpeed`, ranged.strafeSpeed, { min: 0, max: 1 });
+  checkNumber(errors, `${path}.fireInterval`, ranged.fireInterval, { min: 0.1 });
+  checkNumber(errors, `${path}.projectileSpeed`, ranged.projectileSpeed, { min: 0.1 });
+  checkNumber(errors, `${path}.projectileDamage`, ranged.projectileDamage, { min: 0 });
+  checkNumber(errors, `${path}.projectileSize`, ranged.projectileSize, { min: 0.05, max: 2, optional: true });
+  checkString(errors, `${path}.projectileColor`, ranged.projectileColor, { optional: true });
+  checkNumber(errors, `${path}.lead`, ranged.lead, { min: 0, max: 1, optional: true });
+};
+
+// world.obstacles: every obstacle must fit inside the arena
+const validateObstacles = (errors, obstacles, worldSize) => {
+  if (!Array.isArray(obstacles)) {
+    errors.push('world.obstacles must be an array');
+    return;
+  }
+
+  const kinds = Object.keys(obstacleKinds);
+  obstacles.forEach((obstacle, index) => {
+    const path = `world.obstacles[${index}]`;
+    if (!isObject(obstacle)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!kinds.includes(obstacle.kind)) {
+      errors.push(`${path}.kind must be one of ${kinds.join(', ')} (got ${JSON.stringify(obstacle.kind)})`);
+      return;
+    }
+
+    checkVector(errors, `${path}.position`, obstacle.position, 2);
+    if (obstacleKinds[obstacle.kind].shape === 'cylinder') {
+      checkNumber(errors, `${path}.radius`, obstacle.radius, { min: 0.1, max: worldSize });
+    } else if (!Array.isArray(obstacle.size) || obstacle.size.length !== 2 || !obstacle.size.every((v) => v > 0)) {
+      errors.push(`${path}.size must be [width, depth] with both above 0 (got ${JSON.stringify(obstacle.size)})`);
+    }
+    checkNumber(errors, `${path}.height`, obstacle.height, { min: 0.1, optional: true });
+    checkString(errors, `${path}.color`, obstacle.color, { optional: true });
+
+    if (Array.isArray(obstacle.position) && obstacle.position.some((v) => Math.abs(v) > worldSize)) {
+      errors.push(`${path}.position must be inside the arena (±${worldSize})`);
+    }
+  });
+};
+
+// Every pool gameConfig.pools names, each with a known policy it allows and room for at least one entity
+const validatePools = (errors, pools) => {
+  Object.keys(gameConfig.pools).forEach((name) => {
+    const path = `pools.${name}`;
+    const pool = pools[name];
+    if (!isObject(pool)) {
+      errors.push(`${path} must be an object with policy, capacity and maxCapacity`);
+      return;
+    }
+    if (!poolPolicies.includes(pool.policy)) {
+      errors.push(`${path}.policy must be one of ${poolPolicies.join(', ')} (got ${JSON.stringify(pool.policy)})`);
+    } else if (pool.policy === 'recycle' && !recyclablePools.includes(name)) {
+      errors.push(`${path}.policy can't be 'recycle': only ${recyclablePools.join(' and ')} may drop their oldest entity`);
+    }
+    checkNumber(errors, `${path}.capacity`, pool.capacity, { min: 1, integer: true });
+    if (pool.maxCapacity !== null && pool.maxCapacity !== undefined) {
+      checkNumber(errors, `${path}.maxCapacity`, pool.maxCapacity, { min: pool.capacity || 1, integer: true });
+    }
+  });
+};
+
+/**
+ * Validate a complete game config (gameConfig or a createCustomConfig result)
+ * @param {Object} config - Game config
+ * @param {Object} options - { enemyComponentIds } to check that every enemy type can be rendered
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+export const validateGameConfig = (config, { enemyComponentIds } = {}) => {
+  const errors = [];
+  if (!isObject(config)) return ['config must be an object'];
+
+  ['player', 'camera', 'enemies', 'world', 'pools', 'weapons', 'difficultyPresets', 'rules', 'physics'].forEach((section) => {
+    if (!isObject(config[section])) errors.push(`${section} section is missing`);
+  });
+  if (errors.length > 0) return errors;
+
+  const { player, camera, enemies, world, pools, rules, physics } = config;
+
+  checkNumber(errors, 'player.speed', player.speed, settingRange('player', 'speed'));
+  checkNumber(errors, 'player.health', player.health, settingRange('player', 'health'));
+  checkNumber(errors, 'player.fireRate', player.fireRate, settingRange('player', 'fireRate'));
+  checkNumber(errors, 'player.size', player.size, { min: 0.1, max: 10 });
+  checkString(errors, 'player.color', player.color);
+  checkVector(errors, 'player.initialPosition', player.initialPosition);
+  checkVector(errors, 'player.initialRotation', player.initialRotation);
+  checkVector(errors, 'player.initialVelocity', player.initialVelocity);
+  if (!isObject(player.dash)) {
+    errors.push('player.dash must be an object with speedMultiplier, duration and cooldown');
+  } else {
+    checkNumber(errors, 'player.dash.speedMultiplier', player.dash.speedMultiplier, { min: 1, max: 10 });
+    checkNumber(errors, 'player.dash.duration', player.dash.duration, { min: 0 });
+    checkNumber(errors, 'player.dash.cooldown', player.dash.cooldown, { min: 0 });
+  }
+
+  if (!isObject(camera.offset)) {
+    errors.push('camera.offset must be an object with x, y and z');
+  } else {
+    ['x', 'y', 'z'].forEach(axis => checkNumber(errors, `camera.offset.${axis}`, camera.offset[axis]));
+  }
+
+  checkNumber(errors, 'enemies.maxOnScreen', enemies.maxOnScreen, { ...settingRange('enemies', 'maxCount'), integer: true });
+  checkNumber(errors, 'enemies.spawnRadius', enemies.spawnRadius, { min: 1, max: world.size || Infinity });
+  if (!Array.isArray(enemies.types) || enemies.types.length === 0) {
+    errors.push('enemies.types must be a non-empty array');
+  } else {
+    enemies.types.forEach((type, index) => {
+      errors.push(...validateEnemyType(type, `enemies.types[${index}]`, enemyComponentIds));
+    });
+    checkUniqueIds(errors, 'enemies.types', enemies.types);
+  }
+  if (!isObject(enemies.bossSchedule)) {
+    errors.push('enemies.bossSchedule must be an object with type, everyWaves and scoreInterval');
+  } else {
+    const { type, everyWaves, scoreInterval } = enemies.bossSchedule;
+    if (type !== null && type !== undefined) {
+      const bossType = Array.isArray(enemies.types) && enemies.types.find((t) => t?.id === type);
+      if (!bossType?.boss) errors.push(`enemies.bossSchedule.type '${type}' is not a boss enemy type`);
+    }
+    if (everyWaves !== null) checkNumber(errors, 'enemies.bossSchedule.everyWaves', everyWaves, { min: 0, integer: true });
+    if (scoreInterval !== null) checkNumber(errors, 'enemies.bossSchedule.scoreInterval', scoreInterval, { min: 0 });
+  }
+  if (!isObject(enemies.steering)) {
+    errors.push('enemies.steering must be an object with weights, separationRadius, neighborRadius and surroundRadius');
+  } else {
+    validateSteeringWeights(errors, 'enemies.steering.weights', enemies.steering.weights);
+    checkNumber(errors, 'enemies.steering.separationRadius', enemies.steering.separationRadius, { min: 0 });
+    checkNumber(errors, 'enemies.steering.neighborRadius', enemies.steering.neighborRadius, { min: 0 });
+    checkNumber(errors, 'enemies.steering.surroundRadius', enemies.steering.surroundRadius, { min: 0.1 });
+  }
+
+  checkNumber(errors, 'world.size', world.size, { min: 5 });
+  checkString(errors, 'world.floorColor', world.floorColor);
+  checkString(errors, 'world.backgroundColor', world.backgroundColor);
+  validateObstacles(errors, world.obstacles, world.size);
+
+  validatePools(errors, pools);
+  errors.push(...validateWeaponLoadouts(config.weapons, projectileTypes));
+  errors.push(...validateDifficultyPresets(config.difficultyPresets));
+
+  checkNumber(errors, 'rules.initialScore', rules.initialScore, { min: 0 });
+  checkNumber(errors, 'rules.scoreMultiplier', rules.scoreMultiplier, { min: 0 });
+  if (!isObject(rules.killSlowMotion)) {
+    errors.push('rules.killSlowMotion must be an object with kills, window, scale and duration');
+  } else {
+    checkNumber(errors, 'rules.killSlowMotion.kills', rules.killSlowMotion.kills, { min: 1, integer: true });
+    checkNumber(errors, 'rules.killSlowMotion.window', rules.killSlowMotion.window, { min: 0 });
+    checkNumber(errors, 'rules.killSlowMotion.scale', rules.killSlowMotion.scale, { min: 0.05, max: 1 });
+    checkNumber(errors, 'rules.killSlowMotion.duration', rules.killSlowMotion.duration, { min: 0 });
+  }
+
+  checkVector(errors, 'physics.gravity', physics.gravity);
+  checkNumber(errors, 'physics.friction', physics.friction, { min: 0 });
+  checkNumber(errors, 'physics.restitution', physics.restitution, { min: 0, max: 1 });
+
+  return errors;
+};
+
+/**
+ * Validate the projectileTypes table
+ * @param {Array<Object>} types - Projectile type definitions
+ * @returns {Array<string>} - Error messages
+ */
+export const validateProjectileTypes = (types) => {
+  const errors = [];
+  if (!Array.isArray(types) || types.length === 0) return ['projectileTypes must be a non-empty array'];
+
+  types.forEach((type, index) => {
+    const path = `projectileTypes[${index}]`;
+    if (!isObject(type)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    checkString(errors, `${path}.id`, type.id);
+    checkString(errors, `${path}.name`, type.name);
+    checkString(errors, `${path}.color`, type.color);
+    checkNumber(errors, `${path}.size`, type.size, { min: 0.01, max: 5 });
+    checkNumber(errors, `${path}.speed`, type.speed, { min: 0.1 });
+    checkNumber(errors, `${path}.damage`, type.damage, { min: 0 });
+    checkNumber(errors, `${path}.lifetime`, type.lifetime, { min: 1 });
+    checkNumber(errors, `${path}.mass`, type.mass, { min: 0, optional: true });
+    checkNumber(errors, `${path}.emissiveIntensity`, type.emissiveIntensity, { min: 0, optional: true });
+    checkNumber(errors, `${path}.pellets`, type.pellets, { min: 1, integer: true, optional: true });
+    checkNumber(errors, `${path}.spreadAngle`, type.spreadAngle, { min: 0, max: Math.PI * 2, optional: true });
+
+    if (!projectileBehaviors.includes(type.behavior)) {
+      errors.push(`${path}.behavior must be one of ${projectileBehaviors.join(', ')} (got ${JSON.stringify(type.behavior)})`);
+    }
+    if (type.behavior === 'pierce') checkNumber(errors, `${path}.pierce`, type.pierce, { min: 1, integer: true });
+    if (type.behavior === 'homing') {
+      checkNumber(errors, `${path}.turnRate`, type.turnRate, { min: 0 });
+      checkNumber(errors, `${path}.homingRange`, type.homingRange, { min: 0, optional: true });
+    }
+    if (type.behavior === 'explosive') checkNumber(errors, `${path}.blastRadius`, type.blastRadius, { min: 0 });
+    if (type.render !== undefined && !projectileRenderModes.includes(type.render)) {
+      errors.push(`${path}.render must be one of ${projectileRenderModes.join(', ')} (got ${JSON.stringify(type.render)})`);
+    }
+  });
+  checkUniqueIds(errors, 'projectileTypes', types);
+
+  return errors;
+};
+
+/**
+ * Validate a game config's weapons (weapon loadouts) against the projectile types they fire
+ * @param {Object} loadouts - Loadouts keyed by id
+ * @param {Array<Object>} types - Projectile type definitions
+ * @returns {Array<string>} - Error messages
+ */
+export const validateWeaponLoadouts = (loadouts, types) => {
+  const errors = [];
+  if (!isObject(loadouts)) return ['weapons must be an object of weapon loadouts'];
+  if (!isObject(loadouts.basic)) errors.push('weapons.basic is missing; it is the fallback loadout');
+
+  const typeIds = Array.isArray(types) ? types.map(t => t.id) : [];
+  const { max: maxFireRate } = settingRange('player', 'fireRate');
+
+  Object.entries(loadouts).forEach(([id, loadout]) => {
+    const path = `weapons.${id}`;
+    if (!isObject(loadout)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    checkString(errors, `${path}.name`, loadout.name);
+    if (!typeIds.includes(loadout.projectileType)) {
+      errors.push(`${path}.projectileType '${loadout.projectileType}' does not match any projectile type`);
+    }
+    checkNumber(errors, `${path}.fireRate`, loadout.fireRate, { min: 0.1, max: maxFireRate });
+    checkNumber(errors, `${path}.magazineSize`, loadout.magazineSize, { min: 1, integer: true });
+    checkNumber(errors, `${path}.reloadTime`, loadout.reloadTime, { min: 0 });
+    if (loadout.reserveAmmo !== null) {
+      checkNumber(errors, `${path}.reserveAmmo`, loadout.reserveAmmo, { min: 0, integer: true });
+    }
+  });
+
+  return errors;
+};
+
+const presetMultipliers = [
+  'damageMultiplier',
+  'speedMultiplier',
+  'enemyHealthMultiplier',
+  'enemyDamageMultiplier',
+  'playerDamageTakenMultiplier',
+];
+
+/**
+ * Validate a game config's difficultyPresets
+ * @param {Object} presets - Difficulty presets keyed by id
+ * @returns {Array<string>} - Error messages
+ */
+export const validateDifficultyPresets = (presets) => {
+  const errors = [];
+  if (!isObject(presets)) return ['difficultyPresets must be an object of difficulty presets'];
+  if (!isObject(presets.normal)) errors.push('difficultyPresets.normal is missing; it is the fallback preset');
+
+  Object.entries(presets).forEach(([id, preset]) => {
+    const path = `difficultyPresets.${id}`;
+    if (!isObject(preset)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    checkString(errors, `${path}.label`, preset.label);
+    checkString(errors, `${path}.description`, preset.description, { optional: true });
+    presetMultipliers.forEach((key) => {
+      checkNumber(errors, `${path}.${key}`, preset[key], { min: 0.05, max: 10 });
+    });
+    if (preset.settings === undefined) return;
+    if (!isObject(preset.settings)) {
+      errors.push(`${path}.settings must be an object of setting values by category`);
+      return;
+    }
+    // Slider overrides must name a range setting and stay within its slider
+    Object.entries(preset.settings).forEach(([category, values]) => {
+      Object.entries(isObject(values) ? values : {}).forEach(([key, value]) => {
+        const setting = settingsConfig[category]?.[key];
+        if (!setting || (setting.type && setting.type !== 'range')) {
+          errors.push(`${path}.settings.${category}.${key} is not a slider setting`);
+          return;
+        }
+        checkNumber(errors, `${path}.settings.${category}.${key}`, value, settingRange(category, key));
+      });
+    });
+  });
+
+  return errors;
+};
+
+const validateWave = (errors, path, wave) => {
+  if (!isObject(wave)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  checkString(errors, `${path}.name`, wave.name, { optional: true });
+  checkNumber(errors, `${path}.intermission`, wave.intermission, { min: 0, optional: true });
+  if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+    errors.push(`${path}.groups must be a non-empty array`);
+    return;
+  }
+
+  wave.groups.forEach((group, index) => {
+    const groupPath = `${path}.groups[${index}]`;
+    if (!isObject(group)) {
+      errors.push(`${groupPath} must be an object`);
+      return;
+    }
+    checkString(errors, `${groupPath}.type`, group.type);
+    checkNumber(errors, `${groupPath}.count`, group.count, { min: 1, integer: true });
+    checkNumber(errors, `${groupPath}.at`, group.at, { min: 0, optional: true });
+    checkNumber(errors, `${groupPath}.delay`, group.delay, { min: 0, optional: true });
+    if (!spawnPatterns.includes(group.pattern)) {
+      errors.push(`${groupPath}.pattern must be one of ${spawnPatterns.join(', ')} (got ${JSON.stringify(group.pattern)})`);
+    }
+  });
+};
+
+/**
+ * Validate the wave library and the campaigns built from it
+ * @param {Object} campaignTable - campaigns keyed by id
+ * @param {Object} library - waveLibrary keyed by id
+ * @returns {Array<string>} - Error messages
+ */
+export const validateCampaigns = (campaignTable, library) => {
+  const errors = [];
+  if (!isObject(campaignTable) || !isObject(library)) return ['campaigns and waveLibrary must be objects'];
+
+  Object.entries(library).forEach(([id, wave]) => validateWave(errors, `waveLibrary.${id}`, wave));
+
+  Object.entries(campaignTable).forEach(([id, campaign]) => {
+    const path = `campaigns.${id}`;
+    if (!isObject(campaign)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    checkString(errors, `${path}.label`, campaign.label);
+    checkNumber(errors, `${path}.intermission`, campaign.intermission, { min: 0 });
+    if (!Array.isArray(campaign.waves) || campaign.waves.length === 0) {
+      errors.push(`${path}.waves must be a non-empty array`);
+      return;
+    }
+
+    campaign.waves.forEach((wave, index) => {
+      if (typeof wave !== 'string') {
+        validateWave(errors, `${path}.waves[${index}]`, wave);
+      } else if (!library[wave]) {
+        errors.push(`${path}.waves[${index}] '${wave}' does not match any waveLibrary entry`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Throw a ConfigValidationError when a validator returned errors
+ * @param {string} source - Name of the validated config, used in the message
+ * @param {Array<string>} errors - Validator output
+ */
+export const assertValidConfig = (source, errors) => {
+  if (errors.length > 0) throw new ConfigValidationError(source, errors);
+};
+
+/**
+ * Validate the configs bundled with the build
+ * @param {Array<string>} enemyComponentIds - Registered EnemyComponents keys
+ * @returns {Array<Object>} - One { source, errors } report per invalid config
+ */
+export const validateBundledConfigs = (enemyComponentIds) => {
+  return [
+    { source: 'gameConfig', errors: validateGameConfig(gameConfig, { enemyComponentIds }) },
+    { source: 'projectileTypes', errors: validateProjectileTypes(projectileTypes) },
+    { source: 'campaigns', errors: validateCampaigns(campaigns, waveLibrary) },
+  ].filter(report => report.errors.length > 0);
+};
@@ -0,0 +1,332 @@
+// Per-step enemy rules: chasing, ranged strafing and fire, boss phases and
+// contact damage. Kept free of React, with time, randomness and the enemy grid
+// passed in, so the same rules drive the game's run (src/config/gameplay.js)
+// and the headless simulation.
+import { getSteeringDirection } from './steering';
+import { getInterceptDirection } from './targeting';
+import { pushOutOfObstacles } from './obstacles';
+
+// Enemies leaving the arena by more than this are removed
+export const isOutsideArena = (position, worldSize) => {
+  return Math.abs(position[0]) > worldSize || Math.abs(position[2]) > worldSize;
+};
+
+// Ranged enemies and bosses stay this far inside the arena edge, so they are never removed
+const EDGE_MARGIN = 2;
+
+const clampToArena = (value, worldSize) => {
+  const limit = worldSize - EDGE_MARGIN;
+  return Math.max(-limit, Math.min(limit, value));
+};
+
+export const createChaseState = () => ({ flankSide: null, neighbors: [] });
+
+/**
+ * One step toward the player, steering around the rest of the crowd (see
+ * steering.js) and following the flow field around obstacles (pathfinding.js)
+ * @param {Object} state - createChaseState result, kept per enemy
+ * @param {Array} position - Enemy [x, y, z], moved in place
+ * @param {Object} options - { delta, speed, size, steering (getSteeringSettings result), playerPosition,
+ *   grid (enemy spatial hash), random (createGameRandom result), flowNavigator (or null), obstacles }
+ */
+export const stepChase = (state, position, {
+  delta,
+  speed,
+  size,
+  steering,
+  playerPosition,
+  grid,
+  random,
+  flowNavigator = null,
+  obstacles = [],
+}) => {
+  // Drawn on the first step rather than at spawn, so replays draw in the same order
+  if (state.flankSide === null) state.flankSide = random.stream('steering').chance(0.5) ? 1 : -1;
+
+  // Pack mates come from the shared enemy grid rather than the whole enemies list
+  grid.query(position[0], position[2], steering.neighborRadius, state.neighbors);
+  const [dirX, dirZ] = getSteeringDirection({
+    position,
+    size,
+    playerPosition,
+    neighbors: state.neighbors,
+    flankSide: state.flankSide,
+    settings: steering,
+    route: flowNavigator ? flowNavigator.getDirection(position, playerPosition) : null,
+  });
+
+  // Never step past the player
+  const dx = playerPosition[0] - position[0];
+  const dz = playerPosition[2] - position[2];
+  const distance = Math.sqrt(dx * dx + dz * dz);
+  const step = Math.min(speed * delta, distance);
+
+  position[0] += dirX * step;
+  position[2] += dirZ * step;
+  pushOutOfObstacles(position, size / 2, obstacles);
+};
+
+// Distance either side of preferredDistance where a ranged enemy only strafes
+const DISTANCE_BAND = 1;
+// Strafing switches side after a random stretch in this range (s)
+const STRAFE_SWITCH_MIN = 1.5;
+const STRAFE_SWITCH_MAX = 3.5;
+// Player velocity is treated as zero once its position hasn't changed for this long (ms)
+const STILL_AFTER = 100;
+const SHOT_HEIGHT = 0.8;
+
+export const createRangedState = () => ({ strafe: null, fireTimer: null, tracked: null });
+
+// Estimate the player's velocity from how their position changes between steps
+const trackPlayer = (state, playerPosition, now) => {
+  const last = state.tracked;
+  if (!last) {
+    state.tracked = { x: playerPosition[0], z: playerPosition[2], time: now, velocity: [0, 0] };
+    return;
+  }
+
+  if (last.x !== playerPosition[0] || last.z !== playerPosition[2]) {
+    const elapsed = (now - last.time) / 1000;
+    if (elapsed > 0) {
+      last.velocity = [(playerPosition[0] - last.x) / elapsed, (playerPosition[2] - last.z) / elapsed];
+    }
+    last.x = playerPosition[0];
+    last.z = playerPosition[2];
+    last.time = now;
+  } else if (now - last.time > STILL_AFTER) {
+    last.velocity = [0, 0];
+  }
+};
+
+/**
+ * One step of a ranged enemy: hold preferredDistance from the player, strafe
+ * around them and shoot with lead prediction
+ * @param {Object} state - createRangedState result, kept per enemy
+ * @param {Array} position - Enemy [x, y, z], moved in place
+ * @param {Object} options - { delta, now (game ms), speed, size, ranged (the type's `ranged` block),
+ *   playerPosition, worldSize, obstacles, random, onFire(projectileData) }
+ * @returns {number|null} - Facing angle toward the player, or null when on top of them
+ */
+export const stepRanged = (state, position, {
+  delta,
+  now,
+  speed,
+  size,
+  ranged,
+  playerPosition,
+  worldSize,
+  obstacles = [],
+  random,
+  onFire,
+}) => {
+  const stream = random.stream('ranged');
+  if (state.strafe === null) {
+    state.strafe = { side: stream.chance(0.5) ? 1 : -1, timer: stream.range(STRAFE_SWITCH_MIN, STRAFE_SWITCH_MAX) };
+    // Random first shot, so enemies spawned together don't fire in sync
+    state.fireTimer = stream.range(0.5, 1) * ranged.fireInterval;
+  }
+  trackPlayer(state, playerPosition, now);
+
+  const dx = playerPosition[0] - position[0];
+  const dz = playerPosition[2] - position[2];
+  const distance = Math.sqrt(dx * dx + dz * dz);
+  if (distance === 0) return null;
+  const toX = dx / distance;
+  const toZ = dz / distance;
+
+  state.strafe.timer -= delta;
+  if (state.strafe.timer <= 0) {
+    state.strafe.side *= -1;
+    state.strafe.timer = stream.range(STRAFE_SWITCH_MIN, STRAFE_SWITCH_MAX);
+  }
+
+  // Close in or back off toward preferredDistance, and circle the player
+  const radial =
+    distance > ranged.preferredDistance + DISTANCE_BAND ? 1 :
+    distance < ranged.preferredDistance - DISTANCE_BAND ? -1 : 0;
+  const tangent = ranged.strafeSpeed * state.strafe.side;
+  let moveX = toX * radial - toZ * tangent;
+  let moveZ = toZ * radial + toX * tangent;
+  const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
+  if (length > 1) {
+    moveX /= length;
+    moveZ /= length;
+  }
+
+  position[0] = clampToArena(position[0] + moveX * speed * delta, worldSize);
+  position[2] = clampToArena(position[2] + moveZ * speed * delta, worldSize);
+  pushOutOfObstacles(position, size / 2, obstacles);
+
+  const facing = Math.atan2(toX, toZ);
+  state.fireTimer -= delta;
+  if (state.fireTimer > 0 || distance > ranged.range) return facing;
+  state.fireTimer = ranged.fireInterval;
+
+  const [dirX, dirZ] = getInterceptDirection(
+    [position[0], position[2]],
+    [playerPosition[0], playerPosition[2]],
+    state.tracked.velocity,
+    ranged.projectileSpeed,
+    ranged.lead ?? 1
+  );
+  onFire({
+    position: [position[0] + dirX * size * 0.6, SHOT_HEIGHT, position[2] + dirZ * size * 0.6],
+    direction: [dirX, 0, dirZ],
+    speed: ranged.projectileSpeed,
+    damage: ranged.projectileDamage,
+    size: ranged.projectileSize ?? 0.2,
+    color: ranged.projectileColor,
+  });
+  return facing;
+};
+
+// Boss charge cycle, in game seconds: walk, stop and wind up, then rush in a straight line
+const CHARGE_STALK_TIME = 2;
+const CHARGE_WINDUP_TIME = 0.6;
+const CHARGE_DURATION = 0.8;
+const CHARGE_SPEED_MULTIPLIER = 5;
+
+const BOSS_BULLET_SIZE = 0.25;
+
+const createCharge = () => ({ state: 'stalk', timer: CHARGE_STALK_TIME, direction: [0, 0] });
+
+// charge.state ('stalk' | 'windup' | 'charging') is also read for visuals
+export const createBossState = () => ({ lastPhase: null, attackTimers: [], charge: createCharge() });
+
+/**
+ * One step of a boss in its current phase: chase or charge, and run the
+ * phase's timed attacks. Attack timers and the charge cycle restart whenever
+ * the phase changes.
+ * @param {Object} state - createBossState result, kept per boss
+ * @param {Array} position - Boss [x, y, z], moved in place
+ * @param {Object} options - { delta, phase, phaseIndex, speed, size, playerPosition, worldSize, obstacles,
+ *   random, onFire(projectileData), onSummon(enemyType, count, center) }
+ */
+export const stepBoss = (state, position, {
+  delta,
+  phase,
+  phaseIndex,
+  speed,
+  size,
+  playerPosition,
+  worldSize,
+  obstacles = [],
+  random,
+  onFire,
+  onSummon,
+}) => {
+  const phaseSpeed = speed * (phase.speedMultiplier || 1);
+
+  const getDirectionToPlayer = () => {
+    const dx = playerPosition[0] - position[0];
+    const dz = playerPosition[2] - position[2];
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    return distance === 0 ? [0, 0, 0] : [dx / distance, dz / distance, distance];
+  };
+
+  const move = (dirX, dirZ, distance) => {
+    position[0] = clampToArena(position[0] + dirX * distance, worldSize);
+    position[2] = clampToArena(position[2] + dirZ * distance, worldSize);
+    pushOutOfObstacles(position, size / 2, obstacles);
+  };
+
+  const chase = () => {
+    const [dirX, dirZ, distance] = getDirectionToPlayer();
+    move(dirX, dirZ, Math.min(phaseSpeed * delta, distance));
+  };
+
+  const updateCharge = () => {
+    const charge = state.charge;
+    charge.timer -= delta;
+
+    if (charge.state === 'stalk') {
+      chase();
+      if (charge.timer <= 0) {
+        charge.state = 'windup';
+        charge.timer = CHARGE_WINDUP_TIME;
+      }
+    } else if (charge.state === 'windup') {
+      // Aim is locked at the end of the windup, so the player can sidestep
+      if (charge.timer <= 0) {
+        const [dirX, dirZ] = getDirectionToPlayer();
+        charge.direction = [dirX, dirZ];
+        charge.state = 'charging';
+        charge.timer = CHARGE_DURATION;
+      }
+    } else {
+      move(charge.direction[0], charge.direction[1], phaseSpeed * CHARGE_SPEED_MULTIPLIER * delta);
+      if (charge.timer <= 0) {
+        charge.state = 'stalk';
+        charge.timer = CHARGE_STALK_TIME;
+      }
+    }
+  };
+
+  const attack = (attackConfig) => {
+    if (attackConfig.type === 'summon') {
+      onSummon(attackConfig.enemyType, attackConfig.count, [...position]);
+      return;
+    }
+
+    // Radial burst: evenly spaced bullets, turned a random amount each time
+    const offset = random.stream('boss').range(0, Math.PI * 2);
+    for (let i = 0; i < attackConfig.count; i++) {
+      const angle = offset + (i / attackConfig.count) * Math.PI * 2;
+      onFire({
+        position: [position[0], 0.8, position[2]],
+        direction: [Math.sin(angle), 0, Math.cos(angle)],
+        speed: attackConfig.speed,
+        damage: attackConfig.damage,
+        size: BOSS_BULLET_SIZE,
+        color: phase.color || '#ff5252',
+      });
+    }
+  };
+
+  if (state.lastPhase !== phaseIndex) {
+    state.lastPhase = phaseIndex;
+    state.attackTimers = (phase.attacks || []).map((a) => a.interval);
+    state.charge = createCharge();
+  }
+
+  if (phase.movement === 'charge') updateCharge();
+  else chase();
+
+  (phase.attacks || []).forEach((attackConfig, i) => {
+    state.attackTimers[i] -= delta;
+    if (state.attackTimers[i] <= 0) {
+      state.attackTimers[i] += attackConfig.interval;
+      attack(attackConfig);
+    }
+  });
+};
+
+// Each enemy can hurt the player at most this often (ms)
+const ATTACK_COOLDOWN = 500;
+
+// Enemy id -> game time of its last hit, plus a reusable query buffer
+export const createContactDamage = () => ({ lastAttacks: new Map(), candidates: [] });
+
+/**
+ * Contact damage from every enemy touching the player (within size + 1), with
+ * a per-enemy cooldown. One query of the enemy grid around the player per step
+ * replaces a distance check in every enemy.
+ * @param {Object} state - createContactDamage result
+ * @param {Object} options - { now (game ms), playerPosition, grid, getDamage(enemy), onPlayerDamage(damage) }
+ */
+export const stepContactDamage = (state, { now, playerPosition, grid, getDamage, onPlayerDamage }) => {
+  state.lastAttacks.forEach((time, id) => {
+    if (now - time > ATTACK_COOLDOWN) state.lastAttacks.delete(id);
+  });
+
+  grid.query(playerPosition[0], playerPosition[2], 1, state.candidates).forEach((enemy) => {
+    const dx = playerPosition[0] - enemy.position[0];
+    const dz = playerPosition[2] - enemy.position[2];
+    if (Math.sqrt(dx * dx + dz * dz) >= enemy.size + 1) return;
+    // The grid still holds enemies removed earlier this step
+    if (!enemy.active || state.lastAttacks.has(enemy.id)) return;
+
+    state.lastAttacks.set(enemy.id, now);
+    onPlayerDamage(getDamage(enemy));
+  });
+};
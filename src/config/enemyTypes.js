@@ -0,0 +1,88 @@
+// Helpers for enemy type definitions (gameConfig.enemies.types), shared by
+// gameplay, the enemy renderers, the HUD and the headless simulation.
+import { applyDifficultyToEnemyType } from '../data/customProjectileConfigs';
+import { getSteeringSettings } from './steering';
+
+// Boss phase options implemented by stepBoss (src/config/enemyBehaviors.js)
+export const bossMovements = ['chase', 'charge'];
+export const bossAttackTypes = ['burst', 'summon'];
+
+// How an enemy type is drawn: one instanced mesh per type, or a component with its own mesh
+export const enemyRenderModes = ['mesh', 'instanced'];
+
+export const isInstancedType = (type) => type?.render === 'instanced';
+
+export const isBossType = (type) => Boolean(type?.boss);
+
+// Types the regular spawners pick from; bosses only arrive on schedule
+export const getRegularEnemyTypes = (types) => {
+  const regular = types.filter((type) => !isBossType(type));
+  return regular.length > 0 ? regular : types;
+};
+
+/**
+ * Every enemy type by id, scaled by the difficulty preset and with its
+ * steering settings resolved, as enemy behaviors read them
+ * @param {Object} config - Game config (its enemies and difficultyPresets)
+ * @param {string} difficulty - Difficulty preset id
+ * @returns {Object} - Type id -> type with `steering` replaced by getSteeringSettings
+ */
+export const getEnemyConfigs = (config, difficulty) => {
+  return config.enemies.types.reduce((acc, type) => {
+    acc[type.id] = {
+      ...applyDifficultyToEnemyType(type, difficulty, config),
+      steering: getSteeringSettings(config.enemies.steering, type.steering),
+    };
+    return acc;
+  }, {});
+};
+
+// Points for killing an enemy of this type, before the score multiplier
+export const getKillPoints = (types, typeId) => {
+  const type = types.find((t) => t.id === typeId);
+  return type ? type.points : 10;
+};
+
+/**
+ * The boss a config's bossSchedule brings in
+ * @param {Array<Object>} types - Enemy types (difficulty already applied)
+ * @param {Object} schedule - enemies.bossSchedule
+ * @returns {Object|null} - Boss type, or null when the level has none
+ */
+export const getScheduledBossType = (types, schedule) => {
+  if (schedule?.type) return types.find((type) => type.id === schedule.type) || null;
+  return types.find(isBossType) || null;
+};
+
+/**
+ * Index of the boss phase for the current health: the last phase whose
+ * `health` threshold the boss has fallen to
+ * @param {Object} boss - The type's `boss` block
+ * @param {number} healthFraction - Current health / max health
+ * @returns {number} - Index into boss.phases
+ */
+export const getBossPhaseIndex = (boss, healthFraction) => {
+  let index = 0;
+  boss.phases.forEach((phase, i) => {
+    if (healthFraction <= phase.health) index = i;
+  });
+  return index;
+};
+
+/**
+ * Data for world.enemies.spawn from a type and a spawn point
+ * @param {Object} type - Enemy type (difficulty already applied)
+ * @param {Array<number>} position - [x, y, z]
+ * @param {Object} extra - Extra fields, e.g. the wave it belongs to
+ * @returns {Object} - Enemy entry fields
+ */
+export const createEnemyData = (type, position, extra = {}) => ({
+  type: type.id,
+  position,
+  health: type.health,
+  maxHealth: type.health,
+  size: type.size,
+  speed: type.speed,
+  isBoss: isBossType(type),
+  ...extra,
+});
@@ -0,0 +1,152 @@
+// Game clock. Gameplay advances in fixed steps of STEP_SECONDS of game time,
+// run by the clock itself when it is ticked (once per frame by
+// useGameClockDriver). Real time only decides how many steps run, so the
+// same inputs always produce the same simulation — at any frame rate, game
+// speed or slow motion — which is what replays rely on. Every system that
+// times gameplay — cooldowns, reloads, lifetimes, spawn timers, movement —
+// reads it instead of Date.now() or the raw frame delta.
+
+export const STEP_SECONDS = 1 / 60;
+const STEP_MS = STEP_SECONDS * 1000;
+
+// Frames longer than this (tab switch, debugger) are clamped so nothing jumps
+const MAX_FRAME_DELTA = 0.1;
+// Upper bound on steps in one frame, so a slow device can't spiral
+const MAX_STEPS_PER_FRAME = 30;
+
+/**
+ * Create a clock. The app uses the shared `gameClock`; separate instances are
+ * handy for tests and headless runs.
+ * @returns {Object} - Clock with tick, onStep, now, pause/resume and time scale controls
+ */
+export const createGameClock = () => {
+  let step = 0; // steps run so far; game time is step * STEP_MS
+  let accumulator = 0; // game seconds owed but not yet stepped
+  let paused = false;
+  let timeScale = 1;
+  let slowMotion = null; // { scale, remaining } with remaining in steps
+  let subscribers = [];
+
+  const getEffectiveScale = () => timeScale * (slowMotion ? slowMotion.scale : 1);
+
+  const runStep = (context) => {
+    step += 1;
+    // Copy so subscribing or unsubscribing mid-step doesn't skip anyone
+    [...subscribers].forEach((subscriber) => subscriber.callback(context, STEP_SECONDS, step));
+
+    // Counted in steps, so slow motion ends on the same step at any speed
+    if (slowMotion) {
+      slowMotion.remaining -= 1;
+      if (slowMotion.remaining <= 0) slowMotion = null;
+    }
+  };
+
+  return {
+    /**
+     * Advance by one frame, running as many fixed steps as the frame covers
+     * @param {number} realDelta - Real seconds since the last frame
+     * @param {*} context - Passed through to step callbacks (the R3F state)
+     * @returns {number} - Steps run, 0 while paused
+     */
+    tick(realDelta, context) {
+      const delta = Math.min(Math.max(realDelta, 0), MAX_FRAME_DELTA);
+      if (paused) return 0;
+
+      accumulator += delta * getEffectiveScale();
+      let steps = 0;
+      while (accumulator >= STEP_SECONDS && steps < MAX_STEPS_PER_FRAME) {
+        accumulator -= STEP_SECONDS;
+        runStep(context);
+        steps += 1;
+      }
+      if (steps === MAX_STEPS_PER_FRAME) accumulator = 0;
+
+      return steps;
+    },
+
+    /**
+     * Run steps straight away, ignoring real time, e.g. to fast-forward a replay
+     * @param {number} count - Steps to run (capped at MAX_STEPS_PER_FRAME)
+     * @param {*} context - Passed through to step callbacks
+     */
+    runSteps(count, context) {
+      const steps = Math.min(count, MAX_STEPS_PER_FRAME);
+      for (let i = 0; i < steps; i++) runStep(context);
+      accumulator = 0;
+    },
+
+    /**
+     * Call `callback(context, stepSeconds, step)` on every step. Lower priority
+     * runs first; equal priorities run in subscription order.
+     * @returns {Function} - Unsubscribe
+     */
+    onStep(callback, priority = 0) {
+      const subscriber = { callback, priority };
+      const index = subscribers.findIndex((other) => other.priority > priority);
+      subscribers = [...subscribers];
+      subscribers.splice(index === -1 ? subscribers.length : index, 0, subscriber);
+      return () => {
+        subscribers = subscribers.filter((other) => other !== subscriber);
+      };
+    },
+
+    // Game time in ms
+    now: () => step * STEP_MS,
+    // Number of steps run so far; replays address their inputs by step
+    getStep: () => step,
+
+    pause() {
+      paused = true;
+    },
+    resume() {
+      paused = false;
+    },
+    isPaused: () => paused,
+
+    // Base speed of the game, e.g. from the game speed setting
+    setTimeScale(scale) {
+      timeScale = Math.max(scale, 0);
+    },
+    getTimeScale: getEffectiveScale,
+
+    /**
+     * Run at `scale` for a stretch of game time, then return to the base speed.
+     * A new call replaces one already running.
+     * @param {number} scale - e.g. 0.25 for quarter speed; above 0, since only steps end it
+     * @param {number} duration - Game-time length in ms (real time is duration / scale at 1x)
+     */
+    slowMotion(scale, duration) {
+      slowMotion = { scale: Math.max(scale, 0), remaining: Math.round(duration / STEP_MS) };
+    },
+    isSlowMotion: () => slowMotion !== null,
+    // Slow motion's share of the time scale, 1 when there is none
+    getSlowMotionScale: () => (slowMotion ? slowMotion.scale : 1),
+
+    // Back to time 0 at normal speed, e.g. for a new run
+    reset() {
+      step = 0;
+      accumulator = 0;
+      slowMotion = null;
+    },
+  };
+};
+
+export const gameClock = createGameClock();
+
+export const getGameTime = () => gameClock.now();
+
+/**
+ * Time for one entity running at its own speed relative to the game clock,
+ * e.g. the player, who keeps full speed through the kill cam's slow motion
+ * @param {number} timeScale - Multiplier on game time; changeable later through the returned object
+ * @returns {Object} - { time (ms), timeScale, tick(gameDelta) -> entity seconds }
+ */
+export const createEntityClock = (timeScale = 1) => ({
+  time: 0,
+  timeScale,
+  tick(gameDelta) {
+    const delta = gameDelta * this.timeScale;
+    this.time += delta * 1000;
+    return delta;
+  },
+});
@@ -1,5 +1,8 @@
+import { difficultyModifiers, weaponLoadouts } from '../data/customProjectileConfigs';
 
 export const gameConfig = {
+  id: 'classic',
+  name: 'Classic',
   player: {
     speed: 5,
     health: 100,
@@ -11,6 +14,11 @@ export const gameConfig = {
     initialPosition: [0, 0.5, 0],
     initialRotation: [0, 0, 0],
     initialVelocity: [0, 0, 0],
+    dash: {
+      speedMultiplier: 3,
+      duration: 150, // ms
+      cooldown: 1000, // ms
+    },
   },
   camera: {
     offset: { x: 0, y: 15, z: 15 },
@@ -27,6 +35,11 @@ export const gameConfig = {
         damage: 5,
         points: 15,
         spawnRate: 1,
+        // Drawn with every other enemy of its type in one instanced mesh;
+        // 'mesh' (the default) gives each enemy its own, e.g. for GLTF models
+        render: 'instanced',
+        // Fast enemies run wide around the player; tanks push straight in
+        steering: { flank: 1.2, cohesion: 0.1 },
       },
       {
         id: 'tank',
@@ -37,24 +50,146 @@ export const gameConfig = {
         damage: 20,
         points: 25,
         spawnRate: 0.5,
+        render: 'instanced',
+        steering: { flank: 0.1, cohesion: 0.4 },
+      },
+      {
+        // Ranged enemies hold `preferredDistance` from the player, strafe around
+        // them at `strafeSpeed` (a fraction of speed) and fire every
+        // `fireInterval` seconds while within `range`. `lead` is how far ahead of
+        // a moving player they aim: 0 shoots where the player is, 1 where they will be.
+        id: 'gunner',
+        component: 'ranged',
+        speed: 2.5,
+        health: 45,
+        size: 0.8,
+        color: '#9C27B0',
+        damage: 5,
+        points: 30,
+        spawnRate: 0.5,
+        render: 'instanced',
+        ranged: {
+          preferredDistance: 9,
+          range: 14,
+          strafeSpeed: 0.6,
+          fireInterval: 1.8,
+          projectileSpeed: 12,
+          projectileDamage: 8,
+          lead: 0.8,
+        },
+      },
+      {
+        // Bosses only arrive through bossSchedule or a wave group naming them.
+        // Each phase starts once health falls to its `health` fraction and sets
+        // the movement ('chase' or 'charge') and timed attacks ('burst' fires
+        // a ring of bullets, 'summon' calls in minions around the boss).
+        id: 'warlord',
+        component: 'boss',
+        speed: 1.5,
+        health: 1500,
+        size: 2.5,
+        color: '#EA4335',
+        damage: 30,
+        points: 500,
+        spawnRate: 0,
+        boss: {
+          name: 'The Warlord',
+          phases: [
+            {
+              health: 1,
+              movement: 'chase',
+              color: '#EA4335',
+              attacks: [{ type: 'burst', interval: 3, count: 12, speed: 8, damage: 10 }],
+            },
+            {
+              health: 0.66,
+              movement: 'charge',
+              color: '#FF6D00',
+              attacks: [{ type: 'summon', interval: 6, count: 4, enemyType: 'fastest' }],
+            },
+            {
+              health: 0.33,
+              movement: 'charge',
+              speedMultiplier: 1.4,
+              color: '#AA00FF',
+              attacks: [
+                { type: 'burst', interval: 2, count: 16, speed: 10, damage: 12 },
+                { type: 'summon', interval: 8, count: 3, enemyType: 'random' },
+              ],
+            },
+          ],
+        },
       }
     ],
     maxOnScreen: 15,
     spawnRadius: 20,
+    // When a boss joins: in every `everyWaves`-th campaign wave, and in
+    // endless mode each time the score passes another `scoreInterval` points.
+    // `type` picks the boss; left out, the first type with a `boss` block is used.
+    bossSchedule: {
+      type: null,
+      everyWaves: 5,
+      scoreInterval: 1000,
+    },
+    // Crowd steering for chasing enemies (src/config/steering.js). A type's own
+    // `steering` block overrides any of the weights, e.g. { flank: 1.2 }.
+    steering: {
+      weights: { seek: 1, separation: 1.8, cohesion: 0.2, flank: 0.5 },
+      separationRadius: 1.4, // personal space, as a multiple of two enemies' combined radius
+      neighborRadius: 6, // how far cohesion looks for pack mates
+      surroundRadius: 5, // flanking stops this close to the player
+    },
   },
 
   world: {
     size: 40, 
     floorColor: '#222222',
     backgroundColor: '#000000',
+    // Static obstacles: { kind (see data/obstacles.js), position: [x, z], size: [width, depth] }
+    // for boxes or `radius` for pillars. They block the player, enemies and bullets;
+    // chasing enemies path around them.
+    obstacles: [
+      { kind: 'pillar', position: [-12, -12], radius: 1.2 },
+      { kind: 'pillar', position: [12, -12], radius: 1.2 },
+      { kind: 'pillar', position: [-12, 12], radius: 1.2 },
+      { kind: 'pillar', position: [12, 12], radius: 1.2 },
+      { kind: 'wall', position: [0, -18], size: [14, 1] },
+      { kind: 'wall', position: [0, 18], size: [14, 1] },
+      { kind: 'crate', position: [-20, 1.5], size: [2, 2] },
+      { kind: 'crate', position: [-20, -0.5], size: [2, 2] },
+      { kind: 'crate', position: [20, -1], size: [2, 2] },
+    ],
   },
   
+  // Entity pools (see src/config/world.js). When all `capacity` slots are
+  // taken, `policy` decides what happens to a spawn: 'fixed' drops it, 'grow'
+  // doubles the pool up to `maxCapacity` (null for no limit) and 'recycle'
+  // removes the oldest entity (projectile pools only). Settings → Display →
+  // Pool Stats shows their usage.
+  pools: {
+    projectiles: { policy: 'grow', capacity: 15, maxCapacity: 120 },
+    enemies: { policy: 'grow', capacity: 32, maxCapacity: null },
+    enemyProjectiles: { policy: 'recycle', capacity: 200, maxCapacity: null },
+  },
+
+  // Weapon loadouts and difficulty presets by id, from data/customProjectileConfigs.js.
+  // A level can retune any field of an entry, or add loadouts and presets.
+  weapons: weaponLoadouts,
+  difficultyPresets: difficultyModifiers,
+
   // Game rules
   rules: {
     initialScore: 0,
     scoreMultiplier: 1,
     gameDuration: null, 
     winScore: 500,
+    // Kills within `window` ms of game time that trigger slow motion
+    killSlowMotion: {
+      kills: 3,
+      window: 300, // ms
+      scale: 0.3,
+      duration: 1000, // ms of real time
+    },
   },
   
   // Physics settings
@@ -66,16 +201,56 @@ export const gameConfig = {
   }
 };
 
+// Merge each entry of a table keyed by id over the base entry, keeping
+// entries the custom config doesn't mention and adding new ones
+const mergeEntries = (base, custom = {}, mergeEntry = (entry, override) => ({ ...entry, ...override })) => ({
+  ...base,
+  ...Object.fromEntries(Object.entries(custom).map(([id, override]) => [id, mergeEntry(base[id] || {}, override)])),
+});
+
+// A preset's slider overrides merge per settings category
+const mergeDifficultyPreset = (preset, override) => ({
+  ...preset,
+  ...override,
+  settings: mergeEntries(preset.settings || {}, override.settings),
+});
+
 export const createCustomConfig = (customConfig) => {
   return {
-    player: { ...gameConfig.player, ...customConfig?.player },
+    id: customConfig?.id || gameConfig.id,
+    name: customConfig?.name || customConfig?.id || gameConfig.name,
+    player: {
+      ...gameConfig.player,
+      ...customConfig?.player,
+      dash: { ...gameConfig.player.dash, ...customConfig?.player?.dash },
+    },
+    camera: {
+      ...gameConfig.camera,
+      ...customConfig?.camera,
+      offset: { ...gameConfig.camera.offset, ...customConfig?.camera?.offset },
+    },
     enemies: { 
       ...gameConfig.enemies,
       ...customConfig?.enemies,
       types: customConfig?.enemies?.types || gameConfig.enemies.types,
+      bossSchedule: { ...gameConfig.enemies.bossSchedule, ...customConfig?.enemies?.bossSchedule },
+      steering: {
+        ...gameConfig.enemies.steering,
+        ...customConfig?.enemies?.steering,
+        weights: { ...gameConfig.enemies.steering.weights, ...customConfig?.enemies?.steering?.weights },
+      },
     },
     world: { ...gameConfig.world, ...customConfig?.world },
-    rules: { ...gameConfig.rules, ...customConfig?.rules },
+    pools: Object.fromEntries(Object.entries(gameConfig.pools).map(([name, pool]) => (
+      [name, { ...pool, ...customConfig?.pools?.[name] }]
+    ))),
+    weapons: mergeEntries(gameConfig.weapons, customConfig?.weapons),
+    difficultyPresets: mergeEntries(gameConfig.difficultyPresets, customConfig?.difficultyPresets, mergeDifficultyPreset),
+    rules: {
+      ...gameConfig.rules,
+      ...customConfig?.rules,
+      killSlowMotion: { ...gameConfig.rules.killSlowMotion, ...customConfig?.rules?.killSlowMotion },
+    },
     physics: { ...gameConfig.physics, ...customConfig?.physics },
   };
 };
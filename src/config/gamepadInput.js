@@ -0,0 +1,97 @@
+// Gamepad input helpers. Button and axis indexes follow the W3C "standard"
+// mapping, which browsers report for Xbox, PlayStation and most USB pads.
+
+export const gamepadButtons = {
+  a: 0,
+  b: 1,
+  x: 2,
+  y: 3,
+  leftBumper: 4,
+  rightBumper: 5,
+  leftTrigger: 6,
+  rightTrigger: 7,
+  select: 8,
+  start: 9,
+  dpadUp: 12,
+  dpadDown: 13,
+  dpadLeft: 14,
+  dpadRight: 15,
+};
+
+// Buttons for each input action during play. Sticks handle movement and aiming.
+export const gamepadActionButtons = {
+  fire: [gamepadButtons.rightTrigger],
+  dash: [gamepadButtons.leftTrigger],
+  reload: [gamepadButtons.x],
+  previousWeapon: [gamepadButtons.leftBumper],
+  nextWeapon: [gamepadButtons.rightBumper],
+  pause: [gamepadButtons.start],
+};
+
+// Triggers are analog on most pads; past this they count as pressed
+const TRIGGER_THRESHOLD = 0.3;
+
+/**
+ * Scale a stick so the deadzone reads as 0 and the edge as 1, keeping its direction
+ * @param {number} x - Horizontal axis, -1 (left) to 1 (right)
+ * @param {number} y - Vertical axis, -1 (up) to 1 (down)
+ * @param {number} deadzone - Fraction of travel to ignore, 0 to 1
+ * @param {number} sensitivity - Multiplier applied after the deadzone; output is capped at 1
+ * @returns {Object} - { x, y, magnitude }
+ */
+export const applyDeadzone = (x, y, deadzone = 0, sensitivity = 1) => {
+  const length = Math.hypot(x, y);
+  if (length <= deadzone || length === 0) return { x: 0, y: 0, magnitude: 0 };
+
+  const magnitude = Math.min(((length - deadzone) / (1 - deadzone)) * sensitivity, 1);
+  return { x: (x / length) * magnitude, y: (y / length) * magnitude, magnitude };
+};
+
+const isButtonPressed = (button, index) => {
+  if (!button) return false;
+  if (index === gamepadButtons.leftTrigger || index === gamepadButtons.rightTrigger) {
+    return button.pressed || button.value > TRIGGER_THRESHOLD;
+  }
+  return button.pressed;
+};
+
+/**
+ * First connected gamepad, if any
+ * @param {Function} getGamepads - Defaults to navigator.getGamepads; pass a stub to test without hardware
+ * @returns {Gamepad|null}
+ */
+export const getActiveGamepad = (getGamepads = () => navigator.getGamepads?.() || []) => {
+  return Array.from(getGamepads()).find(pad => pad && pad.connected) || null;
+};
+
+/**
+ * Read one gamepad into stick vectors and held buttons
+ * @param {Gamepad} pad - Gamepad from navigator.getGamepads, or a plain object with the same shape
+ * @param {Object} options - { deadzone (0-1), moveSensitivity }
+ * @returns {Object} - { move, aim, buttons } where buttons is an array of held button indexes
+ */
+export const readGamepad = (pad, { deadzone = 0.15, moveSensitivity = 1 } = {}) => {
+  const [lx = 0, ly = 0, rx = 0, ry = 0] = pad.axes;
+
+  const buttons = [];
+  pad.buttons.forEach((button, index) => {
+    if (isButtonPressed(button, index)) buttons.push(index);
+  });
+
+  return {
+    move: applyDeadzone(lx, ly, deadzone, moveSensitivity),
+    aim: applyDeadzone(rx, ry, deadzone),
+    buttons,
+  };
+};
+
+/**
+ * Actions held by a set of gamepad buttons
+ * @param {Array<number>} buttons - Held button indexes
+ * @returns {Array<string>} - Action names
+ */
+export const getActionsForButtons = (buttons) => {
+  return Object.keys(gamepadActionButtons).filter(action =>
+    gamepadActionButtons[action].some(index => buttons.includes(index))
+  );
+};
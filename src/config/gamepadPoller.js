@@ -0,0 +1,149 @@
+// The one gamepad poller every hook shares. A single requestAnimationFrame
+// loop reads the pad while anything is subscribed, so there is one copy of
+// the held buttons and each press is seen once: press handlers run in
+// priority order and the first one that handles it consumes it (a menu's
+// Start doesn't also toggle pause). Kept free of React; useGamepad wraps it.
+import { getActiveGamepad, readGamepad } from './gamepadInput';
+
+// Press handler priorities: the visible menu gets presses before gameplay actions
+export const GAMEPAD_MENU_PRIORITY = -1;
+export const GAMEPAD_ACTION_PRIORITY = 0;
+
+const idleSticks = () => ({
+  move: { x: 0, y: 0, magnitude: 0 },
+  aim: { x: 0, y: 0, magnitude: 0 },
+});
+
+/**
+ * Create a poller. The app uses the shared `gamepadPoller`; tests make their
+ * own with stubbed browser functions.
+ * @param {Object} options - { getGamepads (navigator.getGamepads), requestFrame / cancelFrame
+ *   (requestAnimationFrame / cancelAnimationFrame), target: where gamepadconnected and
+ *   gamepaddisconnected arrive (window) }
+ * @returns {Object} - Poller with subscribe, onPress, configure, getSnapshot and sticks
+ */
+export const createGamepadPoller = ({
+  getGamepads = () => navigator.getGamepads?.() || [],
+  requestFrame = (callback) => requestAnimationFrame(callback),
+  cancelFrame = (frame) => cancelAnimationFrame(frame),
+  target = null,
+} = {}) => {
+  let options = { enabled: true, deadzone: 0.15, moveSensitivity: 1 };
+  // What React renders from; replaced whenever it changes
+  let snapshot = { connected: false, buttons: [] };
+  let frame = null;
+  const listeners = new Set();
+  let handlers = [];
+
+  // Stick values change every frame, so they are read from here instead of the snapshot.
+  // Shaped like a ref so hooks can hand it out as one.
+  const sticks = { current: idleSticks() };
+
+  const publish = (next) => {
+    snapshot = next;
+    listeners.forEach((listener) => listener());
+  };
+
+  const findPad = () => (options.enabled ? getActiveGamepad(getGamepads) : null);
+
+  const stop = () => {
+    if (frame !== null) cancelFrame(frame);
+    frame = null;
+    sticks.current = idleSticks();
+    if (snapshot.connected || snapshot.buttons.length > 0) publish({ connected: false, buttons: [] });
+  };
+
+  // Pass a press down the handlers until one handles it
+  const dispatch = (index) => {
+    for (const { handler } of handlers) {
+      if (handler(index) === true) return;
+    }
+  };
+
+  const poll = () => {
+    frame = null;
+    const pad = findPad();
+    if (!pad) {
+      stop();
+      return;
+    }
+
+    const state = readGamepad(pad, options);
+    sticks.current = { move: state.move, aim: state.aim };
+
+    const previous = snapshot.buttons;
+    const pressed = state.buttons.filter((index) => !previous.includes(index));
+    if (!snapshot.connected || pressed.length > 0 || state.buttons.length !== previous.length) {
+      publish({ connected: true, buttons: state.buttons });
+    }
+    pressed.forEach(dispatch);
+
+    frame = requestFrame(poll);
+  };
+
+  const start = () => {
+    if (frame === null && listeners.size > 0 && findPad()) poll();
+  };
+
+  const handleDisconnected = () => {
+    if (!findPad()) stop();
+  };
+
+  const getTarget = () => target || window;
+
+  return {
+    sticks,
+
+    // { connected, buttons: held button indexes }; a new object only when either changes
+    getSnapshot: () => snapshot,
+
+    /**
+     * Follow connection and held-button changes. Polling runs while anything is
+     * subscribed and a pad is connected.
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      if (listeners.size === 1) {
+        getTarget().addEventListener('gamepadconnected', start);
+        getTarget().addEventListener('gamepaddisconnected', handleDisconnected);
+      }
+      // A pad may already be connected if it was plugged in before anyone listened
+      start();
+
+      return () => {
+        if (!listeners.delete(listener) || listeners.size > 0) return;
+        getTarget().removeEventListener('gamepadconnected', start);
+        getTarget().removeEventListener('gamepaddisconnected', handleDisconnected);
+        stop();
+      };
+    },
+
+    /**
+     * Call `handler(buttonIndex)` when a button goes down. Lower priority runs
+     * first; returning true consumes the press so later handlers don't see it.
+     * @returns {Function} - Unsubscribe
+     */
+    onPress(handler, priority = GAMEPAD_ACTION_PRIORITY) {
+      const entry = { handler, priority };
+      const index = handlers.findIndex((other) => other.priority > priority);
+      handlers = [...handlers];
+      handlers.splice(index === -1 ? handlers.length : index, 0, entry);
+      return () => {
+        handlers = handlers.filter((other) => other !== entry);
+      };
+    },
+
+    /**
+     * Apply the gamepad settings. Turning the gamepad off releases everything held.
+     * @param {Object} settings - { enabled, deadzone (0-1), moveSensitivity }, any subset
+     */
+    configure(settings) {
+      options = { ...options, ...settings };
+      if (!options.enabled) stop();
+      else start();
+    },
+  };
+};
+
+export const gamepadPoller = createGamepadPoller();
@@ -0,0 +1,458 @@
+// One run of the game. Every gameplay rule (playerRules, spawner or waves,
+// enemyBehaviors, projectileFlight) runs from a single step function in a
+// fixed order, and reads the player, weapon and ammo from this run's own
+// state rather than from React, so the same seed, settings and input frames
+// always play out the same — however many steps a frame runs, and whether or
+// not the entities have been drawn yet. The app keeps its run in gameplayAtom
+// and steps it from useGameplayStep; the headless simulation steps its own.
+// Components only draw what the run leaves in the world. Kept free of React.
+import { gameConfig } from './gameConfig';
+import { createEntityClock, gameClock } from './gameClock';
+import { getEnemyReach } from './spatialHash';
+import { resolveObstacles } from './obstacles';
+import { createFlowNavigator, createNavGrid } from './pathfinding';
+import { getBossPhaseIndex, getEnemyConfigs, getKillPoints, getScheduledBossType } from './enemyTypes';
+import { createEndlessSpawner, spawnSummons, stepEndlessSpawner } from './spawner';
+import { createWaveRun, stepWaveRun } from './waves';
+import {
+  createBossState,
+  createChaseState,
+  createContactDamage,
+  createRangedState,
+  isOutsideArena,
+  stepBoss,
+  stepChase,
+  stepContactDamage,
+  stepRanged,
+} from './enemyBehaviors';
+import { createFlightState, stepEnemyProjectile, stepProjectile } from './projectileFlight';
+import {
+  canReload,
+  createPlayerMotion,
+  createShooter,
+  getPlayerDamageTaken,
+  getReloadedAmmo,
+  getShots,
+  stepPlayerMovement,
+} from './playerRules';
+import {
+  createInitialAmmo,
+  createProjectileConfig,
+  getLoadoutIdForProjectileType,
+} from '../data/customProjectileConfigs';
+import {
+  getAdjacentProjectileTypeId,
+  getDefaultProjectileType,
+  getProjectileTypeIds,
+} from '../data/projectileTypes';
+
+// Endless mode difficulty ramp: the spawn rate multiplies by the step every interval (s)
+const DIFFICULTY_INCREASE_INTERVAL = 30;
+const DIFFICULTY_MULTIPLIER_STEP = 1.2;
+
+/**
+ * Set up a run. Nothing happens until step() is called.
+ * @param {Object} options
+ * @param {Object} options.config - Complete game config
+ * @param {Object} options.world - createWorld result the run spawns into (cleared beforehand)
+ * @param {Object} options.grid - Spatial hash rebuilt from the enemies at the start of every step
+ * @param {Object} options.random - createGameRandom result, already seeded
+ * @param {Object} options.clock - Game clock the run is stepped by (for its time and slow motion)
+ * @param {string} options.difficulty - Difficulty preset id
+ * @param {Object} options.settings - { playerSpeed, playerHealth, fireRate, enemySpeedMultiplier,
+ *   enemySpawnRate, maxEnemies, difficultyMultiplier, killCam }
+ * @param {Object} options.campaign - Entry of campaigns for wave mode, or null for endless
+ * @param {string} options.projectileType - Weapon the player starts with
+ * @returns {Object} - { step(frame, delta), setSettings, player, stats, getWeapon, getWaveState, getOutcome }
+ */
+export const createGameplay = ({
+  config = gameConfig,
+  world,
+  grid,
+  random,
+  clock = gameClock,
+  difficulty: initialDifficulty = 'normal',
+  settings: initialSettings,
+  campaign = null,
+  projectileType = getDefaultProjectileType().id,
+}) => {
+  let rules = initialSettings;
+  let difficulty = initialDifficulty;
+
+  const worldSize = config.world.size;
+  const obstacles = resolveObstacles(config.world.obstacles);
+  const flowNavigator = obstacles.length > 0
+    ? createFlowNavigator(createNavGrid({ worldSize, obstacles }))
+    : null;
+  const playerRadius = config.player.size / 2;
+
+  // Tables that depend on the difficulty preset
+  let enemyConfigs;
+  let enemyTypes;
+  let bossType;
+  let weapon;
+  const resolveWeapon = () => createProjectileConfig(
+    player.weapon,
+    getLoadoutIdForProjectileType(player.weapon, config),
+    difficulty,
+    config
+  );
+  const resolveTables = () => {
+    enemyConfigs = getEnemyConfigs(config, difficulty);
+    enemyTypes = Object.values(enemyConfigs);
+    bossType = getScheduledBossType(enemyTypes, config.enemies.bossSchedule);
+    weapon = resolveWeapon();
+  };
+
+  // ammo: magazine and reserve by loadout id, replaced (not mutated) on every change;
+  // reload: { loadoutId, startedAt, duration } or null
+  const player = {
+    position: [...config.player.initialPosition],
+    facing: 0,
+    health: rules.playerHealth,
+    weapon: projectileType,
+    ammo: createInitialAmmo(config),
+    reload: null,
+  };
+  resolveTables();
+
+  // The player's own time runs against the kill cam's slow motion, so movement,
+  // dashes and the fire rate keep full speed while the rest of the world slows
+  const playerClock = createEntityClock();
+  const motion = createPlayerMotion();
+  const shooter = createShooter();
+  const contactDamage = createContactDamage();
+  const spawner = campaign ? null : createEndlessSpawner(config.enemies.bossSchedule.scoreInterval);
+  const waveRun = campaign ? createWaveRun(campaign, config.enemies.bossSchedule.everyWaves) : null;
+  let waveState = null;
+
+  // Per-entity behavior state, by id
+  const enemyStates = new Map();
+  const flights = new Map();
+  const stepped = [];
+
+  const stats = {
+    score: config.rules.initialScore,
+    kills: 0,
+    damageTaken: 0,
+    damageDealt: 0,
+    shotsFired: 0,
+  };
+  let outcome = null;
+
+  const damagePlayer = (damage) => {
+    if (outcome) return;
+    const taken = getPlayerDamageTaken(damage, difficulty, config);
+    player.health -= taken;
+    stats.damageTaken += taken;
+    if (player.health <= 0) outcome = 'died';
+  };
+
+  // Kill cam: enough kills close together (rules.killSlowMotion) slow the clock
+  let recentKills = [];
+  const registerKill = () => {
+    if (!rules.killCam) return;
+
+    const { kills, window: killWindow, scale, duration } = config.rules.killSlowMotion;
+    const time = clock.now();
+    recentKills = [...recentKills.filter((killTime) => time - killTime <= killWindow), time];
+
+    if (recentKills.length >= kills && !clock.isSlowMotion()) {
+      recentKills = [];
+      // The rule's duration is real time at 1x; the clock counts game time
+      clock.slowMotion(scale, duration * scale);
+    }
+  };
+
+  const damageEnemy = (enemyId, damage) => {
+    const result = world.damageEnemy(enemyId, damage);
+    if (!result) return;
+    stats.damageDealt += damage;
+    if (!result.killed) return;
+
+    stats.score += getKillPoints(config.enemies.types, result.enemy.type) * config.rules.scoreMultiplier;
+    stats.kills += 1;
+    registerKill();
+  };
+
+  const handleHit = (projectileId, enemyId, damage) => {
+    // A projectile only lands once
+    if (!world.projectiles.despawn(projectileId)) return;
+    if (enemyId) damageEnemy(enemyId, damage);
+  };
+
+  const handleFire = (projectile) => {
+    world.enemyProjectiles.spawn(projectile);
+  };
+
+  const handleSummon = (enemyType, count, center) => {
+    spawnSummons(world.enemies, {
+      enemyType,
+      count,
+      center,
+      enemyTypes,
+      maxOnScreen: rules.maxEnemies,
+      worldSize,
+      random,
+    });
+  };
+
+  const getAmmo = () => player.ammo[weapon.loadoutId] || { magazine: weapon.magazineSize, reserve: weapon.reserveAmmo };
+  const setAmmo = (ammo) => {
+    player.ammo = { ...player.ammo, [weapon.loadoutId]: ammo };
+  };
+
+  // A slot from the number keys, or a step from the wheel or the weapon actions
+  const switchWeapon = (pick) => {
+    if (pick === null) return;
+    const id = pick === 'next' || pick === 'previous'
+      ? getAdjacentProjectileTypeId(player.weapon, pick === 'next' ? 1 : -1)
+      : getProjectileTypeIds()[pick];
+    if (!id || id === player.weapon) return;
+    player.weapon = id;
+    weapon = resolveWeapon();
+  };
+
+  const updateReload = (frame, time) => {
+    const { loadoutId, magazineSize } = weapon;
+    const ammo = getAmmo();
+
+    // Switching weapons abandons a reload in progress
+    if (player.reload && player.reload.loadoutId !== loadoutId) {
+      player.reload = null;
+      return;
+    }
+
+    if (player.reload) {
+      if (time - player.reload.startedAt >= player.reload.duration) {
+        setAmmo(getReloadedAmmo(ammo, magazineSize));
+        player.reload = null;
+      }
+      return;
+    }
+
+    if ((frame.reload || ammo.magazine === 0) && canReload(ammo, magazineSize)) {
+      player.reload = { loadoutId, startedAt: time, duration: weapon.reloadTime };
+    }
+  };
+
+  // delta and playerTime are on the player's clock; reloads stay on game time
+  // (`time`), which the HUD's reload bar reads
+  const stepPlayer = (frame, delta, playerTime, time) => {
+    const outOfBounds = stepPlayerMovement(motion, player.position, frame, {
+      delta,
+      now: playerTime,
+      speed: rules.playerSpeed,
+      dash: config.player.dash,
+      obstacles,
+      radius: playerRadius,
+      worldSize,
+    });
+    if (outOfBounds) {
+      outcome = 'outOfBounds';
+      return;
+    }
+    if (frame.aim !== null) player.facing = frame.aim;
+
+    switchWeapon(frame.weapon);
+    updateReload(frame, time);
+
+    const ammo = getAmmo();
+    const shots = getShots(shooter, {
+      now: playerTime,
+      input: frame,
+      projectileType: weapon,
+      position: player.position,
+      facing: player.facing,
+      // The fire rate setting scales every loadout relative to the default rate
+      fireRate: weapon.fireRate * (rules.fireRate / config.player.fireRate),
+      canFire: player.reload === null && ammo.magazine > 0,
+    });
+    // A full projectile pool drops pellets; the round is only spent if one of them flew
+    const fired = shots.filter((shot) => world.projectiles.spawn(shot)).length;
+    stats.shotsFired += fired;
+    if (fired > 0) setAmmo({ ...ammo, magazine: Math.max(ammo.magazine - 1, 0) });
+  };
+
+  const stepSpawning = (delta) => {
+    if (waveRun) {
+      waveState = stepWaveRun(waveRun, {
+        delta,
+        enemies: world.enemies,
+        random,
+        playerPosition: player.position,
+        enemyTypes,
+        bossType,
+        maxOnScreen: rules.maxEnemies,
+        spawnRadius: config.enemies.spawnRadius,
+        worldSize,
+      });
+      if (waveState.phase === 'complete') outcome = 'victory';
+      return;
+    }
+
+    stepEndlessSpawner(spawner, {
+      delta,
+      enemies: world.enemies,
+      random,
+      playerPosition: player.position,
+      maxOnScreen: rules.maxEnemies,
+      enemyTypes,
+      spawnRadius: config.enemies.spawnRadius,
+      difficultyIncreaseInterval: DIFFICULTY_INCREASE_INTERVAL,
+      difficultyMultiplierStep: DIFFICULTY_MULTIPLIER_STEP,
+      enemySpawnRate: rules.enemySpawnRate,
+      difficultyMultiplier: rules.difficultyMultiplier,
+      score: stats.score,
+      bossType,
+      bossScoreInterval: config.enemies.bossSchedule.scoreInterval,
+    });
+  };
+
+  // Besides moving the enemy, leaves what its renderer shows on the entity:
+  // facing (ranged), phaseIndex and charge ('stalk' | 'windup' | 'charging') for bosses
+  const stepEnemy = (enemy, delta, time) => {
+    const enemyConfig = enemyConfigs[enemy.type];
+    if (!enemyConfig) return;
+    const kind = enemyConfig.component || enemy.type;
+    const speed = enemyConfig.speed * rules.enemySpeedMultiplier;
+    const { size } = enemyConfig;
+    const playerPosition = player.position;
+
+    if (kind === 'ranged') {
+      if (!enemyStates.has(enemy.id)) enemyStates.set(enemy.id, createRangedState());
+      const facing = stepRanged(enemyStates.get(enemy.id), enemy.position, {
+        delta, now: time, speed, size, ranged: enemyConfig.ranged, playerPosition, worldSize, obstacles, random, onFire: handleFire,
+      });
+      if (facing !== null) enemy.facing = facing;
+    } else if (kind === 'boss') {
+      if (!enemyStates.has(enemy.id)) enemyStates.set(enemy.id, createBossState());
+      const state = enemyStates.get(enemy.id);
+      const phaseIndex = getBossPhaseIndex(enemyConfig.boss, enemy.health / enemy.maxHealth);
+      stepBoss(state, enemy.position, {
+        delta,
+        phase: enemyConfig.boss.phases[phaseIndex],
+        phaseIndex,
+        speed,
+        size,
+        playerPosition,
+        worldSize,
+        obstacles,
+        random,
+        onFire: handleFire,
+        onSummon: handleSummon,
+      });
+      enemy.phaseIndex = phaseIndex;
+      enemy.charge = state.charge.state;
+    } else {
+      if (!enemyStates.has(enemy.id)) enemyStates.set(enemy.id, createChaseState());
+      stepChase(enemyStates.get(enemy.id), enemy.position, {
+        delta, speed, size, steering: enemyConfig.steering, playerPosition, grid, random, flowNavigator, obstacles,
+      });
+    }
+
+    if (isOutsideArena(enemy.position, worldSize)) world.enemies.despawn(enemy.id);
+  };
+
+  // Forget state of entities removed this step
+  const pruneStates = (states, pool) => {
+    states.forEach((_, id) => {
+      if (!pool.get(id)) states.delete(id);
+    });
+  };
+
+  /**
+   * Run one fixed step: grid, player, spawning, enemies, contact damage, the
+   * player's shots, enemy shots, then publish the world's changes. Does
+   * nothing once the run is over.
+   * @param {Object} frame - Quantized input frame for this step (see playerInput.js)
+   * @param {number} delta - Step length in game seconds
+   */
+  const step = (frame, delta) => {
+    if (outcome) return;
+    const time = clock.now();
+
+    grid.clear();
+    world.enemies.forEachActive((enemy) => {
+      grid.insert(enemy, enemy.position[0], enemy.position[2], getEnemyReach(enemy.size));
+    });
+
+    playerClock.timeScale = 1 / clock.getSlowMotionScale();
+    stepPlayer(frame, playerClock.tick(delta), playerClock.time, time);
+    if (outcome) return;
+
+    stepSpawning(delta);
+
+    // Enemies spawned or summoned during this loop start moving next step
+    stepped.length = 0;
+    world.enemies.forEachActive((enemy) => stepped.push(enemy));
+    stepped.forEach((enemy) => {
+      if (enemy.active) stepEnemy(enemy, delta, time);
+    });
+
+    stepContactDamage(contactDamage, {
+      now: time,
+      playerPosition: player.position,
+      grid,
+      getDamage: (enemy) => enemyConfigs[enemy.type]?.damage ?? 0,
+      onPlayerDamage: damagePlayer,
+    });
+
+    // The player's shots; `facing` is left on each for its renderer
+    world.projectiles.forEachActive((projectile) => {
+      if (!flights.has(projectile.id)) flights.set(projectile.id, createFlightState(projectile.direction));
+      const flight = flights.get(projectile.id);
+      const moved = stepProjectile(flight, projectile, {
+        delta,
+        now: time,
+        grid,
+        obstacles,
+        onHit: handleHit,
+        onDamage: damageEnemy,
+      });
+      if (moved) projectile.facing = Math.atan2(flight.heading[0], flight.heading[2]);
+    });
+
+    world.enemyProjectiles.forEachActive((projectile) => {
+      const result = stepEnemyProjectile(projectile, { delta, now: time, obstacles, playerPosition: player.position, playerRadius });
+      if (result === null) return;
+      world.enemyProjectiles.despawn(projectile.id);
+      if (result === 'hit') damagePlayer(projectile.damage);
+    });
+
+    pruneStates(enemyStates, world.enemies);
+    pruneStates(flights, world.projectiles);
+    world.flush();
+  };
+
+  return {
+    step,
+
+    /**
+     * Apply settings changed during the run, e.g. from the settings screen
+     * while paused. A new health setting resets the player's health to it.
+     * @param {Object} settings - Same shape as the settings option; a new object when anything changed
+     * @param {string} nextDifficulty - Difficulty preset id
+     */
+    setSettings(settings, nextDifficulty = difficulty) {
+      if (settings === rules && nextDifficulty === difficulty) return;
+      if (settings.playerHealth !== rules.playerHealth) player.health = settings.playerHealth;
+      rules = settings;
+      if (nextDifficulty !== difficulty) {
+        difficulty = nextDifficulty;
+        resolveTables();
+      }
+    },
+
+    // Live player state: position (moved in place), facing, health, weapon (projectile type id), ammo, reload
+    player,
+    // Running totals: score, kills, damageTaken, damageDealt, shotsFired
+    stats,
+    // Resolved config of the weapon in hand
+    getWeapon: () => weapon,
+    // Campaign progress (see stepWaveRun), or null in endless mode
+    getWaveState: () => waveState,
+    // null while running, then 'died', 'outOfBounds' or 'victory'
+    getOutcome: () => outcome,
+  };
+};
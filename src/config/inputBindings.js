@@ -0,0 +1,79 @@
+import { settingsConfig } from './settingsConfig';
+
+// Input actions, in settings order. Bindings are KeyboardEvent.code values
+// (physical key positions), so the defaults work on AZERTY and other layouts,
+// plus WheelUp / WheelDown for the mouse wheel.
+export const inputActions = Object.keys(settingsConfig.controls);
+
+/**
+ * Binding code for a wheel event, so the wheel is bound like a key
+ * @param {number} deltaY - WheelEvent.deltaY
+ * @returns {string|null} - 'WheelUp', 'WheelDown', or null for a sideways scroll
+ */
+export const getWheelCode = (deltaY) => {
+  if (deltaY === 0) return null;
+  return deltaY > 0 ? 'WheelDown' : 'WheelUp';
+};
+
+// 0-based weapon slot an action picks, or null if it isn't a weapon slot action
+export const getWeaponSlot = (action) => {
+  return settingsConfig.controls[action]?.weaponSlot ?? null;
+};
+
+/**
+ * Actions bound to a key
+ * @param {Object} bindings - Action -> array of key codes
+ * @param {string} code - KeyboardEvent.code
+ * @returns {Array<string>} - Bound actions, empty if none
+ */
+export const getActionsForCode = (bindings, code) => {
+  return inputActions.filter(action => bindings[action]?.includes(code));
+};
+
+/**
+ * Keys bound to more than one action
+ * @param {Object} bindings - Action -> array of key codes
+ * @returns {Object} - Key code -> actions sharing it
+ */
+export const findBindingConflicts = (bindings) => {
+  const actionsByCode = {};
+  inputActions.forEach((action) => {
+    (bindings[action] || []).forEach((code) => {
+      actionsByCode[code] = [...(actionsByCode[code] || []), action];
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(actionsByCode).filter(([, actions]) => actions.length > 1)
+  );
+};
+
+const keyNames = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Space: 'Space',
+  Escape: 'Esc',
+  ShiftLeft: 'L-Shift',
+  ShiftRight: 'R-Shift',
+  ControlLeft: 'L-Ctrl',
+  ControlRight: 'R-Ctrl',
+  AltLeft: 'L-Alt',
+  AltRight: 'R-Alt',
+  WheelUp: 'Wheel ↑',
+  WheelDown: 'Wheel ↓',
+};
+
+// Short label for a key code, e.g. 'KeyW' -> 'W', 'Digit1' -> '1'
+export const formatKeyCode = (code) => {
+  if (keyNames[code]) return keyNames[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+};
+
+export const getActionLabel = (action) => {
+  return settingsConfig.controls[action]?.label || action;
+};
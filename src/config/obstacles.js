@@ -0,0 +1,157 @@
+// Arena obstacle geometry. Player, enemies and projectiles are all moved by
+// code rather than by physics, so blocking is done here: circles are pushed
+// out of obstacles and points inside one count as a hit.
+import { obstacleKinds } from '../data/obstacles';
+
+/**
+ * Level obstacle entries with their kind's defaults filled in
+ * @param {Array<Object>} obstacles - world.obstacles
+ * @returns {Array<Object>} - { kind, shape, x, z, halfWidth, halfDepth, radius, height, color }
+ */
+export const resolveObstacles = (obstacles = []) => {
+  return obstacles.map((obstacle) => {
+    const kind = obstacleKinds[obstacle.kind];
+    const [x, z] = obstacle.position;
+    const [width, depth] = obstacle.size || [0, 0];
+    return {
+      kind: obstacle.kind,
+      shape: kind.shape,
+      x,
+      z,
+      halfWidth: width / 2,
+      halfDepth: depth / 2,
+      radius: obstacle.radius || 0,
+      height: obstacle.height ?? kind.height,
+      color: obstacle.color || kind.color,
+    };
+  });
+};
+
+/**
+ * Whether a ground point is inside an obstacle's footprint
+ * @param {Object} obstacle - resolveObstacles entry
+ * @param {number} x
+ * @param {number} z
+ * @param {number} padding - Grow the footprint by this much, e.g. a body's radius
+ */
+export const isInsideObstacle = (obstacle, x, z, padding = 0) => {
+  if (obstacle.shape === 'cylinder') {
+    const dx = x - obstacle.x;
+    const dz = z - obstacle.z;
+    const reach = obstacle.radius + padding;
+    return dx * dx + dz * dz < reach * reach;
+  }
+  return (
+    Math.abs(x - obstacle.x) < obstacle.halfWidth + padding &&
+    Math.abs(z - obstacle.z) < obstacle.halfDepth + padding
+  );
+};
+
+// Whether the segment from (x1, z1) to (x2, z2) crosses one obstacle's padded footprint
+const segmentHitsObstacle = (obstacle, x1, z1, x2, z2, padding) => {
+  const dx = x2 - x1;
+  const dz = z2 - z1;
+
+  if (obstacle.shape === 'cylinder') {
+    // Closest point of the segment to the center
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((obstacle.x - x1) * dx + (obstacle.z - z1) * dz) / lengthSq));
+    return isInsideObstacle(obstacle, x1 + dx * t, z1 + dz * t, padding);
+  }
+
+  // Slab test against the padded box
+  let enter = 0;
+  let exit = 1;
+  const slabs = [
+    [x1, dx, obstacle.x, obstacle.halfWidth + padding],
+    [z1, dz, obstacle.z, obstacle.halfDepth + padding],
+  ];
+  for (const [start, delta, center, half] of slabs) {
+    if (delta === 0) {
+      if (Math.abs(start - center) >= half) return false;
+      continue;
+    }
+    let near = (center - half - start) / delta;
+    let far = (center + half - start) / delta;
+    if (near > far) [near, far] = [far, near];
+    enter = Math.max(enter, near);
+    exit = Math.min(exit, far);
+    if (enter >= exit) return false;
+  }
+  return true;
+};
+
+/**
+ * Whether a body of radius `padding` can walk straight from one point to another
+ * @param {Array<Object>} obstacles - resolveObstacles result
+ * @param {Array<number>} from - [x, y, z]
+ * @param {Array<number>} to - [x, y, z]
+ * @param {number} padding - Body radius
+ */
+export const isPathClear = (obstacles, from, to, padding = 0) => {
+  return !obstacles.some((obstacle) => segmentHitsObstacle(obstacle, from[0], from[2], to[0], to[2], padding));
+};
+
+/**
+ * Whether a projectile at `position` has flown into an obstacle (below its top)
+ * @param {Array<Object>} obstacles - resolveObstacles result
+ * @param {Array<number>} position - [x, y, z]
+ * @param {number} size - Projectile radius
+ */
+export const hitsObstacle = (obstacles, position, size = 0) => {
+  return obstacles.some((obstacle) =>
+    position[1] - size < obstacle.height && isInsideObstacle(obstacle, position[0], position[2], size)
+  );
+};
+
+/**
+ * Push a circular body out of every obstacle it overlaps, in place
+ * @param {Array<number>} position - [x, y, z], moved in place
+ * @param {number} radius - Body radius
+ * @param {Array<Object>} obstacles - resolveObstacles result
+ * @returns {boolean} - True when the body was moved
+ */
+export const pushOutOfObstacles = (position, radius, obstacles) => {
+  let moved = false;
+
+  obstacles.forEach((obstacle) => {
+    const dx = position[0] - obstacle.x;
+    const dz = position[2] - obstacle.z;
+
+    if (obstacle.shape === 'cylinder') {
+      const reach = obstacle.radius + radius;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance >= reach) return;
+      // Dead center: leave along +x
+      const [nx, nz] = distance === 0 ? [1, 0] : [dx / distance, dz / distance];
+      position[0] = obstacle.x + nx * reach;
+      position[2] = obstacle.z + nz * reach;
+      moved = true;
+      return;
+    }
+
+    // Closest point on the box; inside the box, leave through the nearest side
+    const closestX = Math.max(-obstacle.halfWidth, Math.min(obstacle.halfWidth, dx));
+    const closestZ = Math.max(-obstacle.halfDepth, Math.min(obstacle.halfDepth, dz));
+    const offX = dx - closestX;
+    const offZ = dz - closestZ;
+    const distance = Math.sqrt(offX * offX + offZ * offZ);
+
+    if (distance > 0) {
+      if (distance >= radius) return;
+      position[0] = obstacle.x + closestX + (offX / distance) * radius;
+      position[2] = obstacle.z + closestZ + (offZ / distance) * radius;
+    } else {
+      const exitX = obstacle.halfWidth - Math.abs(dx);
+      const exitZ = obstacle.halfDepth - Math.abs(dz);
+      if (exitX < exitZ) {
+        position[0] = obstacle.x + (dx < 0 ? -1 : 1) * (obstacle.halfWidth + radius);
+      } else {
+        position[2] = obstacle.z + (dz < 0 ? -1 : 1) * (obstacle.halfDepth + radius);
+      }
+    }
+    moved = true;
+  });
+
+  return moved;
+};
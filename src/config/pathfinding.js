@@ -0,0 +1,201 @@
+// Grid pathfinding for enemies. The arena is cut into square cells, cells an
+// enemy can't stand in are blocked, and a flow field (every cell's path
+// distance to the player's cell) tells each enemy which neighbor cell to head
+// for. One field serves every enemy and is only rebuilt when the player moves
+// to another cell, so the cost doesn't grow with the number of enemies.
+import { isInsideObstacle, isPathClear } from './obstacles';
+
+const DIAGONAL = Math.SQRT2;
+// [dx, dz, cost] to the 8 neighbors
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, DIAGONAL], [1, -1, DIAGONAL], [-1, 1, DIAGONAL], [-1, -1, DIAGONAL],
+];
+// Slack when comparing a path length with the unobstructed grid distance
+const EPSILON = 1e-6;
+
+/**
+ * @param {Object} options - { worldSize (half-width of the arena), obstacles (resolveObstacles result),
+ *   cellSize, clearance (keep cell centers this far from obstacles) }
+ * @returns {Object} - { columns, cellSize, worldSize, obstacles, clearance, blocked (Uint8Array, 1 = blocked) }
+ */
+export const createNavGrid = ({ worldSize, obstacles, cellSize = 1, clearance = 0.5 }) => {
+  const columns = Math.ceil((worldSize * 2) / cellSize);
+  const blocked = new Uint8Array(columns * columns);
+
+  for (let row = 0; row < columns; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = -worldSize + (column + 0.5) * cellSize;
+      const z = -worldSize + (row + 0.5) * cellSize;
+      if (obstacles.some((obstacle) => isInsideObstacle(obstacle, x, z, clearance))) {
+        blocked[row * columns + column] = 1;
+      }
+    }
+  }
+
+  return { columns, cellSize, worldSize, obstacles, clearance, blocked };
+};
+
+// Cell index of a world position, clamped to the grid
+export const getCellIndex = (grid, x, z) => {
+  const { columns, cellSize, worldSize } = grid;
+  const column = Math.min(columns - 1, Math.max(0, Math.floor((x + worldSize) / cellSize)));
+  const row = Math.min(columns - 1, Math.max(0, Math.floor((z + worldSize) / cellSize)));
+  return row * columns + column;
+};
+
+const getCellCenter = (grid, index) => {
+  const { columns, cellSize, worldSize } = grid;
+  return [
+    -worldSize + ((index % columns) + 0.5) * cellSize,
+    -worldSize + (Math.floor(index / columns) + 0.5) * cellSize,
+  ];
+};
+
+// Length of the shortest 8-direction path between two cells on an empty grid
+const getOctileDistance = (grid, a, b) => {
+  const { columns, cellSize } = grid;
+  const dx = Math.abs((a % columns) - (b % columns));
+  const dz = Math.abs(Math.floor(a / columns) - Math.floor(b / columns));
+  return (Math.max(dx, dz) + (DIAGONAL - 1) * Math.min(dx, dz)) * cellSize;
+};
+
+// Neighbor index for a move, or -1 if off the grid, blocked or cutting a blocked corner
+const getNeighbor = (grid, index, dx, dz) => {
+  const { columns, blocked } = grid;
+  const column = (index % columns) + dx;
+  const row = Math.floor(index / columns) + dz;
+  if (column < 0 || row < 0 || column >= columns || row >= columns) return -1;
+
+  const neighbor = row * columns + column;
+  if (blocked[neighbor]) return -1;
+  if (dx !== 0 && dz !== 0 && (blocked[index + dx] || blocked[index + dz * columns])) return -1;
+  return neighbor;
+};
+
+/**
+ * Path distance (in world units) from every cell to the target cell (Dijkstra)
+ * @param {Object} grid - createNavGrid result
+ * @param {number} target - Cell index
+ * @returns {Float64Array} - Distance per cell; Infinity where the target can't be reached
+ */
+export const buildFlowField = (grid, target) => {
+  const cellCount = grid.blocked.length;
+  const distances = new Float64Array(cellCount).fill(Infinity);
+  distances[target] = 0;
+
+  // Binary min-heap of cell indices keyed by distance; a cell may be queued
+  // more than once, stale entries are skipped when popped
+  const heap = new Int32Array(cellCount * 8 + 1);
+  const keys = new Float64Array(cellCount * 8 + 1);
+  let size = 0;
+
+  const push = (index, key) => {
+    let i = size++;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= key) break;
+      heap[i] = heap[parent];
+      keys[i] = keys[parent];
+      i = parent;
+    }
+    heap[i] = index;
+    keys[i] = key;
+  };
+
+  const pop = () => {
+    const top = heap[0];
+    size -= 1;
+    const index = heap[size];
+    const key = keys[size];
+    let i = 0;
+    for (;;) {
+      let child = i * 2 + 1;
+      if (child >= size) break;
+      if (child + 1 < size && keys[child + 1] < keys[child]) child += 1;
+      if (keys[child] >= key) break;
+      heap[i] = heap[child];
+      keys[i] = keys[child];
+      i = child;
+    }
+    heap[i] = index;
+    keys[i] = key;
+    return top;
+  };
+
+  push(target, 0);
+  while (size > 0) {
+    const key = keys[0];
+    const index = pop();
+    if (key > distances[index]) continue;
+
+    for (let n = 0; n < NEIGHBORS.length; n++) {
+      const [dx, dz, cost] = NEIGHBORS[n];
+      const neighbor = getNeighbor(grid, index, dx, dz);
+      if (neighbor === -1) continue;
+      const next = key + cost * grid.cellSize;
+      if (next < distances[neighbor]) {
+        distances[neighbor] = next;
+        push(neighbor, next);
+      }
+    }
+  }
+
+  return distances;
+};
+
+/**
+ * Shared route finder for every enemy of a level
+ * @param {Object} grid - createNavGrid result
+ * @returns {Object} - { getDirection(position, target), getRebuildCount() }
+ */
+export const createFlowNavigator = (grid) => {
+  let targetCell = -1;
+  let field = null;
+  let rebuilds = 0;
+
+  return {
+    /**
+     * Direction to walk from `position` toward `target` around obstacles
+     * @param {Array<number>} position - [x, y, z]
+     * @param {Array<number>} target - [x, y, z], usually the player
+     * @returns {Array<number>|null} - Normalized [x, z], or null when the way is
+     *   clear (or there is no route) and the caller should head straight for the target
+     */
+    getDirection(position, target) {
+      const goal = getCellIndex(grid, target[0], target[2]);
+      if (goal !== targetCell) {
+        targetCell = goal;
+        field = buildFlowField(grid, goal);
+        rebuilds += 1;
+      }
+
+      // A path no longer than on an empty grid means nothing big is in the way;
+      // the exact line check catches corners the grid path can step around
+      const cell = getCellIndex(grid, position[0], position[2]);
+      if (
+        field[cell] <= getOctileDistance(grid, cell, goal) + EPSILON &&
+        isPathClear(grid.obstacles, position, target, grid.clearance)
+      ) {
+        return null;
+      }
+
+      // Head for the neighbor closest to the target; from a blocked cell
+      // (pushed against an obstacle) any open neighbor leads back onto the grid
+      let best = -1;
+      NEIGHBORS.forEach(([stepX, stepZ]) => {
+        const neighbor = getNeighbor(grid, cell, stepX, stepZ);
+        if (neighbor !== -1 && (best === -1 || field[neighbor] < field[best])) best = neighbor;
+      });
+      if (best === -1 || field[best] === Infinity) return null;
+
+      const [centerX, centerZ] = getCellCenter(grid, best);
+      const toX = centerX - position[0];
+      const toZ = centerZ - position[2];
+      const length = Math.sqrt(toX * toX + toZ * toZ);
+      return length === 0 ? null : [toX / length, toZ / length];
+    },
+    // Flow field rebuilds so far, for checking that they only happen on cell changes
+    getRebuildCount: () => rebuilds,
+  };
+};
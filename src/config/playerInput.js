@@ -0,0 +1,67 @@
+// Player input frames. Devices (keyboard, mouse, gamepad, touch) are sampled
+// once per game step into a plain frame, and gameplay reads only the frame —
+// so a recorded frame can stand in for the devices when a replay plays back.
+
+/**
+ * Input for one game step
+ * - moveX/moveZ: movement direction, each -1..1 (analog sticks give partial values)
+ * - aim: facing angle in radians around Y, or null to keep the current facing
+ * - fire, reload: held this step
+ * - dash: pressed this step
+ * - weapon: null, 'next', 'previous' or a 0-based weapon slot picked this step
+ * @returns {Object} - Frame with nothing pressed
+ */
+export const createInputFrame = () => ({
+  moveX: 0,
+  moveZ: 0,
+  aim: null,
+  fire: false,
+  reload: false,
+  dash: false,
+  weapon: null,
+});
+
+// Precision frames are stored at; live play uses the same values so playback matches exactly
+const MOVE_PRECISION = 100;
+const AIM_PRECISION = 1000;
+
+const quantize = (value, precision) => Math.round(value * precision) / precision;
+
+/**
+ * Round a live frame to replay precision
+ * @param {Object} frame - Input frame
+ * @returns {Object} - New frame
+ */
+export const quantizeInputFrame = (frame) => ({
+  ...frame,
+  moveX: quantize(frame.moveX, MOVE_PRECISION),
+  moveZ: quantize(frame.moveZ, MOVE_PRECISION),
+  aim: frame.aim === null ? null : quantize(frame.aim, AIM_PRECISION),
+});
+
+const FIRE = 1;
+const RELOAD = 2;
+const DASH = 4;
+
+/**
+ * Compact array form of a frame for replay files
+ * @param {Object} frame - Quantized input frame
+ * @returns {Array} - [moveX, moveZ, aim, buttons, weapon] with moves and aim as integers
+ */
+export const encodeInputFrame = (frame) => [
+  Math.round(frame.moveX * MOVE_PRECISION),
+  Math.round(frame.moveZ * MOVE_PRECISION),
+  frame.aim === null ? null : Math.round(frame.aim * AIM_PRECISION),
+  (frame.fire ? FIRE : 0) | (frame.reload ? RELOAD : 0) | (frame.dash ? DASH : 0),
+  frame.weapon,
+];
+
+export const decodeInputFrame = ([moveX, moveZ, aim, buttons, weapon]) => ({
+  moveX: moveX / MOVE_PRECISION,
+  moveZ: moveZ / MOVE_PRECISION,
+  aim: aim === null ? null : aim / AIM_PRECISION,
+  fire: Boolean(buttons & FIRE),
+  reload: Boolean(buttons & RELOAD),
+  dash: Boolean(buttons & DASH),
+  weapon,
+});
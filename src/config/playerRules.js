@@ -0,0 +1,114 @@
+// Per-step player rules: movement and dash, firing, reloads and damage taken.
+// Kept free of React, with time passed in, so the same rules run in the
+// game's run (src/config/gameplay.js) and the headless simulation.
+import { pushOutOfObstacles } from './obstacles';
+import { getDifficultyModifier } from '../data/customProjectileConfigs';
+
+// Dash state: when the current dash ends and when the last one started, in game ms
+export const createPlayerMotion = () => ({ dashUntil: 0, lastDash: 0 });
+
+/**
+ * Move the player by one step's input frame. The position is integrated from
+ * the input rather than left to physics, so movement depends only on the
+ * game clock and replays exactly.
+ * @param {Object} motion - createPlayerMotion result
+ * @param {Array} position - Player [x, y, z], moved in place
+ * @param {Object} input - Input frame (see playerInput.js)
+ * @param {Object} options - { delta, now (game ms), speed, dash ({ speedMultiplier, duration, cooldown } in ms),
+ *   obstacles, radius, worldSize }
+ * @returns {boolean} - True when the player has left the arena, which ends the run
+ */
+export const stepPlayerMovement = (motion, position, input, { delta, now, speed, dash, obstacles = [], radius, worldSize }) => {
+  const { moveX, moveZ, dash: dashPressed } = input;
+  if (dashPressed && now - motion.lastDash >= dash.cooldown) {
+    motion.lastDash = now;
+    motion.dashUntil = now + dash.duration;
+  }
+
+  const dashing = now < motion.dashUntil;
+  const stepSpeed = speed * (dashing ? dash.speedMultiplier : 1);
+
+  position[0] += moveX * stepSpeed * delta;
+  position[2] += moveZ * stepSpeed * delta;
+  pushOutOfObstacles(position, radius, obstacles);
+
+  return Math.abs(position[0]) > worldSize || Math.abs(position[2]) > worldSize;
+};
+
+// Per-shot stats copied from the projectile type onto each pooled projectile
+const projectileStatKeys = [
+  'speed',
+  'size',
+  'damage',
+  'color',
+  'emissiveIntensity',
+  'mass',
+  'lifetime',
+  'behavior',
+  'pierce',
+  'turnRate',
+  'homingRange',
+  'blastRadius',
+  'render',
+];
+
+// Game time of the last shot, in ms; -Infinity until the first, so that one fires at once
+export const createShooter = () => ({ lastShot: -Infinity });
+
+/**
+ * Shots fired this step, if fire is held and the weapon is ready
+ * @param {Object} shooter - createShooter result
+ * @param {Object} options - { now (game ms), input (frame), projectileType (createProjectileConfig result),
+ *   position (player [x, y, z]), facing (radians), fireRate (shots per second), canFire (ammo allows it) }
+ * @returns {Array<Object>} - Projectile data, one per pellet; empty when nothing fired
+ */
+export const getShots = (shooter, { now, input, projectileType, position, facing, fireRate, canFire = true }) => {
+  if (!input.fire || !canFire) return [];
+  if (now - shooter.lastShot < 1000 / fireRate) return [];
+  shooter.lastShot = now;
+
+  const stats = {};
+  projectileStatKeys.forEach((key) => {
+    if (projectileType[key] !== undefined) stats[key] = projectileType[key];
+  });
+
+  // Fan pellets evenly across the spread cone, centered on the aim direction
+  const pellets = projectileType.pellets || 1;
+  const spreadAngle = projectileType.spreadAngle || 0;
+
+  return Array.from({ length: pellets }, (_, i) => {
+    const offset = pellets > 1 ? (i / (pellets - 1) - 0.5) * spreadAngle : 0;
+    const angle = facing + offset;
+    return {
+      ...stats,
+      type: projectileType.id,
+      position: [...position],
+      direction: [Math.sin(angle), 0, Math.cos(angle)],
+    };
+  });
+};
+
+// A reload can start when the magazine isn't full and there is reserve to take from (null is unlimited)
+export const canReload = (ammo, magazineSize) => {
+  return ammo.magazine < magazineSize && (ammo.reserve === null || ammo.reserve > 0);
+};
+
+/**
+ * Ammo counts after a finished reload
+ * @param {Object} ammo - { magazine, reserve (null for unlimited) }
+ * @param {number} magazineSize
+ * @returns {Object} - New { magazine, reserve }
+ */
+export const getReloadedAmmo = (ammo, magazineSize) => {
+  const needed = magazineSize - ammo.magazine;
+  const taken = ammo.reserve === null ? needed : Math.min(needed, ammo.reserve);
+  return {
+    magazine: ammo.magazine + taken,
+    reserve: ammo.reserve === null ? null : ammo.reserve - taken,
+  };
+};
+
+// Damage the player takes from a hit, scaled by the game config's difficulty preset
+export const getPlayerDamageTaken = (damage, difficulty, config) => {
+  return damage * getDifficultyModifier(difficulty, config).playerDamageTakenMultiplier;
+};
@@ -0,0 +1,164 @@
+// Per-step projectile rules: flight, homing, lifetimes and hits for the
+// player's shots and for enemy bullets. Kept free of React, with time and the
+// enemy grid passed in, so the game's run (src/config/gameplay.js) and the
+// headless simulation share them.
+import { hitsObstacle } from './obstacles';
+
+// How far a homing projectile looks for a target when its type sets no homingRange
+const DEFAULT_HOMING_RANGE = 15;
+
+// Nearest live enemy within range, from the grid cells the range covers
+const findNearestEnemy = (position, grid, range, out) => {
+  let nearest = null;
+  let nearestDistance = range * range;
+
+  for (const enemy of grid.query(position[0], position[2], range, out)) {
+    if (!enemy.active) continue;
+    const dx = enemy.position[0] - position[0];
+    const dz = enemy.position[2] - position[2];
+    const distance = dx * dx + dz * dz;
+    if (distance <= nearestDistance) {
+      nearestDistance = distance;
+      nearest = enemy;
+    }
+  }
+
+  return nearest;
+};
+
+// Homing projectiles steer, so each keeps a private copy of its heading
+export const createFlightState = (direction) => ({
+  heading: [...direction],
+  hitEnemies: new Set(),
+  spent: false,
+  candidates: [],
+});
+
+/**
+ * One step of a player projectile: expire, steer (homing), move, then check
+ * obstacles and enemies. Reports through onHit(id, enemyId, damage) once it
+ * is spent (enemyId null when it expired or exploded) and onDamage(enemyId,
+ * damage) for pierce and blast damage.
+ * @param {Object} state - createFlightState result, kept per projectile
+ * @param {Object} projectile - Projectile entity; its position is moved in place
+ * @param {Object} options - { delta, now (game ms), grid (enemy spatial hash), obstacles, onHit, onDamage }
+ * @returns {boolean} - Whether it moved this step
+ */
+export const stepProjectile = (state, projectile, { delta, now, grid, obstacles = [], onHit, onDamage }) => {
+  const {
+    id,
+    position,
+    speed,
+    size,
+    damage,
+    lifetime = 5000,
+    createdAt = 0,
+    behavior = 'straight',
+    pierce = 0,
+    turnRate = 0,
+    homingRange = DEFAULT_HOMING_RANGE,
+    blastRadius = 0,
+  } = projectile;
+  if (state.spent) return false;
+
+  const explode = () => {
+    grid.query(position[0], position[2], blastRadius, state.candidates).forEach((enemy) => {
+      const dx = position[0] - enemy.position[0];
+      const dz = position[2] - enemy.position[2];
+      if (Math.sqrt(dx * dx + dz * dz) <= blastRadius + (enemy.size || 0.5)) {
+        onDamage(enemy.id, damage);
+      }
+    });
+    onHit(id, null, 0);
+  };
+
+  const expire = () => {
+    state.spent = true;
+    if (behavior === 'explosive') explode();
+    else onHit(id, null, 0);
+  };
+
+  // Lifetime runs on the game clock so it stands still while paused
+  if (now - createdAt >= lifetime) {
+    expire();
+    return false;
+  }
+
+  const dir = state.heading;
+
+  if (behavior === 'homing') {
+    const target = findNearestEnemy(position, grid, homingRange, state.candidates);
+    if (target) {
+      const current = Math.atan2(dir[0], dir[2]);
+      const desired = Math.atan2(target.position[0] - position[0], target.position[2] - position[2]);
+      const diff = Math.atan2(Math.sin(desired - current), Math.cos(desired - current));
+      const maxTurn = turnRate * delta;
+      const angle = current + Math.max(-maxTurn, Math.min(maxTurn, diff));
+      dir[0] = Math.sin(angle);
+      dir[2] = Math.cos(angle);
+    }
+  }
+
+  position[0] += dir[0] * speed * delta;
+  position[1] += dir[1] * speed * delta;
+  position[2] += dir[2] * speed * delta;
+
+  // Walls and crates stop every projectile; explosives go off against them
+  if (hitsObstacle(obstacles, position, size)) {
+    expire();
+    return true;
+  }
+
+  // Only enemies in nearby grid cells can be close enough to hit
+  for (const enemy of grid.query(position[0], position[2], size, state.candidates)) {
+    // The grid still holds enemies removed earlier this step
+    if (!enemy.active || state.hitEnemies.has(enemy.id)) continue;
+
+    const dx = position[0] - enemy.position[0];
+    const dz = position[2] - enemy.position[2];
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    const collisionRadius = size + (enemy.size || 0.5) * 2;
+    if (distance >= collisionRadius) continue;
+
+    if (behavior === 'explosive') {
+      expire();
+      return true;
+    }
+
+    if (behavior === 'pierce' && state.hitEnemies.size < pierce) {
+      state.hitEnemies.add(enemy.id);
+      onDamage(enemy.id, damage);
+      continue;
+    }
+
+    state.spent = true;
+    onHit(id, enemy.id, damage);
+    return true;
+  }
+
+  return true;
+};
+
+const ENEMY_PROJECTILE_LIFETIME = 4000;
+
+/**
+ * One step of an enemy bullet: it flies straight and only hits the player
+ * @param {Object} projectile - Enemy projectile entity; its position is moved in place
+ * @param {Object} options - { delta, now (game ms), obstacles, playerPosition, playerRadius }
+ * @returns {string|null} - 'expired' (lifetime or obstacle), 'hit' (the player) or null while in flight
+ */
+export const stepEnemyProjectile = (projectile, { delta, now, obstacles = [], playerPosition, playerRadius }) => {
+  const { position, direction, speed, size } = projectile;
+
+  if (now - projectile.createdAt >= (projectile.lifetime ?? ENEMY_PROJECTILE_LIFETIME)) return 'expired';
+
+  position[0] += direction[0] * speed * delta;
+  position[2] += direction[2] * speed * delta;
+
+  if (hitsObstacle(obstacles, position, size)) return 'expired';
+
+  const dx = playerPosition[0] - position[0];
+  const dz = playerPosition[2] - position[2];
+  return Math.sqrt(dx * dx + dz * dz) < size + playerRadius ? 'hit' : null;
+};
@@ -0,0 +1,144 @@
+// Seeded randomness. Every gameplay random decision goes through `gameRandom`,
+// which is reseeded at the start of each run, so two runs with the same seed
+// (and the same inputs) play out the same way. Only generateSeed uses
+// Math.random, to pick a seed when the player didn't choose one.
+import { gameConfig } from './gameConfig';
+import { ENDLESS_MODE, getCampaign } from '../data/waves';
+
+// String -> 32-bit hash (FNV-1a), so any text can be a seed
+export const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Small fast PRNG (mulberry32) with helpers for common picks
+ * @param {string|number} seed - Any text or number
+ * @returns {Object} - { next, range, int, pick, chance }
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+
+  // Uniform float in [0, 1)
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    range: (min, max) => min + next() * (max - min),
+    // Integer in [0, max)
+    int: (max) => Math.floor(next() * max),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability,
+  };
+};
+
+/**
+ * The run's random source. Systems draw from named streams so adding a random
+ * call in one system doesn't shift the numbers another one sees. The app uses
+ * the shared `gameRandom`; headless runs make their own.
+ */
+export const createGameRandom = () => {
+  let seed = '';
+  let streams = {};
+
+  return {
+    reseed(newSeed) {
+      seed = String(newSeed);
+      streams = {};
+    },
+    getSeed: () => seed,
+    /**
+     * @param {string} name - Stream name, e.g. 'spawner'
+     * @returns {Object} - createRandom helpers seeded from the run seed and the name
+     */
+    stream(name) {
+      if (!streams[name]) streams[name] = createRandom(`${seed}:${name}`);
+      return streams[name];
+    },
+  };
+};
+
+export const gameRandom = createGameRandom();
+
+// Seeds are shared by hand, so keep them short and unambiguous (no 0/O or 1/I)
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const SEED_MAX_LENGTH = 32;
+
+export const generateSeed = (length = 6) => {
+  let seed = '';
+  for (let i = 0; i < length; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+};
+
+// Trim, cap and upper-case user-entered seeds, so 'abc' and 'ABC' are the same run;
+// an empty result means "random each run"
+export const normalizeSeed = (seed) => {
+  return typeof seed === 'string' ? seed.trim().slice(0, SEED_MAX_LENGTH).toUpperCase() : '';
+};
+
+/**
+ * Seed of the daily challenge, the same for everyone on a given UTC date
+ * @param {Date} date - Defaults to now
+ * @returns {string} - e.g. 'DAILY-2024-05-17'
+ */
+export const getDailySeed = (date = new Date()) => {
+  return `DAILY-${date.toISOString().slice(0, 10)}`;
+};
+
+export const isDailySeed = (seed) => /^DAILY-\d{4}-\d{2}-\d{2}$/.test(seed);
+
+// Everyone plays the daily challenge on the same level, mode and difficulty
+export const DAILY_RUN = { level: 'classic', mode: ENDLESS_MODE, difficulty: 'normal' };
+
+/**
+ * Link that opens the game set up for a run, keeping the other URL parameters
+ * @param {Object} run - { seed, level, mode, difficulty }; a missing one leaves its
+ *   parameter as the URL has it (a level loaded from a file has no id to share)
+ * @param {string} href - Page URL to build on
+ * @returns {string} - e.g. '...?seed=ABC123&level=space-shooter&mode=endless&difficulty=hard'
+ */
+export const getRunShareUrl = ({ seed, level = null, mode, difficulty }, href = window.location.href) => {
+  const url = new URL(href);
+  url.searchParams.set('seed', seed);
+  if (level) url.searchParams.set('level', level);
+  if (mode) url.searchParams.set('mode', mode);
+  if (difficulty) url.searchParams.set('difficulty', difficulty);
+  return url.toString();
+};
+
+/**
+ * Read a run set up by getRunShareUrl back from a page URL. `?seed=daily` is
+ * today's daily seed, and a daily seed always comes with DAILY_RUN's level,
+ * mode and difficulty, whatever else the URL says.
+ * @param {string} search - e.g. window.location.search
+ * @param {Date} date - Day of `?seed=daily`; defaults to now
+ * @returns {Object} - { seed, level, mode, difficulty }, each null when missing or unknown
+ */
+export const readRunFromUrl = (search, date = new Date()) => {
+  const params = new URLSearchParams(search);
+  const seedParam = params.get('seed');
+  const seed = seedParam?.toLowerCase() === 'daily' ? getDailySeed(date) : normalizeSeed(seedParam) || null;
+  if (isDailySeed(seed)) return { seed, ...DAILY_RUN };
+
+  const mode = params.get('mode');
+  const difficulty = params.get('difficulty');
+  return {
+    seed,
+    level: params.get('level') || null,
+    mode: mode === ENDLESS_MODE || getCampaign(mode) ? mode : null,
+    difficulty: Object.hasOwn(gameConfig.difficultyPresets, difficulty ?? '') ? difficulty : null,
+  };
+};
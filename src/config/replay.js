@@ -0,0 +1,219 @@
+// Run replays. A replay is the run's seed, game mode, config and settings plus the
+// player's input frame for every game step, stored as a list of changes. Since
+// the game clock steps at a fixed rate and every random decision comes from
+// the seed, feeding the same frames back through the same config replays the
+// run. Settings changed mid-run (Pause -> Settings) are stored the same way,
+// stamped with the step they took effect. Player position keyframes let
+// playback correct small drift.
+import { createInputFrame, decodeInputFrame, encodeInputFrame } from './playerInput';
+import { buildGameConfig } from './configLoader';
+import { migrateSettings } from './settingsStorage';
+import { STEP_SECONDS } from './gameClock';
+import { ENDLESS_MODE } from '../data/waves';
+
+export const REPLAY_VERSION = 2;
+
+// Steps between player position keyframes (half a second)
+const KEYFRAME_INTERVAL = 30;
+const KEYFRAME_PRECISION = 1000;
+
+const round = (value) => Math.round(value * KEYFRAME_PRECISION) / KEYFRAME_PRECISION;
+
+/**
+ * Record a run step by step
+ * @param {Object} header - { seed, mode, config, settings } the run was started with
+ * @returns {Object} - { record(step, frame, position), recordSettings(step, settings, difficulty), finish(result) -> replay }
+ */
+export const createReplayRecorder = ({ seed, mode, config, settings }) => {
+  const inputs = [];
+  const keyframes = [];
+  const settingsChanges = [];
+  let lastKey = null;
+  let lastSettings = null;
+  let lastDifficulty = null;
+  let steps = 0;
+
+  return {
+    /**
+     * @param {number} step - Step since the run started, from 0
+     * @param {Object} frame - Quantized input frame used for this step
+     * @param {Array} position - Player [x, y, z] at the start of the step
+     */
+    record(step, frame, position) {
+      const encoded = encodeInputFrame(frame);
+      const key = JSON.stringify(encoded);
+      if (key !== lastKey) {
+        inputs.push([step, ...encoded]);
+        lastKey = key;
+      }
+      if (step % KEYFRAME_INTERVAL === 0) {
+        keyframes.push([step, round(position[0]), round(position[2])]);
+      }
+      steps = step + 1;
+    },
+
+    /**
+     * Call every step with what gameplay runs with; only changes are kept
+     * @param {number} step - Step since the run started, from 0
+     * @param {Object} settings - gameplaySettingsAtom value, the same object until one changes
+     * @param {string} difficulty - Difficulty preset id
+     */
+    recordSettings(step, settings, difficulty) {
+      if (settings === lastSettings && difficulty === lastDifficulty) return;
+      settingsChanges.push([step, { ...settings }, difficulty]);
+      lastSettings = settings;
+      lastDifficulty = difficulty;
+    },
+
+    /**
+     * @param {Object} result - Final stats, e.g. { score, enemiesKilled }
+     * @returns {Object} - Replay data, ready for serializeReplay
+     */
+    finish(result = {}) {
+      return {
+        version: REPLAY_VERSION,
+        recordedAt: new Date().toISOString(),
+        stepSeconds: STEP_SECONDS,
+        seed,
+        mode,
+        config,
+        settings,
+        steps,
+        inputs: [...inputs],
+        keyframes: [...keyframes],
+        settingsChanges: [...settingsChanges],
+        result,
+      };
+    },
+  };
+};
+
+/**
+ * Read a replay back step by step. Steps can be asked for in any order.
+ * @param {Object} replay - Parsed replay data
+ * @returns {Object} - { steps, frameAt(step), keyframeAt(step), settingsAt(step) }
+ */
+export const createReplayPlayer = (replay) => {
+  const { inputs } = replay;
+  const keyframes = new Map(replay.keyframes.map(([step, x, z]) => [step, [x, z]]));
+  const settingsChanges = (replay.settingsChanges || []).map(([step, settings, difficulty]) => ({ step, settings, difficulty }));
+  let cursor = 0;
+  const emptyFrame = createInputFrame();
+
+  return {
+    steps: replay.steps,
+
+    // Input frame for a step: the last change at or before it
+    frameAt(step) {
+      if (cursor >= inputs.length || inputs[cursor][0] > step) cursor = 0;
+      if (inputs.length === 0 || inputs[0][0] > step) return emptyFrame;
+      while (cursor + 1 < inputs.length && inputs[cursor + 1][0] <= step) cursor += 1;
+      return decodeInputFrame(inputs[cursor].slice(1));
+    },
+
+    // Recorded player [x, z] for a step, or undefined between keyframes
+    keyframeAt: (step) => keyframes.get(step),
+
+    // { settings, difficulty } gameplay ran with at a step, the same object until
+    // the next change; null for replays recorded before settings were stored
+    settingsAt(step) {
+      let current = null;
+      for (const change of settingsChanges) {
+        if (change.step > step) break;
+        current = change;
+      }
+      return current;
+    },
+  };
+};
+
+export const serializeReplay = (replay) => JSON.stringify(replay);
+
+// e.g. replay-ABC123-2024-05-17.json
+export const getReplayFileName = (replay) => {
+  return `replay-${replay.seed}-${replay.recordedAt.slice(0, 10)}.json`;
+};
+
+// Save a replay through the browser's download prompt
+export const downloadReplay = (replay) => {
+  const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getReplayFileName(replay);
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Steps as m:ss of game time
+export const formatReplayTime = (steps) => {
+  const seconds = Math.floor(steps * STEP_SECONDS);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const isSettingsChange = ([, settings, difficulty]) => (
+  settings !== null &&
+  typeof settings === 'object' &&
+  Object.values(settings).every((value) => Number.isFinite(value) || typeof value === 'boolean') &&
+  typeof difficulty === 'string'
+);
+
+const isStepList = (list, width) => {
+  return Array.isArray(list) && list.every((entry, i) =>
+    Array.isArray(entry) &&
+    entry.length === width &&
+    Number.isInteger(entry[0]) &&
+    (i === 0 || entry[0] > list[i - 1][0])
+  );
+};
+
+/**
+ * Parse and check a replay file's text
+ * @param {string} text - File contents
+ * @param {string} name - File name for error messages
+ * @returns {Object} - Replay with its config rebuilt and settings migrated
+ * @throws {Error} - When the file is not a replay this game can play
+ */
+export const parseReplay = (text, name = 'replay') => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(`'${name}' is not a valid replay file`);
+  }
+
+  if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+    throw new Error(`'${name}' is not a replay file`);
+  }
+  if (data.version > REPLAY_VERSION) {
+    throw new Error(`Replay version ${data.version} is newer than this game (${REPLAY_VERSION})`);
+  }
+  if (data.stepSeconds !== STEP_SECONDS) {
+    throw new Error(`Replay was recorded at a different step rate`);
+  }
+  if (typeof data.seed !== 'string' || !data.seed) {
+    throw new Error(`Replay '${name}' has no seed`);
+  }
+  if (!Number.isInteger(data.steps) || data.steps < 0) {
+    throw new Error(`Replay '${name}' has no length`);
+  }
+  if (!isStepList(data.inputs, 6) || !isStepList(data.keyframes, 3)) {
+    throw new Error(`Replay '${name}' has corrupt input data`);
+  }
+  // Version 1 replays have no settings changes
+  const settingsChanges = data.settingsChanges ?? [];
+  if (!isStepList(settingsChanges, 3) || !settingsChanges.every(isSettingsChange)) {
+    throw new Error(`Replay '${name}' has corrupt settings data`);
+  }
+
+  return {
+    ...data,
+    mode: typeof data.mode === 'string' ? data.mode : ENDLESS_MODE,
+    config: buildGameConfig(data.config, data.config?.id || name),
+    settings: migrateSettings(data.settings),
+    settingsChanges,
+    result: data.result || {},
+  };
+};
+
+export const parseReplayFile = async (file) => parseReplay(await file.text(), file.name);
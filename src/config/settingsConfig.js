@@ -1,3 +1,7 @@
+// Each setting renders as a control on SettingsScreen and is bound to an atom
+// through settingAtoms in atoms.js (created automatically if none is registered).
+// `type` picks the control: 'range' (default; min/max/step/unit), 'toggle',
+// 'select' (options: [{ value, label }]), 'color' or 'keybinding'.
 export const settingsConfig = {
   player: {
     speed: {
@@ -51,7 +55,7 @@ export const settingsConfig = {
       label: 'Max Count',
       default: 15,
       min: 5,
-      max: 50,
+      max: 400,
       step: 1,
       unit: '',
       description: 'Maximum enemies on screen'
@@ -66,6 +70,201 @@ export const settingsConfig = {
       step: 0.1,
       unit: 'x',
       description: 'Overall difficulty multiplier'
+    },
+    gameSpeed: {
+      label: 'Game Speed',
+      default: 1.0,
+      min: 0.25,
+      max: 1.5,
+      step: 0.05,
+      unit: 'x',
+      description: 'Speed of the whole game; lower values give more time to react'
+    }
+  },
+  controls: {
+    moveForward: {
+      label: 'Move Forward',
+      type: 'keybinding',
+      default: ['KeyW', 'ArrowUp'],
+      description: 'Move up the screen'
+    },
+    moveBackward: {
+      label: 'Move Backward',
+      type: 'keybinding',
+      default: ['KeyS', 'ArrowDown'],
+      description: 'Move down the screen'
+    },
+    moveLeft: {
+      label: 'Move Left',
+      type: 'keybinding',
+      default: ['KeyA', 'ArrowLeft'],
+      description: 'Move left'
+    },
+    moveRight: {
+      label: 'Move Right',
+      type: 'keybinding',
+      default: ['KeyD', 'ArrowRight'],
+      description: 'Move right'
+    },
+    fire: {
+      label: 'Fire',
+      type: 'keybinding',
+      default: ['Space'],
+      description: 'Hold to fire the active weapon'
+    },
+    reload: {
+      label: 'Reload',
+      type: 'keybinding',
+      default: ['KeyR'],
+      description: 'Reload the active weapon'
+    },
+    dash: {
+      label: 'Dash',
+      type: 'keybinding',
+      default: ['ShiftLeft'],
+      description: 'Short burst of speed in the movement direction'
+    },
+    nextWeapon: {
+      label: 'Next Weapon',
+      type: 'keybinding',
+      default: ['KeyE', 'WheelDown'],
+      description: 'Switch to the next weapon'
+    },
+    previousWeapon: {
+      label: 'Previous Weapon',
+      type: 'keybinding',
+      default: ['KeyQ', 'WheelUp'],
+      description: 'Switch to the previous weapon'
+    },
+    weaponSlot1: {
+      label: 'Weapon 1',
+      type: 'keybinding',
+      default: ['Digit1', 'Numpad1'],
+      weaponSlot: 0,
+      description: 'Switch to weapon 1'
+    },
+    weaponSlot2: {
+      label: 'Weapon 2',
+      type: 'keybinding',
+      default: ['Digit2', 'Numpad2'],
+      weaponSlot: 1,
+      description: 'Switch to weapon 2'
+    },
+    weaponSlot3: {
+      label: 'Weapon 3',
+      type: 'keybinding',
+      default: ['Digit3', 'Numpad3'],
+      weaponSlot: 2,
+      description: 'Switch to weapon 3'
+    },
+    weaponSlot4: {
+      label: 'Weapon 4',
+      type: 'keybinding',
+      default: ['Digit4', 'Numpad4'],
+      weaponSlot: 3,
+      description: 'Switch to weapon 4'
+    },
+    weaponSlot5: {
+      label: 'Weapon 5',
+      type: 'keybinding',
+      default: ['Digit5', 'Numpad5'],
+      weaponSlot: 4,
+      description: 'Switch to weapon 5'
+    },
+    pause: {
+      label: 'Pause',
+      type: 'keybinding',
+      default: ['Escape', 'KeyP'],
+      description: 'Pause the game'
+    }
+  },
+  gamepad: {
+    enabled: {
+      label: 'Enabled',
+      type: 'toggle',
+      default: true,
+      description: 'Read input from a connected controller'
+    },
+    deadzone: {
+      label: 'Deadzone',
+      default: 15,
+      min: 0,
+      max: 50,
+      step: 1,
+      unit: '%',
+      description: 'Stick travel ignored around the centre, to hide stick drift'
+    },
+    moveSensitivity: {
+      label: 'Move Sensitivity',
+      default: 1.0,
+      min: 0.5,
+      max: 2.0,
+      step: 0.1,
+      unit: 'x',
+      description: 'How far the left stick must be pushed to reach full speed'
+    },
+    aimSensitivity: {
+      label: 'Aim Sensitivity',
+      default: 15,
+      min: 2,
+      max: 30,
+      step: 1,
+      unit: '',
+      description: 'How quickly aim turns toward the right stick'
+    }
+  },
+  touch: {
+    mode: {
+      label: 'On-screen Controls',
+      type: 'select',
+      default: 'auto',
+      options: [
+        { value: 'auto', label: 'Auto-detect' },
+        { value: 'on', label: 'Always' },
+        { value: 'off', label: 'Never' }
+      ],
+      description: 'Virtual joysticks and buttons for touch screens'
+    },
+    autoFire: {
+      label: 'Auto-fire',
+      type: 'toggle',
+      default: true,
+      description: 'Fire while the aim joystick is pushed past halfway'
+    },
+    joystickSize: {
+      label: 'Joystick Size',
+      default: 60,
+      min: 40,
+      max: 100,
+      step: 5,
+      unit: 'px',
+      description: 'Thumb travel for full deflection'
+    }
+  },
+  display: {
+    showHUD: {
+      label: 'Show HUD',
+      type: 'toggle',
+      default: true,
+      description: 'Show health, score and weapon panels during play'
+    },
+    showCrosshair: {
+      label: 'Show Crosshair',
+      type: 'toggle',
+      default: true,
+      description: 'Mark the aim point on the ground with a line back to the player'
+    },
+    killCam: {
+      label: 'Slow-mo Kill Cam',
+      type: 'toggle',
+      default: true,
+      description: 'Briefly slow the game down after a multi-kill'
+    },
+    showPoolStats: {
+      label: 'Pool Stats',
+      type: 'toggle',
+      default: false,
+      description: 'Debug overlay with entity pool usage, peaks and dropped spawns'
     }
   }
 };
@@ -94,4 +293,14 @@ export const getCategorySettings = (category) => {
 // Helper function to get all categories
 export const getAllCategories = () => {
   return Object.keys(settingsConfig);
+};
+
+// Helper function to get a setting's control type
+export const getSettingType = (setting) => {
+  return setting?.type || 'range';
+};
+
+// Helper function to get a category's display title
+export const getCategoryLabel = (category) => {
+  return category.charAt(0).toUpperCase() + category.slice(1);
 };
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { settingsConfig, getSettingType } from './settingsConfig';
+
+export const SETTINGS_STORAGE_KEY = 'topdown-shooter.settings';
+export const SETTINGS_VERSION = 2;
+
+// Append a code to stored control bindings that lack it; missing or malformed ones are left to sanitizing
+const addBindings = (values, codes) => {
+  const controls = { ...values?.controls };
+  Object.entries(codes).forEach(([action, code]) => {
+    const bound = controls[action];
+    if (Array.isArray(bound) && !bound.includes(code)) controls[action] = [...bound, code];
+  });
+  return { ...values, controls };
+};
+
+/**
+ * Upgrades for stored settings, keyed by the version they upgrade FROM.
+ * Bump SETTINGS_VERSION and add an entry whenever a settingsConfig key is
+ * renamed or its meaning changes, e.g.
+ *   1: (data) => ({ ...data, values: { ...renameKey(data.values, 'enemies', 'maxCount', 'limit') } })
+ * Added and removed keys need no migration: sanitizeSettingsValues fills
+ * missing keys from their defaults and drops unknown ones.
+ */
+export const settingsMigrations = {
+  // The wheel became a binding: keep it switching weapons for stored Q / E bindings
+  1: (data) => ({ ...data, values: addBindings(data.values, { nextWeapon: 'WheelDown', previousWeapon: 'WheelUp' }) }),
+};
+
+// Every setting at its settingsConfig default, keyed by category then key
+export const getDefaultSettingsValues = () => {
+  return Object.entries(settingsConfig).reduce((acc, [category, settings]) => {
+    acc[category] = {};
+    Object.entries(settings).forEach(([key, setting]) => {
+      acc[category][key] = setting.default;
+    });
+    return acc;
+  }, {});
+};
+
+// Coerce one stored value to what its setting accepts, or undefined to use the default
+const sanitizeSettingValue = (setting, value) => {
+  switch (getSettingType(setting)) {
+    case 'toggle':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'select':
+      return setting.options.some(option => option.value === value) ? value : undefined;
+    case 'color':
+      return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value : undefined;
+    case 'keybinding':
+      return Array.isArray(value) && value.every(key => typeof key === 'string') ? value : undefined;
+    default:
+      return typeof value === 'number' && !Number.isNaN(value)
+        ? Math.min(setting.max, Math.max(setting.min, value))
+        : undefined;
+  }
+};
+
+/**
+ * Keep only known settings, clamped to their limits, defaulting anything missing or invalid
+ * @param {Object} values - Settings keyed by category then key
+ * @returns {Object} - Values for every setting in settingsConfig
+ */
+export const sanitizeSettingsValues = (values) => {
+  const defaults = getDefaultSettingsValues();
+
+  Object.entries(settingsConfig).forEach(([category, settings]) => {
+    Object.entries(settings).forEach(([key, setting]) => {
+      const value = sanitizeSettingValue(setting, values?.[category]?.[key]);
+      if (value !== undefined) defaults[category][key] = value;
+    });
+  });
+
+  return defaults;
+};
+
+/**
+ * Bring stored or imported settings data up to SETTINGS_VERSION
+ * @param {Object} data - { version, values, difficultyPreset, difficultyCustomized }
+ * @returns {Object} - Current-version data with sanitized values
+ */
+export const migrateSettings = (data) => {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Settings profile must be an object');
+  }
+
+  let migrated = { ...data };
+  let version = typeof migrated.version === 'number' ? migrated.version : 0;
+
+  if (version > SETTINGS_VERSION) {
+    throw new Error(`Settings profile version ${version} is newer than this game (${SETTINGS_VERSION})`);
+  }
+
+  while (version < SETTINGS_VERSION) {
+    const migrate = settingsMigrations[version];
+    if (migrate) migrated = migrate(migrated);
+    version += 1;
+  }
+
+  return {
+    version: SETTINGS_VERSION,
+    values: sanitizeSettingsValues(migrated.values),
+    difficultyPreset: typeof migrated.difficultyPreset === 'string' ? migrated.difficultyPreset : 'normal',
+    difficultyCustomized: Boolean(migrated.difficultyCustomized),
+  };
+};
+
+export const loadStoredSettings = () => {
+  try {
+    const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
+    return raw ? migrateSettings(JSON.parse(raw)) : null;
+  } catch (error) {
+    console.warn('Ignoring stored settings:', error.message);
+    return null;
+  }
+};
+
+export const saveStoredSettings = (data) => {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ ...data, version: SETTINGS_VERSION }));
+  } catch (error) {
+    console.warn('Could not save settings:', error.message);
+  }
+};
+
+// Share codes are the profile JSON, base64 encoded so they survive chat apps
+export const encodeShareCode = (data) => {
+  return btoa(JSON.stringify({ ...data, version: SETTINGS_VERSION }));
+};
+
+export const decodeShareCode = (code) => {
+  let data;
+  try {
+    data = JSON.parse(atob(code.trim()));
+  } catch {
+    throw new Error('Share code is not valid');
+  }
+  return migrateSettings(data);
+};
+
+export const parseSettingsFile = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`'${file.name}' is not a valid settings file`);
+  }
+  return migrateSettings(data);
+};
@@ -0,0 +1,241 @@
+// Headless simulation. Steps the same run the game does (createGameplay in
+// src/config/gameplay.js) on its own clock, world, random source and enemy
+// grid, without React, physics or a canvas, so tests and balance runs can
+// play an endless run for N seconds from Node (scripts/simulate.js). The
+// player is driven by a bot or a script instead of devices.
+import { gameConfig } from './gameConfig';
+import { createGameClock } from './gameClock';
+import { createGameRandom } from './random';
+import { createWorld } from './world';
+import { createSpatialHash } from './spatialHash';
+import { resolveObstacles } from './obstacles';
+import { createGameplay } from './gameplay';
+import { createInputFrame, quantizeInputFrame } from './playerInput';
+import { settingsConfig } from './settingsConfig';
+import { getDifficultyModifier } from '../data/customProjectileConfigs';
+import { getDefaultProjectileType } from '../data/projectileTypes';
+
+const findNearestEnemy = (position, enemies) => {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  enemies.forEachActive((enemy) => {
+    const dx = enemy.position[0] - position[0];
+    const dz = enemy.position[2] - position[2];
+    const distance = dx * dx + dz * dz;
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = enemy;
+    }
+  });
+  return nearest && { enemy: nearest, distance: Math.sqrt(nearestDistance) };
+};
+
+// Bots fire at anything within this distance
+const BOT_FIRE_RANGE = 16;
+// The kiting bot backs away from enemies closer than this
+const KITE_DISTANCE = 8;
+// ...and turns back toward the middle past this fraction of the arena
+const KITE_EDGE = 0.7;
+
+/**
+ * Built-in players. Each is called once per step with the observation (see
+ * createSimulation) and returns an input frame; fields left out stay unpressed.
+ * - idle: stands still and never fires, a baseline for how fast enemies kill
+ * - turret: stands still, aiming and firing at the nearest enemy
+ * - kite: fires at the nearest enemy while backing away from it, dashing when it gets close
+ */
+export const simulationBots = {
+  idle: () => ({}),
+
+  turret: ({ player, enemies }) => {
+    const nearest = findNearestEnemy(player.position, enemies);
+    if (!nearest) return {};
+    const { enemy, distance } = nearest;
+    return {
+      aim: Math.atan2(enemy.position[0] - player.position[0], enemy.position[2] - player.position[2]),
+      fire: distance <= BOT_FIRE_RANGE,
+    };
+  },
+
+  kite: ({ player, enemies, worldSize }) => {
+    const nearest = findNearestEnemy(player.position, enemies);
+    if (!nearest) return {};
+    const { enemy, distance } = nearest;
+    const [x, , z] = player.position;
+    const dx = enemy.position[0] - x;
+    const dz = enemy.position[2] - z;
+
+    let moveX = 0;
+    let moveZ = 0;
+    if (distance > 0 && distance < KITE_DISTANCE) {
+      moveX = -dx / distance;
+      moveZ = -dz / distance;
+    }
+    if (Math.abs(x) > worldSize * KITE_EDGE) moveX -= Math.sign(x);
+    if (Math.abs(z) > worldSize * KITE_EDGE) moveZ -= Math.sign(z);
+    const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
+    if (length > 1) {
+      moveX /= length;
+      moveZ /= length;
+    }
+
+    return {
+      moveX,
+      moveZ,
+      aim: Math.atan2(dx, dz),
+      fire: distance <= BOT_FIRE_RANGE,
+      dash: distance < enemy.size + 1.5,
+    };
+  },
+};
+
+/**
+ * Scripted input: each entry holds from its `at` time (game seconds) until the
+ * next entry, e.g. [{ at: 0, moveX: 1 }, { at: 2, aim: 0, fire: true }]
+ * @param {Array<Object>} script - Entries of { at, ...input frame fields }
+ * @returns {Function} - Input source for createSimulation
+ */
+export const createScriptedInput = (script) => {
+  const entries = [...script].sort((a, b) => a.at - b.at);
+  return ({ time }) => {
+    let current = null;
+    for (const entry of entries) {
+      if (entry.at > time) break;
+      current = entry;
+    }
+    if (!current) return {};
+    const frame = { ...current };
+    delete frame.at;
+    return frame;
+  };
+};
+
+/**
+ * Settings the run plays with, as the settings screen would have them after
+ * picking the difficulty preset: the config's player stats and the preset's
+ * enemy and difficulty values, with `settings` on top
+ */
+const resolveSettings = (config, difficulty, settings) => {
+  const preset = getDifficultyModifier(difficulty, config).settings;
+  return {
+    playerSpeed: config.player.speed,
+    playerHealth: config.player.health,
+    fireRate: config.player.fireRate,
+    enemySpeedMultiplier: preset?.enemies?.speedMultiplier ?? 1,
+    enemySpawnRate: preset?.enemies?.spawnRate ?? 1,
+    maxEnemies: preset?.enemies?.maxCount ?? config.enemies.maxOnScreen,
+    difficultyMultiplier: preset?.difficulty?.multiplier ?? 1,
+    killCam: settingsConfig.display.killCam.default,
+    ...settings,
+  };
+};
+
+/**
+ * Set up an endless run. Step it with step() or run(seconds).
+ * The input source is called every step with { step, time (game seconds),
+ * player: { position, facing, health, ammo, reloading }, enemies and
+ * enemyProjectiles (world pools), worldSize, obstacles } and returns an
+ * input frame (see playerInput.js), as a bot or a script.
+ * @param {Object} options - { config (complete game config), seed, difficulty (preset id),
+ *   projectileType (id; the run keeps this one weapon), input (input source), settings
+ *   ({ playerSpeed, playerHealth, fireRate, enemySpeedMultiplier, enemySpawnRate, maxEnemies,
+ *   difficultyMultiplier, killCam }, any subset) }
+ * @returns {Object} - { step, run(seconds) -> report, getReport, isOver, world }
+ */
+export const createSimulation = ({
+  config = gameConfig,
+  seed = 'SIM',
+  difficulty = 'normal',
+  projectileType = getDefaultProjectileType().id,
+  input = simulationBots.idle,
+  settings = {},
+} = {}) => {
+  const clock = createGameClock();
+  const random = createGameRandom();
+  random.reseed(seed);
+  const world = createWorld({ now: clock.now, pools: config.pools });
+  const gameplay = createGameplay({
+    config,
+    world,
+    grid: createSpatialHash(4),
+    random,
+    clock,
+    difficulty,
+    settings: resolveSettings(config, difficulty, settings),
+    projectileType,
+  });
+  const { player, stats } = gameplay;
+  const worldSize = config.world.size;
+  const obstacles = resolveObstacles(config.world.obstacles);
+
+  clock.onStep((_, delta, stepIndex) => {
+    if (gameplay.getOutcome()) return;
+
+    const frame = quantizeInputFrame({
+      ...createInputFrame(),
+      ...input({
+        step: stepIndex,
+        time: clock.now() / 1000,
+        player: {
+          position: player.position,
+          facing: player.facing,
+          health: player.health,
+          ammo: player.ammo[gameplay.getWeapon().loadoutId],
+          reloading: player.reload !== null,
+        },
+        enemies: world.enemies,
+        enemyProjectiles: world.enemyProjectiles,
+        worldSize,
+        obstacles,
+      }),
+      // The run keeps the weapon it was given
+      weapon: null,
+    });
+    gameplay.step(frame, delta);
+  });
+
+  /**
+   * Where the run stands
+   * @returns {Object} - { seed, difficulty, outcome ('died', 'outOfBounds' or 'survived' while running),
+   *   timeSurvived (s), health, kills, score, damageTaken, damageDealt, shotsFired, peakEnemies,
+   *   droppedShots (player shots the projectile pool had no room for) }
+   */
+  const getReport = () => ({
+    seed,
+    difficulty,
+    outcome: gameplay.getOutcome() || 'survived',
+    timeSurvived: clock.now() / 1000,
+    health: Math.max(player.health, 0),
+    ...stats,
+    peakEnemies: world.enemies.getMetrics().peak,
+    droppedShots: world.projectiles.getMetrics().dropped,
+  });
+
+  return {
+    // One fixed game step (1/60 s); does nothing once the run is over
+    step() {
+      if (!gameplay.getOutcome()) clock.runSteps(1);
+    },
+
+    /**
+     * Step until `seconds` of game time have passed or the run ends
+     * @returns {Object} - getReport()
+     */
+    run(seconds) {
+      while (!gameplay.getOutcome() && clock.now() < seconds * 1000) clock.runSteps(1);
+      return getReport();
+    },
+
+    getReport,
+    isOver: () => gameplay.getOutcome() !== null,
+    world,
+  };
+};
+
+/**
+ * Play one run headlessly
+ * @param {Object} options - createSimulation options
+ * @param {number} seconds - Game seconds to play at most
+ * @returns {Object} - Report (see createSimulation's getReport)
+ */
+export const runSimulation = (options, seconds) => createSimulation(options).run(seconds);
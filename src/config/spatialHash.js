@@ -0,0 +1,78 @@
+// Broad-phase spatial grid. Items are bucketed by the ground cell their
+// center falls in, so "what is near this point" only looks at a few cells
+// instead of every item. Callers still do the exact distance check on the
+// candidates a query returns.
+
+// Cell coordinates are packed into one number; fine for anything within ±32768 cells
+const KEY_OFFSET = 32768;
+const cellKey = (column, row) => (column + KEY_OFFSET) * 65536 + (row + KEY_OFFSET);
+
+/**
+ * @param {number} cellSize - Cell edge in world units; a few times the typical query range works well
+ * @returns {Object} - { clear, insert, query, getCount }
+ */
+export const createSpatialHash = (cellSize = 4) => {
+  const cells = new Map();
+  let maxRadius = 0;
+  let count = 0;
+
+  const toCell = (value) => Math.floor(value / cellSize);
+
+  return {
+    clear() {
+      cells.clear();
+      maxRadius = 0;
+      count = 0;
+    },
+
+    /**
+     * @param {*} item - Anything; returned as is by query
+     * @param {number} x
+     * @param {number} z
+     * @param {number} radius - How far the item reaches; queries widen by the largest one inserted
+     */
+    insert(item, x, z, radius = 0) {
+      const key = cellKey(toCell(x), toCell(z));
+      const bucket = cells.get(key);
+      if (bucket) bucket.push(item);
+      else cells.set(key, [item]);
+      maxRadius = Math.max(maxRadius, radius);
+      count += 1;
+    },
+
+    /**
+     * Items that may be within `range` of a point (plus their own radius). Each
+     * item is in exactly one cell, so it is returned at most once.
+     * @param {number} x
+     * @param {number} z
+     * @param {number} range
+     * @param {Array} out - Array to fill, reused by hot callers to avoid garbage
+     * @returns {Array} - Candidates
+     */
+    query(x, z, range, out = []) {
+      out.length = 0;
+      const reach = range + maxRadius;
+      const maxColumn = toCell(x + reach);
+      const maxRow = toCell(z + reach);
+
+      for (let column = toCell(x - reach); column <= maxColumn; column++) {
+        for (let row = toCell(z - reach); row <= maxRow; row++) {
+          const bucket = cells.get(cellKey(column, row));
+          if (bucket) for (let i = 0; i < bucket.length; i++) out.push(bucket[i]);
+        }
+      }
+      return out;
+    },
+
+    getCount: () => count,
+  };
+};
+
+// Active enemies, rebuilt at the start of every game step by the run in progress (gameplay.js).
+// Projectiles, contact damage and crowd steering query it instead of looping
+// over the whole enemies array.
+export const enemyGrid = createSpatialHash(4);
+
+// How far an enemy of `size` reaches for any of those checks: projectile hits
+// (size * 2), contact damage (size + 1) and crowd separation
+export const getEnemyReach = (size) => Math.max(size * 2, size + 1);
@@ -0,0 +1,100 @@
+// Endless mode spawning: a spawn timer that speeds up over time, plus a boss
+// each time the score passes another interval, and the minions bosses
+// summon. Kept free of React so the game's run (src/config/gameplay.js) and
+// the headless simulation share it.
+import { createEnemyData, getRegularEnemyTypes } from './enemyTypes';
+import { getSpawnPattern, resolveWaveEnemyType } from './waves';
+
+// Minions summoned by a boss appear in a ring this far around it
+const SUMMON_RADIUS = 3;
+
+/**
+ * @param {number} bossScoreInterval - Score between bosses; null for none
+ * @returns {Object} - Spawner state: timers, the growing difficulty multiplier and the next boss score
+ */
+export const createEndlessSpawner = (bossScoreInterval = null) => ({
+  spawnTimer: 0,
+  difficultyTimer: 0,
+  dynamicMultiplier: 1,
+  nextBossScore: bossScoreInterval,
+});
+
+/**
+ * One step of the endless spawner; enemies are spawned straight into the pool
+ * @param {Object} state - createEndlessSpawner result
+ * @param {Object} options - { delta, enemies (world pool), random (createGameRandom result), playerPosition,
+ *   maxOnScreen, enemyTypes, spawnRadius, difficultyIncreaseInterval (s), difficultyMultiplierStep,
+ *   enemySpawnRate, difficultyMultiplier, score, bossType, bossScoreInterval }
+ */
+export const stepEndlessSpawner = (state, {
+  delta,
+  enemies,
+  random,
+  playerPosition,
+  maxOnScreen,
+  enemyTypes,
+  spawnRadius,
+  difficultyIncreaseInterval = 30,
+  difficultyMultiplierStep = 1.2,
+  enemySpawnRate = 1.0,
+  difficultyMultiplier = 1.0,
+  score = 0,
+  bossType = null,
+  bossScoreInterval = null,
+}) => {
+  const getSpawnPoint = (stream) => {
+    const angle = stream.range(0, Math.PI * 2);
+    return [
+      playerPosition[0] + Math.sin(angle) * spawnRadius,
+      0.5,
+      playerPosition[2] + Math.cos(angle) * spawnRadius,
+    ];
+  };
+
+  state.spawnTimer += delta;
+  state.difficultyTimer += delta;
+
+  if (state.spawnTimer >= (1 / state.dynamicMultiplier) * (1 / enemySpawnRate) * (1 / difficultyMultiplier)) {
+    state.spawnTimer = 0;
+    if (enemies.countActive() < maxOnScreen) {
+      const stream = random.stream('spawner');
+      const type = stream.pick(getRegularEnemyTypes(enemyTypes));
+      enemies.spawn(createEnemyData(type, getSpawnPoint(stream)));
+    }
+  }
+
+  if (state.difficultyTimer >= difficultyIncreaseInterval) {
+    state.difficultyTimer = 0;
+    state.dynamicMultiplier *= difficultyMultiplierStep;
+  }
+
+  // One boss at a time, each time the score passes another bossScoreInterval
+  if (!bossType || !bossScoreInterval || score < state.nextBossScore) return;
+  if (enemies.find((e) => e.isBoss)) return;
+
+  state.nextBossScore += bossScoreInterval;
+  enemies.spawn(createEnemyData(bossType, getSpawnPoint(random.stream('spawner'))));
+};
+
+/**
+ * Spawn a boss's minions in a ring around it. They count against the
+ * on-screen cap like any other spawn, so a full arena gets fewer or none.
+ * @param {Object} enemies - World enemies pool
+ * @param {Object} options - { enemyType (id or 'random', 'fastest', ...), count, center ([x, y, z]),
+ *   enemyTypes (difficulty applied), maxOnScreen, worldSize, random (createGameRandom result) }
+ */
+export const spawnSummons = (enemies, { enemyType, count, center, enemyTypes, maxOnScreen, worldSize, random }) => {
+  const room = Math.min(count, maxOnScreen - enemies.countActive());
+  if (room <= 0) return;
+
+  const stream = random.stream('boss');
+  const type = resolveWaveEnemyType(enemyType, enemyTypes, stream);
+  const points = getSpawnPattern('ring', {
+    count: room,
+    center,
+    spawnRadius: SUMMON_RADIUS,
+    worldSize,
+    random: stream,
+  });
+  points.forEach(([x, z]) => enemies.spawn(createEnemyData(type, [x, 0.5, z])));
+};
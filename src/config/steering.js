@@ -0,0 +1,98 @@
+// Crowd steering for chasing enemies, kept free of React so the vector math
+// can be checked on its own. Each behavior yields a ground-plane [x, z] vector
+// of length up to 1; they are blended by weight into one move direction.
+
+export const steeringBehaviors = ['seek', 'separation', 'cohesion', 'flank'];
+
+// Seek eases off this far beyond an enemy's own size from the player: inside
+// contact damage's reach (size + 1), so it still hits, without shoving into the player
+const ARRIVE_MARGIN = 0.3;
+
+/**
+ * Steering settings for one enemy type: the config's enemies.steering with
+ * the type's own `steering` weights on top
+ * @param {Object} settings - enemies.steering
+ * @param {Object} typeWeights - The type's `steering` block (any subset of the weights)
+ * @returns {Object} - enemies.steering with merged weights
+ */
+export const getSteeringSettings = (settings, typeWeights) => ({
+  ...settings,
+  weights: { ...settings.weights, ...typeWeights },
+});
+
+const limit = ([x, z], max = 1) => {
+  const length = Math.sqrt(x * x + z * z);
+  return length > max ? [(x / length) * max, (z / length) * max] : [x, z];
+};
+
+/**
+ * Move direction for one enemy
+ * - seek: straight at the player (or along `route` when obstacles are in the way), easing off on arrival
+ * - separation: away from enemies closer than their combined radius times separationRadius
+ * - cohesion: toward the middle of enemies within neighborRadius, so the crowd moves as a pack
+ * - flank: sideways (to `flankSide`) while farther than surroundRadius, so a pack
+ *   spreads around the player instead of queuing up behind one another; off while following a route
+ * @param {Object} options - { position, size, playerPosition, neighbors ([{ position, size }],
+ *   may include this enemy), flankSide (1 or -1), settings (getSteeringSettings result),
+ *   route (normalized [x, z] from the flow navigator, or null for a clear line to the player) }
+ * @returns {Array<number>} - [x, z] with length up to 1
+ */
+export const getSteeringDirection = ({ position, size, playerPosition, neighbors, flankSide, settings, route = null }) => {
+  const { weights, separationRadius, neighborRadius, surroundRadius } = settings;
+  const [x, , z] = position;
+
+  const toPlayerX = playerPosition[0] - x;
+  const toPlayerZ = playerPosition[2] - z;
+  const playerDistance = Math.sqrt(toPlayerX * toPlayerX + toPlayerZ * toPlayerZ);
+  const toPlayer = playerDistance === 0 ? [0, 0] : [toPlayerX / playerDistance, toPlayerZ / playerDistance];
+  const arriveDistance = size + ARRIVE_MARGIN;
+  const arrival = Math.min(Math.max((playerDistance - arriveDistance) / arriveDistance, 0), 1);
+  const heading = route || toPlayer;
+  const seek = [heading[0] * arrival, heading[1] * arrival];
+
+  let separationX = 0;
+  let separationZ = 0;
+  let centerX = 0;
+  let centerZ = 0;
+  let nearby = 0;
+
+  neighbors.forEach((other) => {
+    if (other.position === position) return;
+    const dx = x - other.position[0];
+    const dz = z - other.position[2];
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    const personalSpace = ((size + other.size) / 2) * separationRadius;
+    if (distance < personalSpace) {
+      // Stronger the deeper the overlap; stacked enemies split toward their flank side
+      const push = 1 - distance / personalSpace;
+      if (distance === 0) {
+        separationX += -toPlayer[1] * flankSide * push;
+        separationZ += toPlayer[0] * flankSide * push;
+      } else {
+        separationX += (dx / distance) * push;
+        separationZ += (dz / distance) * push;
+      }
+    }
+
+    if (distance < neighborRadius) {
+      centerX += other.position[0];
+      centerZ += other.position[2];
+      nearby += 1;
+    }
+  });
+
+  const separation = limit([separationX, separationZ]);
+  const cohesion = nearby === 0
+    ? [0, 0]
+    : limit([(centerX / nearby - x) / neighborRadius, (centerZ / nearby - z) / neighborRadius]);
+
+  // Fades out inside surroundRadius, so flankers still close in for the attack
+  const flankAmount = route ? 0 : Math.min(Math.max((playerDistance - surroundRadius) / surroundRadius, 0), 1);
+  const flank = [-toPlayer[1] * flankSide * flankAmount, toPlayer[0] * flankSide * flankAmount];
+
+  return limit([
+    seek[0] * weights.seek + separation[0] * weights.separation + cohesion[0] * weights.cohesion + flank[0] * weights.flank,
+    seek[1] * weights.seek + separation[1] * weights.separation + cohesion[1] * weights.cohesion + flank[1] * weights.flank,
+  ]);
+};
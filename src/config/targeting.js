@@ -0,0 +1,42 @@
+// Aiming math for enemies that shoot, kept free of React so it can be checked
+// on its own. Positions and velocities are ground-plane [x, z] pairs.
+
+/**
+ * Direction to fire so a projectile meets a target moving at constant velocity
+ * ("leading" the shot). Solves |target + velocity * t - from| = speed * t for the
+ * earliest t > 0; aims straight at the target when it can't be caught.
+ * @param {Array<number>} from - Shooter [x, z]
+ * @param {Array<number>} target - Target [x, z]
+ * @param {Array<number>} velocity - Target velocity [x, z] in units per second
+ * @param {number} speed - Projectile speed in units per second
+ * @param {number} lead - 0 aims at the target, 1 fully leads; in between blends the aim point
+ * @returns {Array<number>} - Normalized [x, z], or [0, 0] when the target is at `from`
+ */
+export const getInterceptDirection = (from, target, velocity, speed, lead = 1) => {
+  const dx = target[0] - from[0];
+  const dz = target[1] - from[1];
+  const [vx, vz] = velocity;
+
+  // a t^2 + b t + c = 0
+  const a = vx * vx + vz * vz - speed * speed;
+  const b = 2 * (dx * vx + dz * vz);
+  const c = dx * dx + dz * dz;
+
+  let time = 0;
+  if (Math.abs(a) < 1e-6) {
+    // Target as fast as the projectile: linear equation
+    if (b < 0) time = -c / b;
+  } else {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant >= 0) {
+      const root = Math.sqrt(discriminant);
+      const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter((t) => t > 0);
+      if (times.length > 0) time = Math.min(...times);
+    }
+  }
+
+  const aimX = dx + vx * time * lead;
+  const aimZ = dz + vz * time * lead;
+  const length = Math.sqrt(aimX * aimX + aimZ * aimZ);
+  return length === 0 ? [0, 0] : [aimX / length, aimZ / length];
+};
@@ -0,0 +1,53 @@
+// Virtual joystick state shared between the on-screen TouchControls and the
+// player hooks. Stick values change on every touchmove, so they are kept in a
+// plain mutable object read from useFrame instead of an atom that would
+// re-render the player each time.
+const idleStick = () => ({ x: 0, y: 0, magnitude: 0 });
+
+export const touchSticks = {
+  move: idleStick(),
+  aim: idleStick(),
+  // True while the aim stick is pushed past AUTO_FIRE_THRESHOLD with auto-fire on
+  firing: false,
+};
+
+// How far the aim stick must be pushed before auto-fire starts
+export const AUTO_FIRE_THRESHOLD = 0.5;
+
+export const resetTouchSticks = () => {
+  touchSticks.move = idleStick();
+  touchSticks.aim = idleStick();
+  touchSticks.firing = false;
+};
+
+/**
+ * Offset of a touch from the joystick centre, as a vector capped at length 1
+ * @param {number} dx - Horizontal offset in pixels
+ * @param {number} dy - Vertical offset in pixels (down is positive)
+ * @param {number} radius - Pixels of travel for full deflection
+ * @returns {Object} - { x, y, magnitude }
+ */
+export const getStickVector = (dx, dy, radius) => {
+  const length = Math.hypot(dx, dy);
+  if (length === 0 || radius <= 0) return idleStick();
+
+  const magnitude = Math.min(length / radius, 1);
+  return { x: (dx / length) * magnitude, y: (dy / length) * magnitude, magnitude };
+};
+
+// Phones and tablets report a coarse primary pointer; touch laptops keep a fine one
+export const isTouchDevice = () => {
+  if (typeof window === 'undefined') return false;
+  return window.matchMedia?.('(pointer: coarse)').matches || false;
+};
+
+/**
+ * Whether to show the on-screen controls for a touch.mode setting
+ * @param {string} mode - 'auto', 'on' or 'off'
+ * @returns {boolean}
+ */
+export const shouldUseTouchControls = (mode) => {
+  if (mode === 'on') return true;
+  if (mode === 'off') return false;
+  return isTouchDevice();
+};
@@ -0,0 +1,245 @@
+// Wave mode: turning campaign data into a spawn schedule and spawn positions,
+// and stepping a run through its waves. Kept free of React so gameplay
+// (src/config/gameplay.js) steps it like the other rules and the math can be
+// checked on its own.
+import { waveLibrary } from '../data/waves';
+import { createEnemyData, getRegularEnemyTypes } from './enemyTypes';
+
+// Spawns stay this far inside the arena edge, where enemies count as gone
+const EDGE_MARGIN = 2;
+// Gap between enemies in a line, and spread of a corner burst
+const LINE_SPACING = 2;
+const CORNER_SPREAD = 3;
+
+/**
+ * Waves of a campaign with library references resolved
+ * @param {Object} campaign - Entry of campaigns
+ * @param {number} bossEvery - Add a boss to every Nth wave (campaign.bossEvery wins); 0 or null for none
+ * @returns {Array<Object>} - Wave objects with name, groups and intermission
+ */
+export const resolveCampaignWaves = (campaign, bossEvery = null) => {
+  const interval = campaign.bossEvery ?? bossEvery;
+
+  return campaign.waves.map((wave, index) => {
+    const definition = typeof wave === 'string' ? waveLibrary[wave] : wave;
+    const withBoss = interval > 0 && (index + 1) % interval === 0;
+    return {
+      name: `Wave ${index + 1}`,
+      ...definition,
+      intermission: definition.intermission ?? campaign.intermission,
+      groups: withBoss
+        ? [...definition.groups, { type: 'boss', count: 1, pattern: 'line', at: 0, delay: 0 }]
+        : definition.groups,
+    };
+  });
+};
+
+export const getWaveEnemyCount = (wave) => {
+  return wave.groups.reduce((total, group) => total + group.count, 0);
+};
+
+/**
+ * Every spawn of a wave in time order
+ * @param {Object} wave - Resolved wave
+ * @returns {Array<Object>} - { time (s into the wave), groupIndex, index (within the group) }
+ */
+export const buildWaveSchedule = (wave) => {
+  const spawns = [];
+  wave.groups.forEach((group, groupIndex) => {
+    for (let index = 0; index < group.count; index++) {
+      spawns.push({ time: (group.at || 0) + index * (group.delay || 0), groupIndex, index });
+    }
+  });
+  return spawns.sort((a, b) => a.time - b.time || a.groupIndex - b.groupIndex || a.index - b.index);
+};
+
+/**
+ * Pick the enemy type for a group
+ * @param {string} type - Enemy type id, or 'random', 'fastest', 'toughest' or 'boss'
+ * @param {Array<Object>} enemyTypes - The level's enemy types
+ * @param {Object} random - createRandom helpers
+ * @param {Object} bossType - Type 'boss' stands for (see getScheduledBossType)
+ * @returns {Object} - Enemy type; unknown ids (or 'boss' on a level without one) fall back
+ *   to a random regular type so waves work on any level
+ */
+export const resolveWaveEnemyType = (type, enemyTypes, random, bossType = null) => {
+  const byId = enemyTypes.find((enemyType) => enemyType.id === type);
+  if (byId) return byId;
+  if (type === 'boss' && bossType) return bossType;
+
+  const regular = getRegularEnemyTypes(enemyTypes);
+  if (type === 'fastest') return regular.reduce((best, t) => (t.speed > best.speed ? t : best));
+  if (type === 'toughest') return regular.reduce((best, t) => (t.health > best.health ? t : best));
+  return random.pick(regular);
+};
+
+const clampToArena = (value, worldSize) => {
+  const limit = worldSize - EDGE_MARGIN;
+  return Math.max(-limit, Math.min(limit, value));
+};
+
+/**
+ * Ground positions for a group, laid out in its pattern
+ * - ring: evenly around the player at spawnRadius
+ * - line: a row facing the player, spawnRadius away on a random side
+ * - corner: a burst in one corner of the arena
+ * @param {string} pattern - Entry of spawnPatterns
+ * @param {Object} options - { count, center ([x, y, z] player position), spawnRadius, worldSize, random }
+ * @returns {Array<Array<number>>} - [x, z] per enemy
+ */
+export const getSpawnPattern = (pattern, { count, center, spawnRadius, worldSize, random }) => {
+  const [cx, , cz] = center;
+  let points;
+
+  if (pattern === 'line') {
+    const angle = random.range(0, Math.PI * 2);
+    const midX = cx + Math.sin(angle) * spawnRadius;
+    const midZ = cz + Math.cos(angle) * spawnRadius;
+    // Spread along the perpendicular, so the line faces the player
+    points = Array.from({ length: count }, (_, i) => {
+      const offset = (i - (count - 1) / 2) * LINE_SPACING;
+      return [midX + Math.cos(angle) * offset, midZ - Math.sin(angle) * offset];
+    });
+  } else if (pattern === 'corner') {
+    const [signX, signZ] = random.pick([[1, 1], [1, -1], [-1, 1], [-1, -1]]);
+    const cornerX = signX * (worldSize - EDGE_MARGIN - CORNER_SPREAD);
+    const cornerZ = signZ * (worldSize - EDGE_MARGIN - CORNER_SPREAD);
+    points = Array.from({ length: count }, () => [
+      cornerX + random.range(-CORNER_SPREAD, CORNER_SPREAD),
+      cornerZ + random.range(-CORNER_SPREAD, CORNER_SPREAD),
+    ]);
+  } else {
+    const start = random.range(0, Math.PI * 2);
+    points = Array.from({ length: count }, (_, i) => {
+      const angle = start + (i / count) * Math.PI * 2;
+      return [cx + Math.sin(angle) * spawnRadius, cz + Math.cos(angle) * spawnRadius];
+    });
+  }
+
+  return points.map(([x, z]) => [clampToArena(x, worldSize), clampToArena(z, worldSize)]);
+};
+
+/**
+ * Start a campaign run in the first wave's intermission
+ * @param {Object} campaign - Entry of campaigns
+ * @param {number} bossEvery - See resolveCampaignWaves
+ * @returns {Object} - Run state for stepWaveRun
+ */
+export const createWaveRun = (campaign, bossEvery = null) => {
+  const waves = resolveCampaignWaves(campaign, bossEvery);
+  return {
+    waves,
+    wave: 0,
+    phase: 'intermission',
+    timer: waves[0].intermission,
+    schedule: [],
+    next: 0,
+    // The whole group is laid out (and its type picked) when its first enemy spawns
+    groupPoints: {},
+    groupTypes: {},
+    // Last progress report, replaced only when something in it changes
+    progress: null,
+    progressKey: null,
+  };
+};
+
+const report = (run, progress) => {
+  const key = JSON.stringify(progress);
+  if (key === run.progressKey) return run.progress;
+  run.progressKey = key;
+  run.progress = progress;
+  return progress;
+};
+
+const startWave = (run) => {
+  run.phase = 'active';
+  run.timer = 0;
+  run.schedule = buildWaveSchedule(run.waves[run.wave]);
+  run.next = 0;
+  run.groupPoints = {};
+  run.groupTypes = {};
+};
+
+/**
+ * One step of a campaign: count down the intermission, spawn the wave's
+ * groups on their schedule and patterns, and move on once every enemy of the
+ * wave is dead
+ * @param {Object} run - createWaveRun result
+ * @param {Object} options - { delta, enemies (world pool), random (createGameRandom result), playerPosition,
+ *   enemyTypes, bossType, maxOnScreen, spawnRadius, worldSize }
+ * @returns {Object} - Progress, the same object until it changes: { wave (index), totalWaves, name,
+ *   phase ('intermission' | 'active' | 'complete'), enemyCount, remaining, countdown (whole seconds) }
+ */
+export const stepWaveRun = (run, {
+  delta,
+  enemies,
+  random,
+  playerPosition,
+  enemyTypes,
+  bossType = null,
+  maxOnScreen,
+  spawnRadius,
+  worldSize,
+}) => {
+  const wave = run.waves[run.wave];
+  const enemyCount = getWaveEnemyCount(wave);
+  const base = { wave: run.wave, totalWaves: run.waves.length, name: wave.name, enemyCount };
+
+  if (run.phase === 'complete') return run.progress;
+
+  if (run.phase === 'intermission') {
+    run.timer -= delta;
+    const progress = report(run, {
+      ...base,
+      phase: 'intermission',
+      remaining: enemyCount,
+      countdown: Math.ceil(Math.max(run.timer, 0)),
+    });
+    if (run.timer <= 0) startWave(run);
+    return progress;
+  }
+
+  run.timer += delta;
+
+  const spawn = ({ groupIndex, index }) => {
+    const group = wave.groups[groupIndex];
+    const stream = random.stream('waves');
+    if (!run.groupPoints[groupIndex]) {
+      run.groupTypes[groupIndex] = resolveWaveEnemyType(group.type, enemyTypes, stream, bossType);
+      run.groupPoints[groupIndex] = getSpawnPattern(group.pattern, {
+        count: group.count,
+        center: playerPosition,
+        spawnRadius,
+        worldSize,
+        random: stream,
+      });
+    }
+    const [x, z] = run.groupPoints[groupIndex][index];
+    enemies.spawn(createEnemyData(run.groupTypes[groupIndex], [x, 0.5, z], { wave: run.wave }));
+  };
+
+  while (
+    run.next < run.schedule.length &&
+    run.schedule[run.next].time <= run.timer &&
+    enemies.countActive() < maxOnScreen
+  ) {
+    spawn(run.schedule[run.next]);
+    run.next += 1;
+  }
+
+  const alive = enemies.countActive((enemy) => enemy.wave === run.wave);
+  const unspawned = run.schedule.length - run.next;
+  if (alive > 0 || unspawned > 0) {
+    return report(run, { ...base, phase: 'active', remaining: alive + unspawned, countdown: 0 });
+  }
+
+  if (run.wave + 1 < run.waves.length) {
+    run.wave += 1;
+    run.phase = 'intermission';
+    run.timer = run.waves[run.wave].intermission;
+    return report(run, { ...base, phase: 'active', remaining: 0, countdown: 0 });
+  }
+
+  run.phase = 'complete';
+  return report(run, { ...base, phase: 'complete', remaining: 0, countdown: 0 });
+};
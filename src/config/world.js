@@ -0,0 +1,253 @@
+// Entity store. Enemies and projectiles live here as plain mutable objects
+// instead of in jotai atoms: gameplay code spawns, moves, damages and removes
+// them in place, so positions and health have one source of truth. React only
+// hears about it through subscribe, at most once per game step (the run
+// flushes at the end of each, see gameplay.js), and only rebuilds its entity
+// lists when entities came or went.
+import { getGameTime } from './gameClock';
+import { gameConfig } from './gameConfig';
+
+// What a full pool does with another spawn
+// - fixed: drops it
+// - grow: doubles its capacity, up to maxCapacity (null for no limit), then drops
+// - recycle: removes the oldest entity to make room
+export const poolPolicies = ['fixed', 'grow', 'recycle'];
+// Pools whose entities can be removed without consequence. Recycling an enemy
+// would take it out without a kill, leaving a boss fight or a wave unfinished.
+export const recyclablePools = ['projectiles', 'enemyProjectiles'];
+
+/**
+ * Pool of one kind of entity. Removed entities free their slot for the next
+ * spawn; an entity's id is never reused, so a stale reference can't touch
+ * whatever took its slot.
+ * @param {string} prefix - Id prefix, e.g. 'enemy'
+ * @param {Object} options - { policy (see poolPolicies), capacity: most entities active at once
+ *   (Infinity never fills), maxCapacity: limit for 'grow' (null for none), now: game time source in ms for createdAt }
+ * @returns {Object} - Pool with spawn/despawn, lookups, usage metrics and a React-facing subscribe/snapshot
+ */
+export const createEntityPool = (prefix, { policy = 'fixed', capacity = Infinity, maxCapacity = null, now = getGameTime } = {}) => {
+  let settings = { policy, capacity, maxCapacity };
+  // Settings from configure(), applied by the next clear
+  let nextSettings = settings;
+  let limit = capacity;
+  let metrics = null;
+  let slots = [];
+  // Insertion order is spawn order, so the first entry is the oldest
+  const byId = new Map();
+  let nextId = 0;
+  // Active entities as of the last flush; what React renders from
+  let snapshot = [];
+  let version = 0;
+  let membershipChanged = false;
+  let touched = false;
+  const listeners = new Set();
+
+  const resetMetrics = () => {
+    metrics = { spawned: 0, peak: 0, dropped: 0, recycled: 0, grown: 0 };
+  };
+  resetMetrics();
+
+  // Slot for a spawn when every slot is taken, or -1 to drop it
+  const makeRoom = () => {
+    if (settings.policy === 'grow' && (settings.maxCapacity === null || limit < settings.maxCapacity)) {
+      limit = Math.min(limit * 2, settings.maxCapacity ?? Infinity);
+      metrics.grown += 1;
+      return slots.length;
+    }
+    if (settings.policy === 'recycle' && byId.size > 0) {
+      const oldest = byId.values().next().value;
+      pool.despawn(oldest.id);
+      metrics.recycled += 1;
+      return slots.indexOf(oldest);
+    }
+    return -1;
+  };
+
+  const pool = {
+    /**
+     * Activate an entity in a free slot, making room by the pool's policy when full
+     * @param {Object} data - Entity fields (position, type, ...)
+     * @returns {Object|null} - The entity, or null when it was dropped
+     */
+    spawn(data) {
+      let slot = slots.findIndex((entity) => !entity.active);
+      if (slot === -1) slot = slots.length < limit ? slots.length : makeRoom();
+      if (slot === -1) {
+        metrics.dropped += 1;
+        // Drops change nothing else, but the debug overlay shows them
+        touched = true;
+        return null;
+      }
+
+      const entity = {
+        ...data,
+        id: `${prefix}-${slot}-${nextId}`,
+        createdAt: now(),
+        active: true,
+      };
+      nextId += 1;
+      slots[slot] = entity;
+      byId.set(entity.id, entity);
+      membershipChanged = true;
+      metrics.spawned += 1;
+      metrics.peak = Math.max(metrics.peak, byId.size);
+      return entity;
+    },
+
+    /**
+     * Remove an entity, freeing its slot
+     * @returns {boolean} - False if it was already gone, so a hit or kill only counts once
+     */
+    despawn(id) {
+      const entity = byId.get(id);
+      if (!entity) return false;
+      entity.active = false;
+      byId.delete(id);
+      membershipChanged = true;
+      return true;
+    },
+
+    // Active entity by id, or null once it's gone
+    get: (id) => byId.get(id) || null,
+
+    forEachActive(callback) {
+      byId.forEach((entity) => callback(entity));
+    },
+
+    countActive(predicate = null) {
+      if (!predicate) return byId.size;
+      let count = 0;
+      byId.forEach((entity) => {
+        if (predicate(entity)) count += 1;
+      });
+      return count;
+    },
+
+    find(predicate) {
+      for (const entity of byId.values()) {
+        if (predicate(entity)) return entity;
+      }
+      return null;
+    },
+
+    // Flag an in-place change React shows (e.g. health), without a new snapshot
+    touch() {
+      touched = true;
+    },
+
+    /**
+     * Usage since the last clear, for tuning pool settings
+     * @returns {Object} - { policy, active, capacity (current, Infinity when unbounded), maxCapacity,
+     *   peak (most active at once), spawned, dropped, recycled, grown (times the capacity doubled) }
+     */
+    getMetrics: () => ({
+      policy: settings.policy,
+      active: byId.size,
+      capacity: limit,
+      maxCapacity: settings.maxCapacity,
+      ...metrics,
+    }),
+
+    // Active entities as of the last flush; the same array until entities come or go
+    getActive: () => snapshot,
+    // Bumped on every flush that had changes, including touch()
+    getVersion: () => version,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Publish this step's changes to subscribers
+    flush() {
+      if (!membershipChanged && !touched) return;
+      if (membershipChanged) snapshot = slots.filter((entity) => entity.active);
+      membershipChanged = false;
+      touched = false;
+      version += 1;
+      listeners.forEach((listener) => listener());
+    },
+
+    // Drop every entity and start the metrics over, e.g. for a new run
+    clear() {
+      slots = [];
+      byId.clear();
+      nextId = 0;
+      settings = nextSettings;
+      limit = settings.capacity;
+      resetMetrics();
+      membershipChanged = true;
+      pool.flush();
+    },
+
+    /**
+     * Switch to other pool settings, e.g. a level's. Takes effect from the next clear.
+     * @param {Object} options - { policy, capacity, maxCapacity }, any subset
+     */
+    configure(options) {
+      nextSettings = { ...nextSettings, ...options };
+    },
+  };
+
+  return pool;
+};
+
+/**
+ * Create a world. The app uses the shared `world`; separate instances are
+ * handy for tests and headless runs.
+ * @param {Object} options - { now: game time source in ms, e.g. a separate clock's now;
+ *   pools: pool settings by pool name, as in gameConfig.pools }
+ * @returns {Object} - { enemies, projectiles, enemyProjectiles, damageEnemy, getMetrics, flush, reset }
+ */
+export const createWorld = ({ now = getGameTime, pools: poolSettings = gameConfig.pools } = {}) => {
+  const enemies = createEntityPool('enemy', { ...poolSettings.enemies, now });
+  const projectiles = createEntityPool('proj', { ...poolSettings.projectiles, now });
+  // Bullets fired by enemies (ranged enemies, boss bursts)
+  const enemyProjectiles = createEntityPool('enemy-proj', { ...poolSettings.enemyProjectiles, now });
+  const pools = { enemies, projectiles, enemyProjectiles };
+
+  return {
+    enemies,
+    projectiles,
+    enemyProjectiles,
+
+    /**
+     * Take health off an enemy, removing it at 0
+     * @returns {Object|null} - { enemy, killed }, or null if it was already gone
+     */
+    damageEnemy(id, damage) {
+      const enemy = enemies.get(id);
+      if (!enemy) return null;
+
+      enemy.health -= damage;
+      if (enemy.health <= 0) {
+        enemies.despawn(id);
+        return { enemy, killed: true };
+      }
+      enemies.touch();
+      return { enemy, killed: false };
+    },
+
+    // Every pool's getMetrics, by pool name
+    getMetrics() {
+      return Object.fromEntries(Object.entries(pools).map(([name, pool]) => [name, pool.getMetrics()]));
+    },
+
+    flush() {
+      Object.values(pools).forEach((pool) => pool.flush());
+    },
+
+    /**
+     * Clear every pool
+     * @param {Object} settings - New pool settings by pool name (e.g. the level's gameConfig.pools)
+     */
+    reset(settings = null) {
+      Object.entries(pools).forEach(([name, pool]) => {
+        if (settings?.[name]) pool.configure(settings[name]);
+        pool.clear();
+      });
+    },
+  };
+};
+
+export const world = createWorld();
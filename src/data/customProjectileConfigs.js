@@ -1,51 +1,174 @@
 
-import { projectileTypes } from './projectileTypes.js';
+import { projectileTypes, getDefaultProjectileType } from './projectileTypes.js';
 
+// The bundled weapon and difficulty tables. gameConfig carries them as
+// `weapons` and `difficultyPresets`, where a level can retune them, so the
+// helpers below take the active game config and only fall back to these.
+
+// reserveAmmo: null means an unlimited reserve
 export const weaponLoadouts = {
   basic: {
     name: 'Basic Weapon',
-    projectileType: 'bullet',
+    projectileType: 'default',
     fireRate: 2, // shots per second
+    magazineSize: 12,
+    reloadTime: 1200, // ms
+    reserveAmmo: null,
     description: 'Standard starting weapon'
   },
 
+  scattergun: {
+    name: 'Scattergun',
+    projectileType: 'spread',
+    fireRate: 1.2,
+    magazineSize: 6,
+    reloadTime: 1800,
+    reserveAmmo: 36,
+    description: 'Close-range cone of pellets'
+  },
+
+  railgun: {
+    name: 'Railgun',
+    projectileType: 'rail',
+    fireRate: 0.8,
+    magazineSize: 4,
+    reloadTime: 2200,
+    reserveAmmo: 20,
+    description: 'Slow-firing slug that pierces a whole line'
+  },
+
+  launcher: {
+    name: 'Missile Launcher',
+    projectileType: 'homing',
+    fireRate: 1.5,
+    magazineSize: 8,
+    reloadTime: 2000,
+    reserveAmmo: 32,
+    description: 'Self-guided missiles'
+  },
+
+  grenadeLauncher: {
+    name: 'Grenade Launcher',
+    projectileType: 'grenade',
+    fireRate: 1,
+    magazineSize: 3,
+    reloadTime: 2500,
+    reserveAmmo: 15,
+    description: 'Area damage on impact'
+  },
+
 };
 
+// Difficulty presets. Projectile stats use damageMultiplier/speedMultiplier, enemy
+// stats and damage taken use the enemy*/player* multipliers, and `settings`
+// overrides SettingsScreen sliders (keyed like settingsConfig) when the preset is picked.
 export const difficultyModifiers = {
   easy: {
+    label: 'Easy',
     damageMultiplier: 1.5,
     speedMultiplier: 1.2,
-    description: 'Increased damage and speed for easier gameplay'
+    enemyHealthMultiplier: 0.75,
+    enemyDamageMultiplier: 0.75,
+    playerDamageTakenMultiplier: 0.75,
+    settings: {
+      enemies: { speedMultiplier: 0.8, spawnRate: 0.7, maxCount: 10 },
+      difficulty: { multiplier: 0.8 },
+    },
+    description: 'Weaker, slower enemies and stronger projectiles'
   },
-  
+
   normal: {
+    label: 'Normal',
     damageMultiplier: 1.0,
     speedMultiplier: 1.0,
-    description: 'Standard projectile stats'
+    enemyHealthMultiplier: 1.0,
+    enemyDamageMultiplier: 1.0,
+    playerDamageTakenMultiplier: 1.0,
+    settings: {
+      enemies: { speedMultiplier: 1.0, spawnRate: 1.0, maxCount: 15 },
+      difficulty: { multiplier: 1.0 },
+    },
+    description: 'The intended balance'
   },
-  
+
   hard: {
+    label: 'Hard',
     damageMultiplier: 0.8,
     speedMultiplier: 0.9,
-    description: 'Reduced damage and speed for challenge'
+    enemyHealthMultiplier: 1.5,
+    enemyDamageMultiplier: 1.25,
+    playerDamageTakenMultiplier: 1.25,
+    settings: {
+      enemies: { speedMultiplier: 1.3, spawnRate: 1.5, maxCount: 25 },
+      difficulty: { multiplier: 1.3 },
+    },
+    description: 'Tougher, faster hordes and weaker projectiles'
   }
 };
 
-export const createProjectileConfig = (typeId, loadout = 'basic', difficulty = 'normal') => {
+// Stand-in for a game config when a helper is called without one
+const bundledTables = { weapons: weaponLoadouts, difficultyPresets: difficultyModifiers };
+
+export const getDifficultyModifier = (difficulty, config = bundledTables) => {
+  const presets = config.difficultyPresets;
+  return presets[difficulty] || presets.normal;
+};
+
+// Whether any preset overrides this setting, so changing it by hand makes the difficulty "Custom"
+export const isDifficultyPresetSetting = (category, key, config = bundledTables) => {
+  return Object.values(config.difficultyPresets).some(preset => preset.settings?.[category]?.[key] !== undefined);
+};
+
+// Scale an entry of gameConfig.enemies.types by a difficulty preset
+export const applyDifficultyToEnemyType = (enemyType, difficulty = 'normal', config = bundledTables) => {
+  const modifier = getDifficultyModifier(difficulty, config);
+  return {
+    ...enemyType,
+    health: Math.round(enemyType.health * modifier.enemyHealthMultiplier),
+    damage: enemyType.damage * modifier.enemyDamageMultiplier,
+    ...(enemyType.ranged && {
+      ranged: {
+        ...enemyType.ranged,
+        projectileDamage: enemyType.ranged.projectileDamage * modifier.enemyDamageMultiplier,
+      },
+    }),
+  };
+};
+
+// Find the loadout that fires the given projectile type, falling back to the basic weapon
+export const getLoadoutIdForProjectileType = (typeId, config = bundledTables) => {
+  const match = Object.keys(config.weapons).find(id => config.weapons[id].projectileType === typeId);
+  return match || 'basic';
+};
+
+// Full magazines and starting reserves for every loadout
+export const createInitialAmmo = (config = bundledTables) => {
+  return Object.entries(config.weapons).reduce((acc, [id, loadout]) => {
+    acc[id] = { magazine: loadout.magazineSize, reserve: loadout.reserveAmmo };
+    return acc;
+  }, {});
+};
+
+export const createProjectileConfig = (typeId, loadout = 'basic', difficulty = 'normal', config = bundledTables) => {
   const baseType = projectileTypes.find(t => t.id === typeId);
-  const weaponConfig = weaponLoadouts[loadout];
-  const difficultyMod = difficultyModifiers[difficulty];
-  
+  const weaponConfig = config.weapons[loadout] || config.weapons.basic;
+  const difficultyMod = getDifficultyModifier(difficulty, config);
+
   if (!baseType) {
-    console.warn(`Projectile type '${typeId}' not found, using bullet`);
-    return createProjectileConfig('bullet', loadout, difficulty);
+    const fallbackId = getDefaultProjectileType().id;
+    console.warn(`Projectile type '${typeId}' not found, using ${fallbackId}`);
+    return createProjectileConfig(fallbackId, loadout, difficulty, config);
   }
-  
+
   return {
     ...baseType,
     damage: Math.round(baseType.damage * difficultyMod.damageMultiplier),
     speed: baseType.speed * difficultyMod.speedMultiplier,
     fireRate: weaponConfig.fireRate,
+    magazineSize: weaponConfig.magazineSize,
+    reloadTime: weaponConfig.reloadTime,
+    reserveAmmo: weaponConfig.reserveAmmo,
+    loadoutId: config.weapons[loadout] ? loadout : 'basic',
     weaponName: weaponConfig.name
   };
 };
@@ -0,0 +1,14 @@
+import spaceShooter from './spaceShooter.json';
+import zombieSurvival from './zombieSurvival.json';
+
+// Game definitions bundled with the build. Each is a partial config merged over
+// gameConfig by createCustomConfig, so it only lists what it changes.
+export const builtInLevels = [
+  { id: 'classic', name: 'Classic' },
+  spaceShooter,
+  zombieSurvival,
+];
+
+export const getBuiltInLevel = (id) => {
+  return builtInLevels.find(level => level.id === id) || null;
+};
@@ -0,0 +1,8 @@
+// Kinds of arena obstacle a level can place in world.obstacles. Boxes take a
+// `size: [width, depth]`, cylinders a `radius`; `height` and `color` can be
+// overridden per obstacle.
+export const obstacleKinds = {
+  wall: { shape: 'box', height: 2.5, color: '#5F6368' },
+  pillar: { shape: 'cylinder', height: 4, color: '#9AA0A6' },
+  crate: { shape: 'box', height: 1.2, color: '#8D6E63' },
+};
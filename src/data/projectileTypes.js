@@ -1,3 +1,10 @@
+// Flight/hit behaviors implemented by stepProjectile (src/config/projectileFlight.js)
+export const projectileBehaviors = ['straight', 'pierce', 'homing', 'explosive'];
+
+// 'instanced' draws every projectile of the type as a sphere through one shared
+// mesh, for types fired in large numbers; 'mesh' (the default) gives each its own
+export const projectileRenderModes = ['mesh', 'instanced'];
+
 export const projectileTypes = [
   {
     id: 'default',
@@ -9,7 +16,68 @@ export const projectileTypes = [
     emissiveIntensity: 0.5,
     mass: 0.1,
     lifetime: 5000, // 5 seconds
+    behavior: 'straight',
+    render: 'instanced',
     description: 'Standard projectile'
+  },
+  {
+    id: 'spread',
+    name: 'Spread Shot',
+    size: 0.18,
+    speed: 18,
+    damage: 12,
+    color: '#ff9800',
+    emissiveIntensity: 0.6,
+    mass: 0.05,
+    lifetime: 700,
+    behavior: 'straight',
+    pellets: 5,
+    spreadAngle: Math.PI / 6, // total cone width in radians
+    render: 'instanced',
+    description: 'Short-range cone of pellets'
+  },
+  {
+    id: 'rail',
+    name: 'Piercing Rail',
+    size: 0.12,
+    speed: 40,
+    damage: 45,
+    color: '#00e5ff',
+    emissiveIntensity: 1.2,
+    mass: 0.05,
+    lifetime: 1500,
+    behavior: 'pierce',
+    pierce: 4, // enemies passed through before the slug is spent
+    description: 'High-velocity slug that passes through enemies'
+  },
+  {
+    id: 'homing',
+    name: 'Homing Missile',
+    size: 0.25,
+    speed: 10,
+    damage: 40,
+    color: '#e040fb',
+    emissiveIntensity: 0.8,
+    mass: 0.2,
+    lifetime: 4000,
+    behavior: 'homing',
+    turnRate: 3, // radians per second
+    homingRange: 15, // only enemies this close are chased
+    description: 'Slow missile that steers toward the nearest enemy'
+  },
+  {
+    id: 'grenade',
+    name: 'Explosive Grenade',
+    size: 0.35,
+    speed: 9,
+    damage: 60,
+    color: '#76ff03',
+    emissiveIntensity: 0.4,
+    mass: 0.4,
+    lifetime: 1200,
+    behavior: 'explosive',
+    blastRadius: 4,
+    description: 'Detonates on impact or when the fuse runs out, damaging everything nearby'
   }
 ];
 
@@ -18,9 +86,20 @@ export const getDefaultProjectileType = () => {
 };
 
 export const getProjectileType = (id) => {
-  return projectileTypes.find(type => type.id === id) || getDefaultProjectileType();
+  const type = projectileTypes.find(type => type.id === id);
+  if (!type && id !== undefined) {
+    console.warn(`Projectile type '${id}' not found, using ${getDefaultProjectileType().id}`);
+  }
+  return type || getDefaultProjectileType();
 };
 
 export const getProjectileTypeIds = () => {
   return projectileTypes.map(type => type.id);
 };
+
+// Cycle through the arsenal in declaration order, wrapping at both ends
+export const getAdjacentProjectileTypeId = (id, step) => {
+  const ids = getProjectileTypeIds();
+  const index = Math.max(ids.indexOf(id), 0);
+  return ids[(index + step + ids.length) % ids.length];
+};
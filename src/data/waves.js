@@ -0,0 +1,100 @@
+// Spawn patterns implemented by getSpawnPattern (src/config/waves.js)
+export const spawnPatterns = ['ring', 'line', 'corner'];
+
+// Enemy picks that work on any level, resolved against its enemy types
+export const waveEnemySelectors = ['random', 'fastest', 'toughest', 'boss'];
+
+// Reusable waves, referenced by id from campaigns. Each group spawns `count`
+// enemies of `type` (an enemy type id or a waveEnemySelectors entry) in a
+// `pattern`, starting `at` seconds into the wave with `delay` seconds between
+// spawns. A wave is cleared once every enemy in it is dead.
+export const waveLibrary = {
+  opening: {
+    name: 'First Contact',
+    groups: [
+      { type: 'random', count: 6, pattern: 'ring', at: 0, delay: 0.5 },
+    ],
+  },
+  pincer: {
+    name: 'Pincer',
+    groups: [
+      { type: 'fastest', count: 5, pattern: 'line', at: 0, delay: 0.2 },
+      { type: 'fastest', count: 5, pattern: 'line', at: 3, delay: 0.2 },
+    ],
+  },
+  heavyCorner: {
+    name: 'Heavy Corner',
+    groups: [
+      { type: 'toughest', count: 4, pattern: 'corner', at: 0, delay: 0.4 },
+      { type: 'random', count: 6, pattern: 'ring', at: 4, delay: 0.3 },
+    ],
+  },
+  encirclement: {
+    name: 'Encirclement',
+    groups: [
+      { type: 'fastest', count: 12, pattern: 'ring', at: 0, delay: 0 },
+    ],
+  },
+  onslaught: {
+    name: 'Onslaught',
+    groups: [
+      { type: 'toughest', count: 6, pattern: 'corner', at: 0, delay: 0.3 },
+      { type: 'fastest', count: 8, pattern: 'line', at: 2, delay: 0.15 },
+      { type: 'random', count: 10, pattern: 'ring', at: 6, delay: 0.2 },
+    ],
+  },
+};
+
+// Waves chained into campaigns, picked on the start screen next to Endless.
+// `waves` entries are waveLibrary ids or inline wave objects; `intermission`
+// is the countdown in seconds before each wave (a wave's own value wins);
+// `bossEvery` overrides the config's bossSchedule.everyWaves.
+export const campaigns = {
+  skirmish: {
+    label: 'Skirmish',
+    description: 'Five short waves to warm up',
+    intermission: 5,
+    waves: ['opening', 'pincer', 'heavyCorner', 'encirclement', 'onslaught'],
+  },
+  siege: {
+    label: 'Siege',
+    description: 'Eight waves that keep getting bigger',
+    intermission: 6,
+    waves: [
+      'opening',
+      'pincer',
+      'heavyCorner',
+      'encirclement',
+      {
+        name: 'Crossfire',
+        groups: [
+          { type: 'random', count: 8, pattern: 'line', at: 0, delay: 0.2 },
+          { type: 'random', count: 8, pattern: 'line', at: 1, delay: 0.2 },
+        ],
+      },
+      'onslaught',
+      {
+        name: 'Tank Column',
+        intermission: 8,
+        groups: [
+          { type: 'toughest', count: 10, pattern: 'line', at: 0, delay: 0.5 },
+          { type: 'fastest', count: 6, pattern: 'corner', at: 3, delay: 0.2 },
+        ],
+      },
+      {
+        name: 'Last Stand',
+        intermission: 10,
+        groups: [
+          { type: 'fastest', count: 12, pattern: 'ring', at: 0, delay: 0 },
+          { type: 'toughest', count: 8, pattern: 'corner', at: 4, delay: 0.3 },
+          { type: 'random', count: 16, pattern: 'ring', at: 10, delay: 0.2 },
+        ],
+      },
+    ],
+  },
+};
+
+// Game modes offered on the start screen: the original continuous spawner plus every campaign
+export const ENDLESS_MODE = 'endless';
+
+export const getCampaign = (id) => campaigns[id] || null;
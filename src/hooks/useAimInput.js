@@ -0,0 +1,65 @@
+import { useRef } from "react";
+import { useAtom } from "jotai";
+import * as THREE from "three";
+import { settingAtoms } from "../config/atoms";
+import { useMouseControls } from "../hooks/useMouseControls";
+import { useGamepad } from "../hooks/useGamepad";
+import { touchSticks } from "../config/touchInput";
+
+// How far ahead of the player the aim point sits when aiming with a stick
+export const STICK_AIM_DISTANCE = 6;
+
+/**
+ * Live aim from the mouse or an aim stick (touch joystick or gamepad right
+ * stick), whichever moved last.
+ * The mouse is raycast onto the ground plane at the player's height, so the
+ * player always faces the point under the cursor.
+ * @param {Object} position - Ref to the player's live [x, y, z]
+ * @returns {Object} - { aimPoint (ref to the THREE.Vector3 being aimed at), readAim(delta) -> angle or null to keep facing }
+ */
+export const useAimInput = (position) => {
+  const { pointer, getGroundPoint } = useMouseControls();
+  const { sticks } = useGamepad();
+  const [aimSensitivity] = useAtom(settingAtoms.gamepad.aimSensitivity);
+
+  const aimPoint = useRef(new THREE.Vector3());
+  const lastMouseMoves = useRef(0);
+  const usingStick = useRef(false);
+  const stickAngle = useRef(null);
+
+  const readAim = (delta) => {
+    const [px, py, pz] = position.current;
+    const aim = touchSticks.aim.magnitude > 0 ? touchSticks.aim : sticks.current.aim;
+    const mouseMoved = pointer.current.moves !== lastMouseMoves.current;
+    lastMouseMoves.current = pointer.current.moves;
+
+    if (mouseMoved) usingStick.current = false;
+    else if (aim.magnitude > 0) usingStick.current = true;
+
+    if (usingStick.current) {
+      let angle;
+      if (aim.magnitude === 0 && stickAngle.current !== null) {
+        angle = stickAngle.current;
+      } else {
+        // Ease toward the stick so small wobbles don't jitter the aim
+        const target = Math.atan2(aim.x, aim.y);
+        const current = stickAngle.current ?? target;
+        const diff = Math.atan2(Math.sin(target - current), Math.cos(target - current));
+        angle = current + diff * Math.min(aimSensitivity * delta, 1);
+      }
+      stickAngle.current = angle;
+      aimPoint.current.set(
+        px + Math.sin(angle) * STICK_AIM_DISTANCE,
+        py,
+        pz + Math.cos(angle) * STICK_AIM_DISTANCE
+      );
+      return angle;
+    }
+
+    stickAngle.current = null;
+    if (!lastMouseMoves.current || !getGroundPoint(py, aimPoint.current)) return null;
+    return Math.atan2(aimPoint.current.x - px, aimPoint.current.z - pz);
+  };
+
+  return { aimPoint, readAim };
+};
@@ -0,0 +1,17 @@
+import { useFrame } from "@react-three/fiber";
+
+/**
+ * Keep a kinematic body on its world entity. Gameplay moves the entity in
+ * place each game step; this only copies where it is to the body every frame.
+ * @param {Object} api - Cannon.js body API (from use-cannon)
+ * @param {Object} entity - World entity with a live position [x, y, z]
+ * @param {Function} getYaw - Optional entity -> rotation around y in radians, or undefined to leave it
+ */
+export const useEntityBody = (api, entity, getYaw = null) => {
+  useFrame(() => {
+    const [x, y, z] = entity.position;
+    api.position.set(x, y, z);
+    const yaw = getYaw?.(entity);
+    if (yaw !== undefined && yaw !== null) api.rotation.set(0, yaw, 0);
+  });
+};
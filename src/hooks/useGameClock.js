@@ -0,0 +1,51 @@
+import { useEffect, useRef } from "react";
+import { useAtom } from "jotai";
+import { useFrame } from "@react-three/fiber";
+import { gameStateAtom, settingAtoms, replayControlsAtom } from "../config/atoms";
+import { gameClock } from "../config/gameClock";
+
+/**
+ * Advance the shared game clock once per frame, before any other frame
+ * callbacks, and keep it paused outside "playing" and scaled by the game speed
+ * setting (and the replay speed while watching a replay). Mount exactly once,
+ * inside the Canvas.
+ */
+export const useGameClockDriver = () => {
+  const [gameState] = useAtom(gameStateAtom);
+  const [gameSpeed] = useAtom(settingAtoms.difficulty.gameSpeed);
+  const [replayControls] = useAtom(replayControlsAtom);
+  const { paused: replayPaused, speed: replaySpeed, seekStep } = replayControls;
+
+  useEffect(() => {
+    if (gameState === "playing" && !replayPaused) gameClock.resume();
+    else gameClock.pause();
+  }, [gameState, replayPaused]);
+
+  useEffect(() => {
+    gameClock.setTimeScale(gameSpeed * replaySpeed);
+  }, [gameSpeed, replaySpeed]);
+
+  // Negative priority runs before the default (0) callbacks without taking over rendering
+  useFrame((state, delta) => {
+    const remaining = seekStep === null ? 0 : seekStep - gameClock.getStep();
+    if (remaining > 0 && gameState === "playing") gameClock.runSteps(remaining, state);
+    else gameClock.tick(delta, state);
+  }, -1);
+};
+
+/**
+ * Run gameplay code on the game clock's fixed steps instead of every frame.
+ * The callback runs zero or more times per frame with a constant delta, and
+ * not at all while paused.
+ * @param {Function} callback - (state, delta in game seconds)
+ * @param {number} priority - Lower runs first within a step; input sampling uses -1
+ */
+export const useGameFrame = (callback, priority = 0) => {
+  // Always call the latest callback without resubscribing every render
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    return gameClock.onStep((state, delta) => callbackRef.current(state, delta), priority);
+  }, [priority]);
+};
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAtom } from 'jotai';
+import { applyGameConfigAtom, configErrorsAtom, gameConfigAtom } from '../config/atoms';
+import { buildGameConfig, loadGameConfig } from '../config/configLoader';
+import { ConfigValidationError } from '../config/configValidation';
+import { readRunFromUrl } from '../config/random';
+import { getBuiltInLevel } from '../data/levels';
+import { getEnemyComponentIds } from '../components/enemies/enemyComponents';
+
+const validationOptions = { enemyComponentIds: getEnemyComponentIds() };
+
+/**
+ * Load game/level definitions into gameConfigAtom
+ * Also loads `?level=<built-in id or URL>` from the page URL on mount (the daily
+ * challenge's level for a daily seed, see readRunFromUrl)
+ *
+ * @returns {Object} - Active config plus load functions and loading/error state
+ */
+export const useGameConfigLoader = () => {
+  const [config] = useAtom(gameConfigAtom);
+  const [, applyGameConfig] = useAtom(applyGameConfigAtom);
+  const [, setConfigErrors] = useAtom(configErrorsAtom);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleError = useCallback((err) => {
+    if (err instanceof ConfigValidationError) {
+      setError(`${err.source} has ${err.errors.length} problem(s)`);
+      setConfigErrors((prev) => [...prev, { source: err.source, errors: err.errors }]);
+    } else {
+      setError(err.message);
+    }
+  }, [setConfigErrors]);
+
+  const loadBuiltIn = useCallback((id) => {
+    const level = getBuiltInLevel(id);
+    if (!level) {
+      setError(`Unknown level '${id}'`);
+      return;
+    }
+    setError(null);
+    try {
+      applyGameConfig(buildGameConfig(level, id, validationOptions));
+    } catch (err) {
+      handleError(err);
+    }
+  }, [applyGameConfig, handleError]);
+
+  /**
+   * Load a definition from a URL or a user-picked File
+   */
+  const loadFromSource = useCallback(async (source) => {
+    setLoading(true);
+    setError(null);
+    try {
+      applyGameConfig(await loadGameConfig(source, validationOptions));
+    } catch (err) {
+      handleError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [applyGameConfig, handleError]);
+
+  // Read the URL once on mount; the load functions never change
+  useEffect(() => {
+    const { level } = readRunFromUrl(window.location.search);
+    if (!level) return;
+
+    if (getBuiltInLevel(level)) {
+      loadBuiltIn(level);
+    } else {
+      loadFromSource(level);
+    }
+  }, [loadBuiltIn, loadFromSource]);
+
+  return {
+    config,
+    loading,
+    error,
+    loadBuiltIn,
+    loadFromSource,
+  };
+};
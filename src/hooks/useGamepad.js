@@ -0,0 +1,36 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { useAtom } from 'jotai';
+import { settingAtoms } from '../config/atoms';
+import { GAMEPAD_ACTION_PRIORITY, gamepadPoller } from '../config/gamepadPoller';
+
+/**
+ * The first connected gamepad, read by the shared gamepadPoller. Every caller
+ * sees the same state, and each button press goes to one handler only: the
+ * first, by priority, that returns true from onButtonPress.
+ * @param {Object} options - { onButtonPress(index) -> true when handled, priority (GAMEPAD_MENU_PRIORITY
+ *   or GAMEPAD_ACTION_PRIORITY) }
+ * @returns {Object} - { connected, buttons: held button indexes, sticks: ref to { move, aim } updated every poll }
+ */
+export const useGamepad = ({ onButtonPress, priority = GAMEPAD_ACTION_PRIORITY } = {}) => {
+  const [enabled] = useAtom(settingAtoms.gamepad.enabled);
+  const [deadzone] = useAtom(settingAtoms.gamepad.deadzone);
+  const [moveSensitivity] = useAtom(settingAtoms.gamepad.moveSensitivity);
+
+  useEffect(() => {
+    gamepadPoller.configure({ enabled, deadzone: deadzone / 100, moveSensitivity });
+  }, [enabled, deadzone, moveSensitivity]);
+
+  const { connected, buttons } = useSyncExternalStore(gamepadPoller.subscribe, gamepadPoller.getSnapshot);
+
+  // Read the latest handler without re-registering it every render
+  const onButtonPressRef = useRef(onButtonPress);
+  onButtonPressRef.current = onButtonPress;
+  const listening = Boolean(onButtonPress);
+
+  useEffect(() => {
+    if (!listening) return;
+    return gamepadPoller.onPress((index) => onButtonPressRef.current?.(index), priority);
+  }, [listening, priority]);
+
+  return { connected, buttons, sticks: gamepadPoller.sticks };
+};
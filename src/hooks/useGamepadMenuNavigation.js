@@ -0,0 +1,93 @@
+import { useRef } from 'react';
+import { gamepadButtons } from '../config/gamepadInput';
+import { GAMEPAD_MENU_PRIORITY } from '../config/gamepadPoller';
+import { useGamepad } from '../hooks/useGamepad';
+
+const FOCUSABLE = 'button:not(:disabled), input:not(:disabled):not([type="file"]), select:not(:disabled)';
+
+const isVisible = (element) => element.offsetParent !== null;
+
+// Nudge a slider or dropdown the way arrow keys would, firing the events React listens for
+const adjustControl = (element, step) => {
+  if (element.tagName === 'INPUT' && element.type === 'range') {
+    if (step > 0) element.stepUp();
+    else element.stepDown();
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    return true;
+  }
+  if (element.tagName === 'SELECT') {
+    const index = Math.min(Math.max(element.selectedIndex + step, 0), element.options.length - 1);
+    if (index === element.selectedIndex) return true;
+    element.selectedIndex = index;
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
+  return false;
+};
+
+/**
+ * D-pad navigation for a menu screen: up/down (and left/right outside sliders)
+ * move focus through its controls, A activates, B or Start goes back. The
+ * active menu gets gamepad presses before gameplay actions and consumes the
+ * ones it uses, so Start on the pause screen resumes once instead of also
+ * toggling pause.
+ * @param {boolean} active - Only the visible screen should respond
+ * @param {Object} options - { onBack } called for B / Start
+ * @returns {Object} - Ref to attach to the screen's root element
+ */
+export const useGamepadMenuNavigation = (active, { onBack } = {}) => {
+  const containerRef = useRef(null);
+
+  const moveFocus = (step) => {
+    const container = containerRef.current;
+    const focusables = Array.from(container.querySelectorAll(FOCUSABLE)).filter(isVisible);
+    if (focusables.length === 0) return;
+
+    const current = focusables.indexOf(document.activeElement);
+    const next = current === -1
+      ? (step > 0 ? 0 : focusables.length - 1)
+      : (current + step + focusables.length) % focusables.length;
+
+    focusables[next].focus({ focusVisible: true });
+    focusables[next].scrollIntoView({ block: 'nearest' });
+  };
+
+  useGamepad({
+    priority: GAMEPAD_MENU_PRIORITY,
+    onButtonPress: (index) => {
+      const container = containerRef.current;
+      if (!active || !container) return false;
+
+      const focused = container.contains(document.activeElement) ? document.activeElement : null;
+
+      switch (index) {
+        case gamepadButtons.dpadUp:
+          moveFocus(-1);
+          break;
+        case gamepadButtons.dpadDown:
+          moveFocus(1);
+          break;
+        case gamepadButtons.dpadLeft:
+          if (!focused || !adjustControl(focused, -1)) moveFocus(-1);
+          break;
+        case gamepadButtons.dpadRight:
+          if (!focused || !adjustControl(focused, 1)) moveFocus(1);
+          break;
+        case gamepadButtons.a:
+          if (focused) focused.click();
+          else moveFocus(1);
+          break;
+        case gamepadButtons.b:
+        case gamepadButtons.start:
+          if (!onBack) return false;
+          onBack();
+          break;
+        default:
+          return false;
+      }
+      return true;
+    },
+  });
+
+  return containerRef;
+};
@@ -0,0 +1,15 @@
+import { useSetAtom } from "jotai";
+import { stepGameplayAtom } from "../config/atoms";
+import { useGameFrame } from "../hooks/useGameClock";
+
+/**
+ * Step the run in progress (gameplayAtom) on every game step, right after
+ * usePlayerInput has filled the step's input frame. This is the only place
+ * gameplay advances; entity components just draw the world. Mount exactly once.
+ * @param {Object} input - Ref to the current input frame (from usePlayerInput)
+ */
+export const useGameplayStep = (input) => {
+  const stepGameplay = useSetAtom(stepGameplayAtom);
+
+  useGameFrame((_, delta) => stepGameplay(input.current, delta));
+};
@@ -0,0 +1,118 @@
+import { useState, useEffect, useRef } from 'react';
+import { useAtom } from 'jotai';
+import { keyBindingsAtom, touchActionsAtom } from '../config/atoms';
+import { inputActions, getActionsForCode, getWheelCode } from '../config/inputBindings';
+import { getActionsForButtons } from '../config/gamepadInput';
+import { useGamepad } from '../hooks/useGamepad';
+
+const createActionState = () => {
+  return inputActions.reduce((acc, action) => {
+    acc[action] = false;
+    return acc;
+  }, {});
+};
+
+// Keys typed into form fields (share codes, file names) are not game input
+const isTypingTarget = (target) => {
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+};
+
+/**
+ * Held state of every input action, resolved through the user's key bindings
+ * and the fixed gamepad button map (gamepadActionButtons), plus on-screen touch buttons
+ * @param {Object} options - { onPress } called with the action name when a bound key, wheel
+ *   notch, gamepad button or touch button goes down. The wheel is never held, so its actions
+ *   only press. Return true to consume a gamepad press, so no other
+ *   handler (e.g. another screen's) acts on the same press.
+ * @returns {Object} - Action name -> true while any of its keys is held
+ */
+export const useInputActions = ({ onPress } = {}) => {
+  const [bindings] = useAtom(keyBindingsAtom);
+  const [touchActions] = useAtom(touchActionsAtom);
+  const [actions, setActions] = useState(createActionState);
+  const heldCodes = useRef(new Set());
+
+  // Read the latest press handler from the listeners without re-registering them
+  const onPressRef = useRef(onPress);
+  onPressRef.current = onPress;
+
+  const previousTouchActions = useRef(touchActions);
+  useEffect(() => {
+    const pressed = touchActions.filter(action => !previousTouchActions.current.includes(action));
+    previousTouchActions.current = touchActions;
+    if (onPressRef.current) pressed.forEach(action => onPressRef.current(action));
+  }, [touchActions]);
+
+  const { buttons } = useGamepad({
+    onButtonPress: (index) => {
+      if (!onPressRef.current) return false;
+      const handled = getActionsForButtons([index]).map(action => onPressRef.current(action));
+      return handled.includes(true);
+    },
+  });
+
+  useEffect(() => {
+    const updateActions = () => {
+      const next = createActionState();
+      heldCodes.current.forEach((code) => {
+        getActionsForCode(bindings, code).forEach((action) => {
+          next[action] = true;
+        });
+      });
+      setActions(next);
+    };
+
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+
+      const bound = getActionsForCode(bindings, e.code);
+      if (bound.length === 0) return;
+
+      // Prevent default behavior for bound keys (arrows, space) to avoid scrolling
+      e.preventDefault();
+      if (e.repeat) return;
+
+      heldCodes.current.add(e.code);
+      updateActions();
+      if (onPressRef.current) bound.forEach(action => onPressRef.current(action));
+    };
+
+    const handleKeyUp = (e) => {
+      if (!heldCodes.current.delete(e.code)) return;
+      updateActions();
+    };
+
+    const handleWheel = (e) => {
+      const code = getWheelCode(e.deltaY);
+      if (!code || !onPressRef.current) return;
+      getActionsForCode(bindings, code).forEach(action => onPressRef.current(action));
+    };
+
+    // Keys released while the window is unfocused never send keyup
+    const handleBlur = () => {
+      if (heldCodes.current.size === 0) return;
+      heldCodes.current.clear();
+      updateActions();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('wheel', handleWheel);
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('wheel', handleWheel);
+    };
+  }, [bindings]);
+
+  const extraActions = [...getActionsForButtons(buttons), ...touchActions];
+  if (extraActions.length === 0) return actions;
+
+  return extraActions.reduce((acc, action) => {
+    acc[action] = true;
+    return acc;
+  }, { ...actions });
+};
@@ -1,44 +1,65 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 
+/**
+ * Cursor position and left button state over the game canvas
+ * The cursor is kept in normalized device coordinates so it can be raycast
+ * through the camera each frame, even while the camera follows the player.
+ * @returns {Object} - { pointer, isMouseDown, getGroundPoint }
+ *   pointer: ref to { x, y, moves } where moves counts mousemove events
+ *   getGroundPoint(height, target): cursor projected onto the plane y = height, or null
+ */
 export const useMouseControls = () => {
-  const [mousePosition, setMousePosition] = useState(null);
   const [isMouseDown, setIsMouseDown] = useState(false);
-  const { camera, size } = useThree();
+  const { camera, gl } = useThree();
+
+  const pointer = useRef({ x: 0, y: 0, moves: 0 });
+  const raycaster = useRef(new THREE.Raycaster());
+  const plane = useRef(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0));
 
   useEffect(() => {
+    const canvas = gl.domElement;
+
     const handleMouseMove = (event) => {
-      // Get mouse position relative to canvas center
-      const rect = event.target.getBoundingClientRect();
-      const x = event.clientX - rect.left - rect.width / 2;
-      const y = event.clientY - rect.top - rect.height / 2;
-
-      const scale = 0.02; // Adjust this value to change sensitivity
-      const worldX = x * scale;
-      const worldZ = y * scale;
-      
-      setMousePosition({ x: worldX, y: 0, z: worldZ });
+      // Measure against the canvas, not the event target, so overlays don't skew it
+      const rect = canvas.getBoundingClientRect();
+      pointer.current = {
+        x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        y: -((event.clientY - rect.top) / rect.height) * 2 + 1,
+        moves: pointer.current.moves + 1,
+      };
     };
 
-    const handleMouseDown = () => {
-      setIsMouseDown(true);
+    // Only presses on the canvas fire; clicks on HUD buttons and menus don't
+    const handleMouseDown = (event) => {
+      if (event.button === 0) setIsMouseDown(true);
     };
 
-    const handleMouseUp = () => {
-      setIsMouseDown(false);
+    const handleMouseUp = (event) => {
+      if (event.button === 0) setIsMouseDown(false);
     };
 
+    const handleBlur = () => setIsMouseDown(false);
+
     window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mousedown', handleMouseDown);
+    canvas.addEventListener('mousedown', handleMouseDown);
     window.addEventListener('mouseup', handleMouseUp);
+    window.addEventListener('blur', handleBlur);
 
     return () => {
       window.removeEventListener('mousemove', handleMouseMove);
-      window.removeEventListener('mousedown', handleMouseDown);
+      canvas.removeEventListener('mousedown', handleMouseDown);
       window.removeEventListener('mouseup', handleMouseUp);
+      window.removeEventListener('blur', handleBlur);
     };
-  }, [camera, size]);
+  }, [gl]);
+
+  const getGroundPoint = (height = 0, target = new THREE.Vector3()) => {
+    raycaster.current.setFromCamera(pointer.current, camera);
+    plane.current.constant = -height;
+    return raycaster.current.ray.intersectPlane(plane.current, target);
+  };
 
-  return { mousePosition, isMouseDown };
+  return { pointer, isMouseDown, getGroundPoint };
 };
@@ -0,0 +1,43 @@
+import { useEffect } from 'react';
+import { useAtom } from 'jotai';
+import { gameStateAtom } from '../config/atoms';
+import { useInputActions } from '../hooks/useInputActions';
+
+/**
+ * Pause handling for a run: the pause action toggles between 'playing' and
+ * 'paused', and losing window focus or hiding the tab pauses
+ * @returns {Object} - { pause, resume }
+ */
+export const usePauseControls = () => {
+  const [gameState, setGameState] = useAtom(gameStateAtom);
+
+  const pause = () => setGameState((state) => (state === 'playing' ? 'paused' : state));
+  const resume = () => setGameState((state) => (state === 'paused' ? 'playing' : state));
+
+  useInputActions({
+    onPress: (action) => {
+      if (action !== 'pause') return false;
+      if (gameState === 'playing') setGameState('paused');
+      else if (gameState === 'paused') setGameState('playing');
+      else return false;
+      return true;
+    },
+  });
+
+  useEffect(() => {
+    const pauseRun = () => setGameState((state) => (state === 'playing' ? 'paused' : state));
+    const handleVisibilityChange = () => {
+      if (document.hidden) pauseRun();
+    };
+
+    window.addEventListener('blur', pauseRun);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      window.removeEventListener('blur', pauseRun);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [setGameState]);
+
+  return { pause, resume };
+};
@@ -0,0 +1,114 @@
+import { useRef } from "react";
+import { useAtom } from "jotai";
+import {
+  gameStateAtom,
+  replayPlayerAtom,
+  replayRecorderAtom,
+} from "../config/atoms";
+import { createInputFrame, quantizeInputFrame } from "../config/playerInput";
+import { gameClock } from "../config/gameClock";
+import { getWeaponSlot } from "../config/inputBindings";
+import { touchSticks } from "../config/touchInput";
+import { useInputActions } from "../hooks/useInputActions";
+import { useGamepad } from "../hooks/useGamepad";
+import { useMouseControls } from "../hooks/useMouseControls";
+import { useAimInput, STICK_AIM_DISTANCE } from "../hooks/useAimInput";
+import { useGameFrame } from "../hooks/useGameClock";
+
+// Playback snaps the player to a keyframe when it has drifted further than this
+const KEYFRAME_TOLERANCE = 0.01;
+
+/**
+ * The player's input source. Every game step, before any gameplay runs, it
+ * fills one input frame either from the live devices (keys through the
+ * bindings, mouse, gamepad, touch) or, while watching a replay, from the
+ * replay. Live frames are recorded for the run's replay.
+ * Gameplay (useGameplayStep) reads the frame instead of the devices.
+ * @param {Object} position - Ref to the player's live [x, y, z]; keyframes correct it during playback
+ * @param {string} gameState - Current game state; input is only sampled while "playing"
+ * @returns {Object} - { input (ref to this step's frame), aimPoint (ref to the THREE.Vector3 being aimed at) }
+ */
+export const usePlayerInput = (position, gameState) => {
+  const [replayPlayer] = useAtom(replayPlayerAtom);
+  const [recorder] = useAtom(replayRecorderAtom);
+  const [, setGameState] = useAtom(gameStateAtom);
+
+  const input = useRef(createInputFrame());
+  // One-shot presses wait here until the next step picks them up
+  const pending = useRef({ dash: false, weapon: null });
+
+  const { fire, reload, moveForward, moveBackward, moveLeft, moveRight } = useInputActions({
+    onPress: (action) => {
+      if (gameState !== "playing") return;
+      if (action === "dash") pending.current.dash = true;
+      if (action === "nextWeapon") pending.current.weapon = "next";
+      if (action === "previousWeapon") pending.current.weapon = "previous";
+      if (getWeaponSlot(action) !== null) pending.current.weapon = getWeaponSlot(action);
+    },
+  });
+  const { sticks } = useGamepad();
+  const { isMouseDown } = useMouseControls();
+  const { aimPoint, readAim } = useAimInput(position);
+
+  const sampleDevices = (delta) => {
+    let moveX = 0;
+    let moveZ = 0;
+    const stick = touchSticks.move.magnitude > 0 ? touchSticks.move : sticks.current.move;
+    if (stick.magnitude > 0) {
+      moveX = stick.x;
+      moveZ = stick.y;
+    } else {
+      if (moveForward) moveZ -= 1;
+      if (moveBackward) moveZ += 1;
+      if (moveLeft) moveX -= 1;
+      if (moveRight) moveX += 1;
+    }
+
+    const frame = quantizeInputFrame({
+      moveX,
+      moveZ,
+      aim: readAim(delta),
+      fire: fire || isMouseDown || touchSticks.firing,
+      reload,
+      ...pending.current,
+    });
+    pending.current = { dash: false, weapon: null };
+    return frame;
+  };
+
+  useGameFrame((_, delta) => {
+    if (gameState !== "playing") return;
+
+    // The clock restarts with every run, so its step count is the run's
+    const step = gameClock.getStep() - 1;
+    if (!replayPlayer) {
+      input.current = sampleDevices(delta);
+      if (recorder) recorder.record(step, input.current, position.current);
+      return;
+    }
+
+    if (step >= replayPlayer.steps) {
+      setGameState("gameOver");
+      return;
+    }
+
+    const keyframe = replayPlayer.keyframeAt(step);
+    const current = position.current;
+    if (keyframe && Math.hypot(keyframe[0] - current[0], keyframe[1] - current[2]) > KEYFRAME_TOLERANCE) {
+      current[0] = keyframe[0];
+      current[2] = keyframe[1];
+    }
+
+    input.current = replayPlayer.frameAt(step);
+    const { aim } = input.current;
+    if (aim !== null) {
+      aimPoint.current.set(
+        current[0] + Math.sin(aim) * STICK_AIM_DISTANCE,
+        current[1],
+        current[2] + Math.cos(aim) * STICK_AIM_DISTANCE
+      );
+    }
+  }, -1);
+
+  return { input, aimPoint };
+};
@@ -0,0 +1,37 @@
+import { useEffect } from 'react';
+import { useAtom } from 'jotai';
+import { applyDifficultyPresetAtom, gameModeAtom, seedSettingAtom } from '../config/atoms';
+import { DAILY_RUN, getDailySeed, normalizeSeed, readRunFromUrl } from '../config/random';
+
+/**
+ * Seed chosen for the next run, plus shortcuts for the daily challenge
+ * Also reads a shared run from the page URL on mount: `?seed=<seed>` (or
+ * `?seed=daily`), `?mode=` and `?difficulty=`; useGameConfigLoader reads its `?level=`
+ *
+ * @param {Function} loadLevel - Loads a built-in level by id (the daily challenge's)
+ * @returns {Object} - { seed, setSeed, chooseDailySeed, clearSeed }
+ */
+export const useRunSeed = (loadLevel) => {
+  const [seed, setSeedSetting] = useAtom(seedSettingAtom);
+  const [, setGameMode] = useAtom(gameModeAtom);
+  const [, applyDifficultyPreset] = useAtom(applyDifficultyPresetAtom);
+
+  const setSeed = (value) => setSeedSetting(normalizeSeed(value));
+  // The level first: loading it resets the settings a difficulty preset may override
+  const chooseDailySeed = () => {
+    loadLevel(DAILY_RUN.level);
+    setGameMode(DAILY_RUN.mode);
+    applyDifficultyPreset(DAILY_RUN.difficulty);
+    setSeedSetting(getDailySeed());
+  };
+  const clearSeed = () => setSeedSetting('');
+
+  useEffect(() => {
+    const run = readRunFromUrl(window.location.search);
+    if (run.mode) setGameMode(run.mode);
+    if (run.difficulty) applyDifficultyPreset(run.difficulty);
+    if (run.seed) setSeedSetting(run.seed);
+  }, [setSeedSetting, setGameMode, applyDifficultyPreset]);
+
+  return { seed, setSeed, chooseDailySeed, clearSeed };
+};
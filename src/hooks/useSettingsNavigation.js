@@ -1,5 +1,5 @@
 import { useAtom } from 'jotai';
-import { gameStateAtom } from '../config/atoms';
+import { gameStateAtom, settingsReturnStateAtom } from '../config/atoms';
 
 /**
  * Custom hook for handling navigation to settings screen
@@ -9,13 +9,14 @@ import { gameStateAtom } from '../config/atoms';
  */
 export const useSettingsNavigation = () => {
   const [gameState, setGameState] = useAtom(gameStateAtom);
+  const [returnState, setReturnState] = useAtom(settingsReturnStateAtom);
 
   /**
    * Navigate to settings screen, storing current game state
+   * A running game is paused, so closing settings lands on the pause screen
    */
   const goToSettings = () => {
-    // Store current state before opening settings
-    sessionStorage.setItem('previousGameState', gameState);
+    setReturnState(gameState === 'playing' ? 'paused' : gameState);
     setGameState('settings');
   };
 
@@ -23,10 +24,8 @@ export const useSettingsNavigation = () => {
    * Navigate back from settings to previous screen
    */
   const goBackFromSettings = () => {
-    // Restore the previous game state
-    const previousState = sessionStorage.getItem('previousGameState') || 'menu';
-    setGameState(previousState);
-    sessionStorage.removeItem('previousGameState');
+    setGameState(returnState);
+    setReturnState('menu');
   };
 
   /**
@@ -40,4 +39,4 @@ export const useSettingsNavigation = () => {
     isInSettings,
     currentState: gameState
   };
-};
\ No newline at end of file
+};
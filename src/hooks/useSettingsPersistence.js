@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+import { useAtom } from 'jotai';
+import { settingsSnapshotAtom, replayAtom } from '../config/atoms';
+import { loadStoredSettings, saveStoredSettings } from '../config/settingsStorage';
+
+/**
+ * Restore settings from localStorage on mount and save them whenever they change,
+ * except while a replay's settings are standing in for the player's own
+ */
+export const useSettingsPersistence = () => {
+  const [snapshot, setSnapshot] = useAtom(settingsSnapshotAtom);
+  const [replay] = useAtom(replayAtom);
+  const restored = useRef(false);
+
+  useEffect(() => {
+    const stored = loadStoredSettings();
+    if (stored) setSnapshot(stored);
+    restored.current = true;
+  }, [setSnapshot]);
+
+  useEffect(() => {
+    // Don't overwrite stored settings with defaults before they've been restored
+    if (!restored.current || replay) return;
+    saveStoredSettings(snapshot);
+  }, [snapshot, replay]);
+};
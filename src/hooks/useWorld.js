@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * Active entities of a pool; re-renders only when entities are spawned or removed
+ * @param {Object} pool - e.g. world.enemies
+ * @returns {Array<Object>} - Live entity objects; read positions and health from them, don't copy
+ */
+export const useEntities = (pool) => {
+  return useSyncExternalStore(pool.subscribe, pool.getActive);
+};
+
+/**
+ * Re-render whenever a pool changes at all, including in-place changes such as
+ * health, for displays of entity values (e.g. the boss health bar)
+ * @param {Object} pool - e.g. world.enemies
+ * @returns {number} - The pool's version
+ */
+export const useEntityVersion = (pool) => {
+  return useSyncExternalStore(pool.subscribe, pool.getVersion);
+};
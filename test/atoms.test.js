@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore } from 'jotai';
+import {
+  currentProjectileTypeAtom,
+  enemiesKilledAtom,
+  gameStateAtom,
+  playerHealthAtom,
+  playerHealthSettingAtom,
+  replayRecorderAtom,
+  resetGameAtom,
+  runIdAtom,
+  runSeedAtom,
+  scoreAtom,
+  seedSettingAtom,
+  weaponAmmoAtom,
+  weaponReloadAtom,
+} from '../src/config/atoms.js';
+import { gameConfig } from '../src/config/gameConfig.js';
+import { createInitialAmmo } from '../src/data/customProjectileConfigs.js';
+import { gameRandom } from '../src/config/random.js';
+import { world } from '../src/config/world.js';
+
+describe('resetGameAtom', () => {
+  it('starts a new run from a clean slate', () => {
+    const store = createStore();
+    store.set(seedSettingAtom, 'RESET');
+    store.set(playerHealthSettingAtom, 250);
+    store.set(scoreAtom, 900);
+    store.set(enemiesKilledAtom, 12);
+    store.set(playerHealthAtom, 3);
+    store.set(gameStateAtom, 'gameOver');
+    store.set(currentProjectileTypeAtom, 'rapid');
+    store.set(weaponReloadAtom, { loadoutId: 'rifle', startedAt: 0, duration: 1000 });
+    world.enemies.spawn({ health: 10 });
+    world.projectiles.spawn({});
+
+    store.set(resetGameAtom);
+
+    assert.equal(store.get(gameStateAtom), 'playing');
+    assert.equal(store.get(runIdAtom), 1);
+    assert.equal(store.get(runSeedAtom), 'RESET');
+    assert.equal(store.get(scoreAtom), gameConfig.rules.initialScore);
+    assert.equal(store.get(enemiesKilledAtom), 0);
+    assert.equal(store.get(playerHealthAtom), 250);
+    assert.equal(store.get(currentProjectileTypeAtom), 'default');
+    assert.deepEqual(store.get(weaponAmmoAtom), createInitialAmmo());
+    assert.equal(store.get(weaponReloadAtom), null);
+    assert.equal(world.enemies.countActive(), 0);
+    assert.equal(world.projectiles.countActive(), 0);
+    assert.ok(store.get(replayRecorderAtom));
+  });
+
+  it('reseeds the game random source, so a seed replays the same rolls', () => {
+    const store = createStore();
+    store.set(seedSettingAtom, 'ROLLS');
+    store.set(resetGameAtom);
+    const first = [gameRandom.stream('spawner').next(), gameRandom.stream('waves').next()];
+    store.set(resetGameAtom);
+    const second = [gameRandom.stream('spawner').next(), gameRandom.stream('waves').next()];
+    assert.deepEqual(second, first);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ConfigValidationError,
+  validateBundledConfigs,
+  validateEnemyType,
+  validateProjectileTypes,
+  validateWeaponLoadouts,
+} from '../src/config/configValidation.js';
+import { buildGameConfig } from '../src/config/configLoader.js';
+import { gameConfig } from '../src/config/gameConfig.js';
+import { projectileTypes } from '../src/data/projectileTypes.js';
+import { settingsConfig } from '../src/config/settingsConfig.js';
+
+// EnemyComponents' keys; its module imports the JSX components, so they are listed here
+const enemyComponentIds = ['fast', 'tank', 'boss', 'ranged'];
+
+const [fastType] = gameConfig.enemies.types;
+
+// The ConfigValidationError buildGameConfig throws for a definition
+const buildErrors = (definition, options = { enemyComponentIds }) => {
+  try {
+    buildGameConfig(definition, 'test-level', options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigValidationError);
+    assert.equal(error.source, "game definition 'test-level'");
+    assert.equal(error.message, `Invalid ${error.source}:\n- ${error.errors.join('\n- ')}`);
+    return error.errors;
+  }
+  assert.fail('expected a ConfigValidationError');
+};
+
+describe('bundled configs', () => {
+  it('are valid', () => {
+    assert.deepEqual(validateBundledConfigs(enemyComponentIds), []);
+  });
+});
+
+describe('game definitions', () => {
+  it('reject duplicate enemy type ids', () => {
+    const errors = buildErrors({
+      enemies: { types: [...gameConfig.enemies.types, { ...fastType, color: '#123456' }] },
+    });
+    assert.deepEqual(errors, [
+      `enemies.types[${gameConfig.enemies.types.length}].id 'fast' is used more than once`,
+    ]);
+  });
+
+  it('report every out-of-range number with its path', () => {
+    const errors = buildErrors({
+      player: { speed: -1, size: 0 },
+      enemies: { types: [{ ...fastType, size: 40, health: 0 }, ...gameConfig.enemies.types.slice(1)] },
+      rules: { scoreMultiplier: -2 },
+    });
+    const { min, max } = settingsConfig.player.speed;
+    assert.deepEqual(errors, [
+      `player.speed must be between ${min} and ${max} (got -1)`,
+      'player.size must be between 0.1 and 10 (got 0)',
+      'enemies.types[0].health must be between 1 and Infinity (got 0)',
+      'enemies.types[0].size must be between 0.1 and 10 (got 40)',
+      'rules.scoreMultiplier must be between 0 and Infinity (got -2)',
+    ]);
+  });
+
+  it('reject an enemy type no component can render', () => {
+    const errors = buildErrors({
+      enemies: { types: [...gameConfig.enemies.types, { ...fastType, id: 'ghost' }] },
+    });
+    assert.deepEqual(errors, [
+      `enemies.types[${gameConfig.enemies.types.length}] has no component registered for 'ghost' in EnemyComponents ` +
+      '(registered: fast, tank, boss, ranged)',
+    ]);
+  });
+
+  it('accept a type that names a registered component', () => {
+    const config = buildGameConfig({
+      enemies: { types: [...gameConfig.enemies.types, { ...fastType, id: 'ghost', component: 'fast' }] },
+    }, 'test-level', { enemyComponentIds });
+    assert.equal(config.enemies.types.at(-1).id, 'ghost');
+  });
+
+  it('reject anything that is not an object before merging', () => {
+    assert.throws(() => buildGameConfig([], 'list.json'), /Game definition from 'list.json' must be a JSON object/);
+  });
+});
+
+describe('validateEnemyType', () => {
+  it('skips the component check without a component list', () => {
+    assert.deepEqual(validateEnemyType({ ...fastType, id: 'ghost' }, 'type'), []);
+  });
+
+  it('requires a ranged block for ranged enemies', () => {
+    assert.deepEqual(validateEnemyType({ ...fastType, component: 'ranged' }, 'type', enemyComponentIds), [
+      'type.ranged must be an object with preferredDistance, range, fireInterval and projectile settings',
+    ]);
+  });
+});
+
+describe('validateProjectileTypes', () => {
+  it('rejects duplicate ids and out-of-range numbers', () => {
+    const [first] = projectileTypes;
+    const errors = validateProjectileTypes([
+      ...projectileTypes,
+      { ...first, speed: 0, pellets: 1.5 },
+    ]);
+    const index = projectileTypes.length;
+    assert.deepEqual(errors, [
+      `projectileTypes[${index}].speed must be between 0.1 and Infinity (got 0)`,
+      `projectileTypes[${index}].pellets must be a whole number (got 1.5)`,
+      `projectileTypes[${index}].id 'default' is used more than once`,
+    ]);
+  });
+
+  it('requires the fields of the behavior', () => {
+    const [first] = projectileTypes;
+    assert.deepEqual(validateProjectileTypes([{ ...first, behavior: 'pierce' }]), [
+      'projectileTypes[0].pierce must be a number (got undefined)',
+    ]);
+    assert.deepEqual(validateProjectileTypes([{ ...first, behavior: 'bounce' }]).length, 1);
+  });
+});
+
+describe('validateWeaponLoadouts', () => {
+  it('rejects loadouts firing unknown projectile types', () => {
+    const loadouts = {
+      ...gameConfig.weapons,
+      blaster: { name: 'Blaster', projectileType: 'laser', fireRate: 2, magazineSize: 0, reloadTime: 1, reserveAmmo: null },
+    };
+    assert.deepEqual(validateWeaponLoadouts(loadouts, projectileTypes), [
+      "weapons.blaster.projectileType 'laser' does not match any projectile type",
+      'weapons.blaster.magazineSize must be between 1 and Infinity (got 0)',
+    ]);
+  });
+});
+
+describe('weapon and difficulty overrides', () => {
+  it('are rejected when out of range', () => {
+    const errors = buildErrors({
+      weapons: { basic: { magazineSize: 0 } },
+      difficultyPresets: {
+        hard: { enemyHealthMultiplier: -1, settings: { enemies: { maxCount: 1000 }, display: { showHUD: false } } },
+      },
+    });
+    const { min, max } = settingsConfig.enemies.maxCount;
+    assert.deepEqual(errors, [
+      'weapons.basic.magazineSize must be between 1 and Infinity (got 0)',
+      'difficultyPresets.hard.enemyHealthMultiplier must be between 0.05 and 10 (got -1)',
+      `difficultyPresets.hard.settings.enemies.maxCount must be between ${min} and ${max} (got 1000)`,
+      'difficultyPresets.hard.settings.display.showHUD is not a slider setting',
+    ]);
+  });
+});
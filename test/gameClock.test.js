@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEntityClock, createGameClock, STEP_SECONDS } from '../src/config/gameClock.js';
+import { gameConfig } from '../src/config/gameConfig.js';
+import { createGameplay } from '../src/config/gameplay.js';
+import { createInputFrame, quantizeInputFrame } from '../src/config/playerInput.js';
+import { createGameRandom } from '../src/config/random.js';
+import { createSpatialHash } from '../src/config/spatialHash.js';
+import { createWorld } from '../src/config/world.js';
+
+// Steps run until slow motion started at step 0 wears off
+const countSlowSteps = (clock, advance) => {
+  clock.slowMotion(0.25, 500);
+  let slowSteps = 0;
+  const stop = clock.onStep(() => {
+    if (clock.isSlowMotion()) slowSteps += 1;
+  });
+  while (clock.isSlowMotion()) advance();
+  stop();
+  return slowSteps;
+};
+
+describe('gameClock', () => {
+  it('ends slow motion on the same step at any speed', () => {
+    const steps = 500 / 1000 / STEP_SECONDS;
+
+    const normal = createGameClock();
+    assert.equal(countSlowSteps(normal, () => normal.tick(STEP_SECONDS)), steps);
+    const fast = createGameClock();
+    fast.setTimeScale(8);
+    assert.equal(countSlowSteps(fast, () => fast.tick(STEP_SECONDS)), steps);
+    const seeking = createGameClock();
+    assert.equal(countSlowSteps(seeking, () => seeking.runSteps(7)), steps);
+  });
+
+  it('runs an entity clock at its own scale of game time', () => {
+    const entityClock = createEntityClock(0.5);
+    assert.equal(entityClock.tick(STEP_SECONDS), STEP_SECONDS / 2);
+    entityClock.timeScale = 2;
+    entityClock.tick(STEP_SECONDS);
+    assert.ok(Math.abs(entityClock.time - STEP_SECONDS * 2.5 * 1000) < 1e-9);
+  });
+
+  it('keeps the player at full speed through slow motion', () => {
+    const clock = createGameClock();
+    const random = createGameRandom();
+    random.reseed('CLOCK');
+    const gameplay = createGameplay({
+      world: createWorld({ now: clock.now, pools: gameConfig.pools }),
+      grid: createSpatialHash(4),
+      random,
+      clock,
+      settings: {
+        playerSpeed: gameConfig.player.speed,
+        playerHealth: gameConfig.player.health,
+        fireRate: gameConfig.player.fireRate,
+        enemySpeedMultiplier: 1,
+        enemySpawnRate: 1,
+        maxEnemies: 0,
+        difficultyMultiplier: 1,
+        killCam: true,
+      },
+    });
+    const frame = quantizeInputFrame({ ...createInputFrame(), moveX: 1 });
+    clock.onStep((_, delta) => gameplay.step(frame, delta));
+
+    const moveOneStep = () => {
+      const start = gameplay.player.position[0];
+      clock.runSteps(1);
+      return gameplay.player.position[0] - start;
+    };
+    const normal = moveOneStep();
+    // A step at quarter speed takes four times as long in real time
+    clock.slowMotion(0.25, 1000);
+    const slowed = moveOneStep();
+
+    assert.ok(normal > 0);
+    assert.ok(Math.abs(slowed - normal * 4) < 1e-9, `moved ${slowed} instead of ${normal * 4}`);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCustomConfig, gameConfig } from '../src/config/gameConfig.js';
+import {
+  applyDifficultyToEnemyType,
+  createInitialAmmo,
+  createProjectileConfig,
+  getDifficultyModifier,
+  getLoadoutIdForProjectileType,
+} from '../src/data/customProjectileConfigs.js';
+import { getPlayerDamageTaken } from '../src/config/playerRules.js';
+
+describe('createCustomConfig', () => {
+  it('keeps the bundled weapons and presets when a level leaves them out', () => {
+    const config = createCustomConfig({ id: 'plain' });
+    assert.deepEqual(config.weapons, gameConfig.weapons);
+    assert.deepEqual(config.difficultyPresets, gameConfig.difficultyPresets);
+  });
+
+  it('merges a level\'s loadout overrides field by field and adds new loadouts', () => {
+    const config = createCustomConfig({
+      weapons: {
+        basic: { magazineSize: 30, reloadTime: 600 },
+        burst: { name: 'Burst Rifle', projectileType: 'default', fireRate: 6, magazineSize: 18, reloadTime: 1500, reserveAmmo: 90 },
+      },
+    });
+
+    assert.deepEqual(config.weapons.basic, { ...gameConfig.weapons.basic, magazineSize: 30, reloadTime: 600 });
+    assert.deepEqual(config.weapons.scattergun, gameConfig.weapons.scattergun);
+    assert.equal(config.weapons.burst.name, 'Burst Rifle');
+    assert.equal(gameConfig.weapons.basic.magazineSize, 12);
+  });
+
+  it('merges preset slider overrides per settings category', () => {
+    const config = createCustomConfig({
+      difficultyPresets: { hard: { enemyHealthMultiplier: 3, settings: { enemies: { maxCount: 40 } } } },
+    });
+    const hard = config.difficultyPresets.hard;
+
+    assert.equal(hard.enemyHealthMultiplier, 3);
+    assert.equal(hard.label, gameConfig.difficultyPresets.hard.label);
+    assert.deepEqual(hard.settings.enemies, { ...gameConfig.difficultyPresets.hard.settings.enemies, maxCount: 40 });
+    assert.deepEqual(hard.settings.difficulty, gameConfig.difficultyPresets.hard.settings.difficulty);
+  });
+});
+
+describe('weapon and difficulty helpers', () => {
+  const config = createCustomConfig({
+    weapons: { basic: { magazineSize: 30, reloadTime: 600 } },
+    difficultyPresets: {
+      normal: { damageMultiplier: 2, enemyHealthMultiplier: 2, playerDamageTakenMultiplier: 0.5 },
+    },
+  });
+
+  it('read the level\'s loadouts', () => {
+    const weapon = createProjectileConfig('default', getLoadoutIdForProjectileType('default', config), 'normal', config);
+    assert.equal(weapon.loadoutId, 'basic');
+    assert.equal(weapon.magazineSize, 30);
+    assert.equal(weapon.reloadTime, 600);
+    assert.deepEqual(createInitialAmmo(config).basic, { magazine: 30, reserve: null });
+  });
+
+  it('read the level\'s difficulty presets', () => {
+    const [type] = gameConfig.enemies.types;
+    const baseDamage = createProjectileConfig('default', 'basic', 'normal').damage;
+
+    assert.equal(getDifficultyModifier('normal', config).damageMultiplier, 2);
+    assert.equal(createProjectileConfig('default', 'basic', 'normal', config).damage, Math.round(baseDamage * 2));
+    assert.equal(applyDifficultyToEnemyType(type, 'normal', config).health, type.health * 2);
+    assert.equal(getPlayerDamageTaken(10, 'normal', config), 5);
+  });
+
+  it('fall back to the normal preset for an unknown id', () => {
+    assert.equal(getDifficultyModifier('nightmare', config), config.difficultyPresets.normal);
+  });
+});
@@ -0,0 +1,155 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAMEPAD_MENU_PRIORITY, createGamepadPoller } from '../src/config/gamepadPoller.js';
+import { gamepadButtons } from '../src/config/gamepadInput.js';
+
+// A standard-mapping pad as navigator.getGamepads reports it
+const createPad = () => ({
+  connected: true,
+  axes: [0, 0, 0, 0],
+  buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+});
+
+const press = (pad, index, pressed = true) => {
+  pad.buttons[index] = { pressed, value: pressed ? 1 : 0 };
+};
+
+describe('gamepadPoller', () => {
+  let pads;
+  let frames;
+  let target;
+  let poller;
+
+  // Run one animation frame, as the browser would
+  const nextFrame = () => {
+    const pending = frames;
+    frames = [];
+    pending.forEach((callback) => callback());
+  };
+
+  beforeEach(() => {
+    pads = [];
+    frames = [];
+    target = new EventTarget();
+    globalThis.navigator = { getGamepads: () => pads };
+    poller = createGamepadPoller({
+      requestFrame: (callback) => frames.push(callback),
+      cancelFrame: () => { frames = []; },
+      target,
+    });
+  });
+
+  afterEach(() => {
+    delete globalThis.navigator;
+  });
+
+  it('starts polling when a pad is plugged in and releases everything when it is unplugged', () => {
+    const unsubscribe = poller.subscribe(() => {});
+    assert.equal(poller.getSnapshot().connected, false);
+    assert.equal(frames.length, 0);
+
+    const pad = createPad();
+    pads = [null, pad];
+    target.dispatchEvent(new Event('gamepadconnected'));
+    assert.equal(poller.getSnapshot().connected, true);
+
+    press(pad, gamepadButtons.rightTrigger);
+    pad.axes = [1, 0, 0, 0];
+    nextFrame();
+    assert.deepEqual(poller.getSnapshot().buttons, [gamepadButtons.rightTrigger]);
+    assert.equal(poller.sticks.current.move.x, 1);
+
+    pads = [null, null];
+    target.dispatchEvent(new Event('gamepaddisconnected'));
+    assert.deepEqual(poller.getSnapshot(), { connected: false, buttons: [] });
+    assert.equal(poller.sticks.current.move.magnitude, 0);
+    assert.equal(frames.length, 0);
+
+    pads = [pad];
+    target.dispatchEvent(new Event('gamepadconnected'));
+    assert.equal(poller.getSnapshot().connected, true);
+    unsubscribe();
+    assert.equal(poller.getSnapshot().connected, false);
+    assert.equal(frames.length, 0);
+  });
+
+  it('picks up a pad that was connected before anyone subscribed', () => {
+    pads = [createPad()];
+    poller.subscribe(() => {});
+    assert.equal(poller.getSnapshot().connected, true);
+    assert.equal(frames.length, 1);
+  });
+
+  it('runs a single polling loop however many hooks subscribe', () => {
+    pads = [createPad()];
+    poller.subscribe(() => {});
+    poller.subscribe(() => {});
+    poller.subscribe(() => {});
+    assert.equal(frames.length, 1);
+    nextFrame();
+    assert.equal(frames.length, 1);
+  });
+
+  it('ignores stick travel inside the deadzone', () => {
+    const pad = createPad();
+    pads = [pad];
+    poller.configure({ deadzone: 0.2 });
+    poller.subscribe(() => {});
+
+    pad.axes = [0.15, -0.1, 0.1, 0];
+    nextFrame();
+    assert.deepEqual(poller.sticks.current.move, { x: 0, y: 0, magnitude: 0 });
+    assert.deepEqual(poller.sticks.current.aim, { x: 0, y: 0, magnitude: 0 });
+
+    pad.axes = [0.6, 0, 0, 0];
+    nextFrame();
+    // Rescaled so the deadzone's edge reads as 0: (0.6 - 0.2) / 0.8
+    assert.ok(Math.abs(poller.sticks.current.move.x - 0.5) < 1e-9);
+    assert.equal(poller.sticks.current.move.y, 0);
+  });
+
+  it('turns one Start press into one action, for the first handler that takes it', () => {
+    const pad = createPad();
+    pads = [pad];
+    poller.subscribe(() => {});
+    const seen = [];
+    let menuOpen = true;
+    poller.onPress((index) => {
+      seen.push(['pause', index]);
+      return index === gamepadButtons.start;
+    });
+    poller.onPress((index) => {
+      if (!menuOpen) return false;
+      seen.push(['menu', index]);
+      return true;
+    }, GAMEPAD_MENU_PRIORITY);
+
+    press(pad, gamepadButtons.start);
+    nextFrame();
+    nextFrame();
+    nextFrame();
+    assert.deepEqual(seen, [['menu', gamepadButtons.start]]);
+
+    press(pad, gamepadButtons.start, false);
+    nextFrame();
+    menuOpen = false;
+    press(pad, gamepadButtons.start);
+    nextFrame();
+    assert.deepEqual(seen, [['menu', gamepadButtons.start], ['pause', gamepadButtons.start]]);
+  });
+
+  it('stops and releases everything when turned off in settings', () => {
+    const pad = createPad();
+    pads = [pad];
+    poller.subscribe(() => {});
+    press(pad, gamepadButtons.x);
+    nextFrame();
+    assert.deepEqual(poller.getSnapshot().buttons, [gamepadButtons.x]);
+
+    poller.configure({ enabled: false });
+    assert.deepEqual(poller.getSnapshot(), { connected: false, buttons: [] });
+    assert.equal(frames.length, 0);
+    poller.configure({ enabled: true });
+    assert.equal(poller.getSnapshot().connected, true);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameClock } from '../src/config/gameClock.js';
+import { gameConfig } from '../src/config/gameConfig.js';
+import { createGameplay } from '../src/config/gameplay.js';
+import { createInputFrame, quantizeInputFrame } from '../src/config/playerInput.js';
+import { createShooter, getShots } from '../src/config/playerRules.js';
+import { createGameRandom } from '../src/config/random.js';
+import { createSpatialHash } from '../src/config/spatialHash.js';
+import { createWorld } from '../src/config/world.js';
+import { getDefaultProjectileType } from '../src/data/projectileTypes.js';
+
+// A run with no enemies, stepped by its own clock
+const createRun = (pools = gameConfig.pools) => {
+  const clock = createGameClock();
+  const random = createGameRandom();
+  random.reseed('GAMEPLAY');
+  const gameplay = createGameplay({
+    world: createWorld({ now: clock.now, pools }),
+    grid: createSpatialHash(4),
+    random,
+    clock,
+    settings: {
+      playerSpeed: gameConfig.player.speed,
+      playerHealth: gameConfig.player.health,
+      fireRate: gameConfig.player.fireRate,
+      enemySpeedMultiplier: 1,
+      enemySpawnRate: 1,
+      maxEnemies: 0,
+      difficultyMultiplier: 1,
+      killCam: false,
+    },
+  });
+  const fire = quantizeInputFrame({ ...createInputFrame(), fire: true });
+  clock.onStep((_, delta) => gameplay.step(fire, delta));
+  return { clock, gameplay };
+};
+
+const magazine = (gameplay) => gameplay.player.ammo[gameplay.getWeapon().loadoutId].magazine;
+
+describe('player shots', () => {
+  it('fire on the first step of a run', () => {
+    const { clock, gameplay } = createRun();
+    const { magazineSize } = gameplay.getWeapon();
+    clock.runSteps(1);
+
+    assert.ok(gameplay.stats.shotsFired > 0);
+    assert.equal(magazine(gameplay), magazineSize - 1);
+  });
+
+  it('fire again once exactly one fire interval has passed', () => {
+    const shooter = createShooter();
+    const options = {
+      input: { fire: true },
+      projectileType: getDefaultProjectileType(),
+      position: [0, 0, 0],
+      facing: 0,
+      fireRate: 10,
+    };
+    assert.equal(getShots(shooter, { ...options, now: 0 }).length, 1);
+    assert.equal(getShots(shooter, { ...options, now: 99 }).length, 0);
+    assert.equal(getShots(shooter, { ...options, now: 100 }).length, 1);
+  });
+
+  it('spend no ammo when the projectile pool drops every shot', () => {
+    const { clock, gameplay } = createRun({
+      ...gameConfig.pools,
+      projectiles: { policy: 'fixed', capacity: 0, maxCapacity: null },
+    });
+    const { magazineSize } = gameplay.getWeapon();
+    clock.runSteps(120);
+
+    assert.equal(gameplay.stats.shotsFired, 0);
+    assert.equal(magazine(gameplay), magazineSize);
+  });
+});
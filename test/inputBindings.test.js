@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBindingConflicts, getActionsForCode, getWeaponSlot, getWheelCode } from '../src/config/inputBindings.js';
+import { getDefaultSettingsValues } from '../src/config/settingsStorage.js';
+
+const defaults = getDefaultSettingsValues().controls;
+
+describe('input bindings', () => {
+  it('bind weapon slots and wheel directions like any other key', () => {
+    assert.deepEqual(getActionsForCode(defaults, 'Digit3'), ['weaponSlot3']);
+    assert.equal(getWeaponSlot('weaponSlot3'), 2);
+    assert.equal(getWeaponSlot('fire'), null);
+    assert.deepEqual(getActionsForCode(defaults, getWheelCode(120)), ['nextWeapon']);
+    assert.deepEqual(getActionsForCode(defaults, getWheelCode(-120)), ['previousWeapon']);
+    assert.equal(getWheelCode(0), null);
+  });
+
+  it('flag weapon keys shared with another action', () => {
+    assert.deepEqual(findBindingConflicts(defaults), {});
+    const bindings = { ...defaults, fire: ['Space', 'Digit1'], reload: ['KeyR', 'WheelUp'] };
+    assert.deepEqual(findBindingConflicts(bindings), {
+      Digit1: ['fire', 'weaponSlot1'],
+      WheelUp: ['reload', 'previousWeapon'],
+    });
+  });
+});
@@ -0,0 +1,31 @@
+// Module hooks that let Node load the game's source the way Vite does:
+// extensionless relative imports and plain JSON imports. Registered by
+// register.js before the tests run.
+import { readFile } from 'node:fs/promises';
+
+const extensions = ['.js', '.jsx', '/index.js'];
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (!isRelative || !['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'].includes(error.code)) throw error;
+    for (const extension of extensions) {
+      try {
+        return await nextResolve(specifier.replace(/\/$/, '') + extension, context);
+      } catch {
+        // try the next extension
+      }
+    }
+    throw error;
+  }
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (url.startsWith('file:') && url.endsWith('.json')) {
+    const source = await readFile(new URL(url), 'utf8');
+    return { format: 'module', source: `export default ${source};`, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+};
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEntityPool } from '../src/config/world.js';
+import { validateGameConfig } from '../src/config/configValidation.js';
+import { gameConfig } from '../src/config/gameConfig.js';
+
+const now = () => 0;
+
+const fill = (pool, count) => Array.from({ length: count }, (_, i) => pool.spawn({ index: i }));
+
+describe('pool policies', () => {
+  it('fixed drops spawns once full', () => {
+    const pool = createEntityPool('proj', { policy: 'fixed', capacity: 2, now });
+    const spawned = fill(pool, 4);
+
+    assert.equal(spawned[2], null);
+    assert.equal(spawned[3], null);
+    assert.equal(pool.countActive(), 2);
+    assert.deepEqual(pool.getMetrics(), {
+      policy: 'fixed', active: 2, capacity: 2, maxCapacity: null, spawned: 2, peak: 2, dropped: 2, recycled: 0, grown: 0,
+    });
+  });
+
+  it('grow doubles its capacity up to maxCapacity, then drops', () => {
+    const pool = createEntityPool('proj', { policy: 'grow', capacity: 2, maxCapacity: 5, now });
+    fill(pool, 3);
+    assert.equal(pool.getMetrics().capacity, 4);
+    fill(pool, 4);
+
+    const metrics = pool.getMetrics();
+    assert.equal(metrics.capacity, 5);
+    assert.equal(metrics.grown, 2);
+    assert.equal(metrics.active, 5);
+    assert.equal(metrics.dropped, 2);
+  });
+
+  it('grow without maxCapacity never drops', () => {
+    const pool = createEntityPool('enemy', { policy: 'grow', capacity: 1, now });
+    fill(pool, 9);
+    const metrics = pool.getMetrics();
+    assert.equal(metrics.capacity, 16);
+    assert.equal(metrics.grown, 4);
+    assert.equal(metrics.dropped, 0);
+  });
+
+  it('recycle removes the oldest entity and reuses its slot', () => {
+    const pool = createEntityPool('enemy-proj', { policy: 'recycle', capacity: 2, now });
+    const [oldest, second] = fill(pool, 2);
+    pool.despawn(second.id);
+    const third = pool.spawn({});
+    const fourth = pool.spawn({});
+
+    assert.equal(oldest.active, false);
+    assert.equal(pool.get(oldest.id), null);
+    assert.equal(fourth.id.split('-')[2], oldest.id.split('-')[2]);
+    assert.deepEqual(pool.find(() => true), third);
+    assert.equal(pool.getMetrics().recycled, 1);
+    assert.equal(pool.getMetrics().dropped, 0);
+  });
+
+  it('clear resets the grown capacity and the metrics', () => {
+    const pool = createEntityPool('proj', { policy: 'grow', capacity: 2, maxCapacity: 8, now });
+    fill(pool, 12);
+    pool.clear();
+    assert.deepEqual(pool.getMetrics(), {
+      policy: 'grow', active: 0, capacity: 2, maxCapacity: 8, spawned: 0, peak: 0, dropped: 0, recycled: 0, grown: 0,
+    });
+  });
+
+  it('configure takes effect on the next clear', () => {
+    const pool = createEntityPool('proj', { policy: 'fixed', capacity: 2, now });
+    pool.configure({ policy: 'grow', capacity: 3 });
+    assert.equal(fill(pool, 3)[2], null);
+    assert.equal(pool.getMetrics().policy, 'fixed');
+
+    pool.clear();
+    fill(pool, 4);
+    const metrics = pool.getMetrics();
+    assert.equal(metrics.policy, 'grow');
+    assert.equal(metrics.capacity, 6);
+    assert.equal(metrics.dropped, 0);
+  });
+});
+
+describe('pool settings validation', () => {
+  const withPools = (pools) => ({ ...gameConfig, pools: { ...gameConfig.pools, ...pools } });
+
+  it('accepts the default pools', () => {
+    assert.deepEqual(validateGameConfig(gameConfig), []);
+  });
+
+  it('only lets projectile pools recycle', () => {
+    assert.deepEqual(validateGameConfig(withPools({
+      projectiles: { policy: 'recycle', capacity: 10, maxCapacity: null },
+    })), []);
+    assert.deepEqual(validateGameConfig(withPools({
+      enemies: { policy: 'recycle', capacity: 10, maxCapacity: null },
+    })), [
+      "pools.enemies.policy can't be 'recycle': only projectiles and enemyProjectiles may drop their oldest entity",
+    ]);
+  });
+
+  it('rejects unknown policies and a maxCapacity below the capacity', () => {
+    const errors = validateGameConfig(withPools({
+      projectiles: { policy: 'shrink', capacity: 10, maxCapacity: 5 },
+    }));
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^pools\.projectiles\.policy must be one of fixed, grow, recycle/);
+    assert.match(errors[1], /^pools\.projectiles\.maxCapacity/);
+  });
+});
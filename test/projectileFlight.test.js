@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlightState, stepProjectile } from '../src/config/projectileFlight.js';
+import { createSpatialHash, getEnemyReach } from '../src/config/spatialHash.js';
+
+// A missile at the origin flying along +z, and a grid holding the given enemies
+const fireMissile = (enemies) => {
+  const grid = createSpatialHash(4);
+  enemies.forEach((enemy) => grid.insert(enemy, enemy.position[0], enemy.position[2], getEnemyReach(enemy.size)));
+  const projectile = {
+    id: 'proj-1',
+    position: [0, 0, 0],
+    speed: 10,
+    size: 0.25,
+    damage: 40,
+    behavior: 'homing',
+    turnRate: 3,
+    homingRange: 15,
+  };
+  const state = createFlightState([0, 0, 1]);
+  stepProjectile(state, projectile, { delta: 1 / 60, now: 0, grid, onHit: () => {}, onDamage: () => {} });
+  return state.heading;
+};
+
+const enemyAt = (x, z, active = true) => ({ id: `enemy-${x}-${z}`, position: [x, 0, z], size: 0.5, active });
+
+describe('homing projectiles', () => {
+  it('turn toward the nearest enemy in range', () => {
+    assert.ok(fireMissile([enemyAt(10, 5), enemyAt(-12, 8)])[0] > 0);
+  });
+
+  it('fly straight when every enemy is out of range or gone', () => {
+    assert.deepEqual(fireMissile([enemyAt(20, 0), enemyAt(2, 2, false)]), [0, 0, 1]);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore } from 'jotai';
+import {
+  applyDifficultyPresetAtom,
+  gameModeAtom,
+  seedSettingAtom,
+  settingsSnapshotAtom,
+} from '../src/config/atoms.js';
+import { DAILY_RUN, getDailySeed, getRunShareUrl, readRunFromUrl } from '../src/config/random.js';
+
+const PAGE = 'http://localhost/';
+const run = { seed: 'ABC123', level: 'space-shooter', mode: 'siege', difficulty: 'hard' };
+
+const readShared = (url, date) => readRunFromUrl(new URL(url).search, date);
+
+describe('run share links', () => {
+  it('read back the seed, level, mode and difficulty they were made from', () => {
+    assert.deepEqual(readShared(getRunShareUrl(run, PAGE)), run);
+  });
+
+  it('set up a fresh store the way the shared run started', () => {
+    const shared = readShared(getRunShareUrl(run, PAGE));
+    const store = createStore();
+    store.set(gameModeAtom, shared.mode);
+    store.set(applyDifficultyPresetAtom, shared.difficulty);
+    store.set(seedSettingAtom, shared.seed);
+
+    assert.equal(store.get(gameModeAtom), run.mode);
+    assert.equal(store.get(settingsSnapshotAtom).difficultyPreset, run.difficulty);
+    assert.equal(store.get(settingsSnapshotAtom).difficultyCustomized, false);
+    assert.equal(store.get(seedSettingAtom), run.seed);
+  });
+
+  it('keep the page URL’s level when the run’s level was loaded from a file', () => {
+    const url = getRunShareUrl({ ...run, level: null }, `${PAGE}?level=https://example.com/level.json`);
+    assert.equal(readShared(url).level, 'https://example.com/level.json');
+  });
+
+  it('drop modes and difficulties the game does not know', () => {
+    const shared = readShared(`${PAGE}?seed=abc&mode=nope&difficulty=brutal`);
+    assert.deepEqual(shared, { seed: 'ABC', level: null, mode: null, difficulty: null });
+  });
+
+  it('always play a daily seed on the daily level, mode and difficulty', () => {
+    const date = new Date('2026-03-14T12:00:00Z');
+    const daily = { seed: getDailySeed(date), ...DAILY_RUN };
+
+    assert.deepEqual(readShared(`${PAGE}?seed=daily&level=space-shooter&mode=siege&difficulty=hard`, date), daily);
+    assert.deepEqual(readShared(getRunShareUrl({ ...run, seed: daily.seed }, PAGE)), daily);
+  });
+});
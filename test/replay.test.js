@@ -0,0 +1,147 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore } from 'jotai';
+import {
+  applyDifficultyPresetAtom,
+  enemiesKilledAtom,
+  enemySpeedMultiplierAtom,
+  finishRecordingAtom,
+  gameStateAtom,
+  gameplayAtom,
+  lastReplayAtom,
+  maxEnemiesSettingAtom,
+  replayRecorderAtom,
+  resetGameAtom,
+  scoreAtom,
+  seedSettingAtom,
+  startReplayAtom,
+  stepGameplayAtom,
+} from '../src/config/atoms.js';
+import { gameClock, STEP_SECONDS } from '../src/config/gameClock.js';
+import { createInputFrame, quantizeInputFrame } from '../src/config/playerInput.js';
+import { createReplayPlayer, parseReplay, serializeReplay } from '../src/config/replay.js';
+import { settingsConfig } from '../src/config/settingsConfig.js';
+import { simulationBots } from '../src/config/simulation.js';
+import { world } from '../src/config/world.js';
+
+// Long enough for the kiting bot to kill a good number of enemies
+const RUN_STEPS = 30 * 60;
+// Fastest playback the app offers: the top replay speed at the top game speed
+const MAX_SPEED = 4 * settingsConfig.difficulty.gameSpeed.max;
+
+// Stand-in for usePlayerInput and useGameplayStep: one step callback that
+// picks the step's input frame and steps the run through the store
+const driveRun = (store, getFrame) => {
+  return gameClock.onStep((_, delta) => {
+    if (store.get(gameStateAtom) !== 'playing') return;
+    const step = gameClock.getStep() - 1;
+    const frame = getFrame(step);
+    if (frame === null) {
+      store.set(gameStateAtom, 'gameOver');
+      return;
+    }
+    store.set(stepGameplayAtom, frame, delta);
+  });
+};
+
+const playUntilOver = (store, advance) => {
+  while (store.get(gameStateAtom) === 'playing') advance();
+  return { score: store.get(scoreAtom), enemiesKilled: store.get(enemiesKilledAtom) };
+};
+
+// onStep(step) runs before each step, e.g. to change settings as if from the pause menu
+const recordRun = (store, onStep = () => {}) => {
+  store.set(seedSettingAtom, 'REPLAY');
+  store.set(resetGameAtom);
+  const recorder = store.get(replayRecorderAtom);
+
+  const stop = driveRun(store, (step) => {
+    if (step >= RUN_STEPS) return null;
+    onStep(step);
+    const { player } = store.get(gameplayAtom);
+    const frame = quantizeInputFrame({
+      ...createInputFrame(),
+      ...simulationBots.kite({ player, enemies: world.enemies, worldSize: 40 }),
+    });
+    recorder.record(step, frame, player.position);
+    return frame;
+  });
+  playUntilOver(store, () => gameClock.runSteps(1));
+  stop();
+
+  store.set(finishRecordingAtom);
+  return parseReplay(serializeReplay(store.get(lastReplayAtom)));
+};
+
+const watchReplay = (store, replay, advance, onStep = () => {}) => {
+  store.set(startReplayAtom, replay);
+  const playback = createReplayPlayer(replay);
+  const stop = driveRun(store, (step) => {
+    if (step >= playback.steps) return null;
+    onStep(step);
+    return playback.frameAt(step);
+  });
+  const result = playUntilOver(store, advance);
+  stop();
+  return result;
+};
+
+describe('replays', () => {
+  after(() => gameClock.setTimeScale(1));
+
+  const store = createStore();
+  const replay = recordRun(store);
+
+  it('records a run worth checking', () => {
+    assert.ok(replay.result.enemiesKilled > 5, `only ${replay.result.enemiesKilled} kills`);
+    assert.ok(replay.result.score > 0);
+  });
+
+  it('replay to the recorded score and kills at 1x', () => {
+    gameClock.setTimeScale(1);
+    assert.deepEqual(watchReplay(store, replay, () => gameClock.tick(STEP_SECONDS)), replay.result);
+  });
+
+  it('replay to the recorded score and kills at the fastest playback speed', () => {
+    gameClock.setTimeScale(MAX_SPEED);
+    assert.deepEqual(watchReplay(store, replay, () => gameClock.tick(STEP_SECONDS)), replay.result);
+  });
+
+  it('replay to the recorded score and kills when fast-forwarded by a seek', () => {
+    assert.deepEqual(watchReplay(store, replay, () => gameClock.runSteps(30)), replay.result);
+  });
+});
+
+describe('replays of runs whose settings changed mid-run', () => {
+  after(() => gameClock.setTimeScale(1));
+
+  const store = createStore();
+  // Faster, more numerous enemies a quarter of the way in, then the Hard preset
+  const replay = recordRun(store, (step) => {
+    if (step === 450) {
+      store.set(enemySpeedMultiplierAtom, 1.5);
+      store.set(maxEnemiesSettingAtom, 40);
+    }
+    if (step === 900) store.set(applyDifficultyPresetAtom, 'hard');
+  });
+
+  it('records each change with the step it took effect', () => {
+    const changes = replay.settingsChanges;
+    assert.deepEqual(changes.map(([step, , difficulty]) => [step, difficulty]), [[0, 'normal'], [450, 'normal'], [900, 'hard']]);
+    assert.equal(changes[1][1].enemySpeedMultiplier, 1.5);
+    assert.equal(changes[1][1].maxEnemies, 40);
+  });
+
+  it('replay to the recorded score and kills on the recorded settings', () => {
+    gameClock.setTimeScale(1);
+    assert.deepEqual(watchReplay(store, replay, () => gameClock.tick(STEP_SECONDS)), replay.result);
+  });
+
+  it('replay the same while the viewer changes their own settings', () => {
+    const result = watchReplay(store, replay, () => gameClock.runSteps(30), (step) => {
+      if (step === 300) store.set(enemySpeedMultiplierAtom, 0.5);
+      if (step === 600) store.set(applyDifficultyPresetAtom, 'easy');
+    });
+    assert.deepEqual(result, replay.result);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDefaultSettingsValues,
+  migrateSettings,
+  sanitizeSettingsValues,
+  SETTINGS_VERSION,
+  settingsMigrations,
+} from '../src/config/settingsStorage.js';
+
+const defaults = getDefaultSettingsValues();
+
+describe('stored settings', () => {
+  it('clamp out-of-range numbers to their limits', () => {
+    const values = sanitizeSettingsValues({ gamepad: { deadzone: 90 }, touch: { joystickSize: -5 } });
+    assert.equal(values.gamepad.deadzone, 50);
+    assert.equal(values.touch.joystickSize, 40);
+  });
+
+  it('drop unknown categories and keys', () => {
+    const values = sanitizeSettingsValues({ cheats: { godMode: true }, display: { showHUD: false, theme: 'dark' } });
+    assert.equal(values.cheats, undefined);
+    assert.equal(values.display.theme, undefined);
+    assert.equal(values.display.showHUD, false);
+  });
+
+  it('default malformed values', () => {
+    const values = sanitizeSettingsValues({
+      gamepad: { deadzone: 'high', enabled: 'yes' },
+      touch: { mode: 'sometimes' },
+      controls: { fire: 'Space', dash: [16] },
+      display: null,
+    });
+    assert.equal(values.gamepad.deadzone, defaults.gamepad.deadzone);
+    assert.equal(values.gamepad.enabled, defaults.gamepad.enabled);
+    assert.equal(values.touch.mode, defaults.touch.mode);
+    assert.deepEqual(values.controls.fire, defaults.controls.fire);
+    assert.deepEqual(values.controls.dash, defaults.controls.dash);
+    assert.deepEqual(values.display, defaults.display);
+  });
+
+  it('reject profiles that are not objects or come from a newer game', () => {
+    assert.throws(() => migrateSettings('settings'), /must be an object/);
+    assert.throws(() => migrateSettings({ version: SETTINGS_VERSION + 1, values: {} }), /is newer than this game/);
+  });
+
+  it('run every migration from the stored version up', () => {
+    const stored = { version: 1, values: { controls: { nextWeapon: ['KeyE'], previousWeapon: ['KeyZ', 'WheelUp'] } } };
+    const migrated = migrateSettings(stored);
+
+    assert.equal(migrated.version, SETTINGS_VERSION);
+    assert.deepEqual(migrated.values.controls.nextWeapon, ['KeyE', 'WheelDown']);
+    assert.deepEqual(migrated.values.controls.previousWeapon, ['KeyZ', 'WheelUp']);
+    assert.deepEqual(stored.values.controls.nextWeapon, ['KeyE'], 'the stored profile is left untouched');
+  });
+
+  it('treat a missing version as the oldest and default what the profile lacks', () => {
+    const migrated = migrateSettings({ values: { controls: { nextWeapon: ['KeyF'] } }, difficultyCustomized: 1 });
+
+    assert.deepEqual(migrated.values.controls.nextWeapon, ['KeyF', 'WheelDown']);
+    assert.deepEqual(migrated.values.controls.previousWeapon, defaults.controls.previousWeapon);
+    assert.equal(migrated.difficultyPreset, 'normal');
+    assert.equal(migrated.difficultyCustomized, true);
+  });
+
+  it('apply an injected migration before sanitizing', () => {
+    const upgradeFrom = SETTINGS_VERSION - 1;
+    const original = settingsMigrations[upgradeFrom];
+    settingsMigrations[upgradeFrom] = (data) => ({ ...data, values: { gamepad: { deadzone: data.values.deadzonePercent } } });
+    try {
+      const migrated = migrateSettings({ version: upgradeFrom, values: { deadzonePercent: 25 } });
+      assert.equal(migrated.values.gamepad.deadzone, 25);
+    } finally {
+      settingsMigrations[upgradeFrom] = original;
+    }
+  });
+});
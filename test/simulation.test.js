@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, simulationBots } from '../src/config/simulation.js';
+import { gameConfig } from '../src/config/gameConfig.js';
+
+// Every enemy worth the same, so the score follows from the kill count
+const flatPointsConfig = {
+  ...gameConfig,
+  enemies: {
+    ...gameConfig.enemies,
+    types: gameConfig.enemies.types.map((type) => ({ ...type, points: 7 })),
+  },
+  rules: { ...gameConfig.rules, scoreMultiplier: 3 },
+};
+
+describe('createSimulation', () => {
+  it('scores every kill by its type points and the score multiplier', () => {
+    const report = createSimulation({ config: flatPointsConfig, seed: 'SCORE', input: simulationBots.turret }).run(60);
+
+    assert.ok(report.kills > 0);
+    assert.equal(report.score, flatPointsConfig.rules.initialScore + report.kills * 7 * 3);
+    assert.ok(report.shotsFired > 0);
+  });
+
+  it('takes contact and projectile damage off the player, scaled by difficulty', () => {
+    const normal = createSimulation({ seed: 'HURT', input: simulationBots.idle }).run(30);
+    assert.ok(normal.damageTaken > 0);
+    assert.equal(normal.health, Math.max(gameConfig.player.health - normal.damageTaken, 0));
+    if (normal.health > 0) assert.equal(normal.outcome, 'survived');
+    else assert.equal(normal.outcome, 'died');
+
+    const settings = { playerHealth: 100000 };
+    const easy = createSimulation({ seed: 'HURT', difficulty: 'easy', input: simulationBots.idle, settings });
+    const hard = createSimulation({ seed: 'HURT', difficulty: 'hard', input: simulationBots.idle, settings });
+    assert.ok(easy.run(20).damageTaken < hard.run(20).damageTaken);
+  });
+
+  it('plays the same run again from the same seed', () => {
+    const options = { seed: 'SAME', input: simulationBots.kite };
+    const first = createSimulation(options).run(45);
+    const second = createSimulation(options).run(45);
+    assert.deepEqual(second, first);
+
+    const other = createSimulation({ ...options, seed: 'OTHER' }).run(45);
+    assert.notDeepEqual(other, first);
+  });
+
+  it('stops stepping once the run is over', () => {
+    const simulation = createSimulation({ seed: 'OVER', input: simulationBots.idle, settings: { playerHealth: 1 } });
+    const report = simulation.run(120);
+    assert.equal(report.outcome, 'died');
+    assert.equal(simulation.isOver(), true);
+    simulation.step();
+    assert.deepEqual(simulation.getReport(), report);
+  });
+});
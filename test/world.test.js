@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEntityPool, createWorld } from '../src/config/world.js';
+
+const now = () => 0;
+
+describe('createEntityPool', () => {
+  it('reuses a freed slot but never an id', () => {
+    const pool = createEntityPool('enemy', { capacity: 2, now });
+    const first = pool.spawn({ health: 10 });
+    pool.spawn({ health: 10 });
+    assert.equal(pool.despawn(first.id), true);
+
+    const third = pool.spawn({ health: 10 });
+    assert.equal(third.id.split('-')[1], first.id.split('-')[1]);
+    assert.notEqual(third.id, first.id);
+    assert.equal(pool.get(first.id), null);
+    assert.equal(first.active, false);
+    assert.equal(pool.countActive(), 2);
+  });
+
+  it('only counts a despawn once', () => {
+    const pool = createEntityPool('proj', { now });
+    const entity = pool.spawn({});
+    assert.equal(pool.despawn(entity.id), true);
+    assert.equal(pool.despawn(entity.id), false);
+  });
+
+  it('publishes a new snapshot on flush only when entities came or went', () => {
+    const pool = createEntityPool('enemy', { now });
+    let calls = 0;
+    pool.subscribe(() => { calls += 1; });
+    const entity = pool.spawn({});
+    assert.deepEqual(pool.getActive(), []);
+
+    pool.flush();
+    const snapshot = pool.getActive();
+    assert.deepEqual(snapshot, [entity]);
+    pool.touch();
+    pool.flush();
+    pool.flush();
+    assert.equal(pool.getActive(), snapshot);
+    assert.equal(calls, 2);
+  });
+
+  it('clear starts ids and slots over', () => {
+    const pool = createEntityPool('enemy', { now });
+    pool.spawn({});
+    pool.spawn({});
+    pool.clear();
+    assert.equal(pool.countActive(), 0);
+    assert.equal(pool.spawn({}).id, 'enemy-0-0');
+  });
+});
+
+describe('createWorld', () => {
+  it('damages enemies and removes them at 0 health', () => {
+    const world = createWorld({ now });
+    const enemy = world.enemies.spawn({ type: 'basic', health: 20 });
+
+    assert.deepEqual(world.damageEnemy(enemy.id, 5), { enemy, killed: false });
+    assert.equal(enemy.health, 15);
+    assert.deepEqual(world.damageEnemy(enemy.id, 15), { enemy, killed: true });
+    assert.equal(world.damageEnemy(enemy.id, 5), null);
+    assert.equal(world.enemies.countActive(), 0);
+  });
+
+  it('reset clears every pool', () => {
+    const world = createWorld({ now });
+    world.enemies.spawn({});
+    world.projectiles.spawn({});
+    world.enemyProjectiles.spawn({});
+    world.reset();
+    Object.values(world.getMetrics()).forEach((metrics) => {
+      assert.equal(metrics.active, 0);
+      assert.equal(metrics.spawned, 0);
+    });
+  });
+});